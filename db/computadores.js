@@ -0,0 +1,268 @@
+// Repositorio de la tabla computadores, independiente del driver de base de datos
+
+const { porLotes, leerTodo } = require('./lotes');
+
+const TABLE = 'computadores';
+
+// Filtros de texto parcial sin distinguir mayúsculas (ILIKE '%valor%')
+const FILTROS_PARCIALES = ['responsable', 'equipo_id', 'serial_number', 'revisor'];
+
+// Rangos de fecha: <campo>_desde y <campo>_hasta
+const FILTROS_FECHA = ['fecha_revision', 'fecha_actualizacion'];
+
+// Columnas por las que se puede ordenar el listado
+const SORT_COLUMNS = [
+    'fecha_revision', 'fecha_actualizacion', 'equipo_id', 'serial_number',
+    'responsable', 'estado', 'id'
+];
+
+// Valores permitidos por las restricciones CHECK de la tabla
+const ESTADOS = ['operativo', 'mantenimiento', 'dañado'];
+const WINDOWS_UPDATE = ['si', 'no'];
+
+// Campos que el cliente puede modificar y los que no pueden quedar vacíos
+const CAMPOS_EDITABLES = [
+    'equipo_id', 'serial_number', 'placa_ml', 'latitud', 'longitud',
+    'direccion_automatica', 'ubicacion_manual', 'responsable', 'cargo',
+    'estado', 'windows_update', 'observaciones', 'problemas_detectados',
+    'sede_id', 'area'
+];
+const CAMPOS_REQUERIDOS = ['equipo_id', 'serial_number', 'responsable', 'cargo', 'estado', 'windows_update'];
+
+// Función de búsqueda de texto (migración 004)
+const SEARCH_FUNCTION = 'buscar_computadores';
+
+// Los equipos en la papelera (migración 013) solo se ven en ella
+const ACTIVO = ['eliminado_en', 'is', null];
+const EN_PAPELERA = ['eliminado_en', 'not_null'];
+
+// Filtro por id de un equipo activo y, si se indica, por la versión esperada
+function conVersion(id, version) {
+    return version === undefined ? [['id', 'eq', id], ACTIVO] : [['id', 'eq', id], ACTIVO, ['version', 'eq', version]];
+}
+
+function createComputadoresRepository(db) {
+    return {
+        // Falla con el error del driver (p. ej. 42P01) si la tabla no es accesible
+        async ping() {
+            await db.select(TABLE, { columns: 'id', limit: 1 });
+        },
+
+        /**
+         * Lista paginada. `q` busca en el texto del equipo y, sin `sort`,
+         * ordena por relevancia. Devuelve { rows, total }.
+         */
+        async list(filtros = {}, { sort, order = 'desc', limit, offset = 0, count = true } = {}) {
+            const filters = [ACTIVO];
+            if (filtros.estado) filters.push(['estado', 'eq', filtros.estado]);
+            if (filtros.sede_id) filters.push(['sede_id', 'eq', filtros.sede_id]);
+            for (const campo of FILTROS_PARCIALES) {
+                if (filtros[campo]) filters.push([campo, 'ilike', `%${filtros[campo]}%`]);
+            }
+            for (const campo of FILTROS_FECHA) {
+                if (filtros[`${campo}_desde`]) filters.push([campo, 'gte', filtros[`${campo}_desde`]]);
+                if (filtros[`${campo}_hasta`]) filters.push([campo, 'lte', filtros[`${campo}_hasta`]]);
+            }
+            // bbox: { minLng, minLat, maxLng, maxLat } (lib/geo.js)
+            if (filtros.bbox) {
+                filters.push(
+                    ['latitud', 'gte', filtros.bbox.minLat], ['latitud', 'lte', filtros.bbox.maxLat],
+                    ['longitud', 'gte', filtros.bbox.minLng], ['longitud', 'lte', filtros.bbox.maxLng]
+                );
+            } else if (filtros.con_ubicacion) {
+                filters.push(['latitud', 'not_null'], ['longitud', 'not_null']);
+            }
+
+            // buscar_computadores ya devuelve las filas por relevancia
+            const porRelevancia = filtros.q && !sort;
+            const ascending = order === 'asc';
+            const orden = porRelevancia ? [] : [
+                { column: sort || 'fecha_revision', ascending },
+                { column: 'id', ascending }
+            ];
+
+            return db.select(filtros.q ? SEARCH_FUNCTION : TABLE, {
+                args: filtros.q ? { consulta: filtros.q } : undefined,
+                filters,
+                order: orden,
+                limit,
+                offset,
+                count
+            });
+        },
+
+        // Recorre el listado en lotes para no cargar toda la tabla en memoria
+        async *iterate(filtros = {}, opciones = {}, tamanoLote = 500) {
+            for (let offset = 0; ; offset += tamanoLote) {
+                const { rows } = await this.list(filtros, { ...opciones, limit: tamanoLote, offset, count: false });
+                if (rows.length > 0) yield rows;
+                if (rows.length < tamanoLote) return;
+            }
+        },
+
+        // Datos necesarios para calcular vencimientos de revisión (lib/vencimientos.js)
+        listParaRevision() {
+            return leerTodo(db, TABLE, {
+                columns: 'id, equipo_id, responsable, cargo, estado, revisor, ubicacion_manual, ' +
+                    'direccion_automatica, fecha_revision',
+                filters: [ACTIVO]
+            });
+        },
+
+        // Equipos con sede automática, para reasignarlos cuando cambian las sedes
+        listParaSede() {
+            return leerTodo(db, TABLE, {
+                columns: 'id, estado, latitud, longitud, sede_id',
+                filters: [['sede_manual', 'is', false], ACTIVO]
+            });
+        },
+
+        // Devuelve a asignación automática los equipos fijados a mano en la sede
+        liberarSede(sedeId) {
+            return db.update(TABLE, [['sede_id', 'eq', sedeId], ['sede_manual', 'is', true]], { sede_manual: false });
+        },
+
+        /**
+         * Equipos modificados después de `cursor` ({ fecha, id }: el último
+         * equipo entregado), en orden de fecha_actualizacion e id. Sin cursor
+         * empieza desde el principio.
+         */
+        async cambiosDesde(cursor, limit) {
+            const order = [{ column: 'fecha_actualizacion', ascending: true }, { column: 'id', ascending: true }];
+            const cambios = [];
+
+            // Varios equipos pueden compartir fecha (p. ej. una importación)
+            if (cursor && cursor.fecha) {
+                const { rows } = await db.select(TABLE, {
+                    filters: [['fecha_actualizacion', 'eq', cursor.fecha], ['id', 'gt', cursor.id], ACTIVO],
+                    order,
+                    limit
+                });
+                cambios.push(...rows);
+            }
+            if (cambios.length < limit) {
+                const { rows } = await db.select(TABLE, {
+                    filters: [cursor && cursor.fecha
+                        ? ['fecha_actualizacion', 'gt', cursor.fecha]
+                        : ['fecha_actualizacion', 'not_null'], ACTIVO],
+                    order,
+                    limit: limit - cambios.length
+                });
+                cambios.push(...rows);
+            }
+            return cambios;
+        },
+
+        // Equipos con imágenes por lotes de { id, equipo_id, imagenes }. Con
+        // `conPapelera` incluye los de la papelera (verificación del almacenamiento).
+        iterarImagenes({ conPapelera = false, tamanoLote = 500 } = {}) {
+            return porLotes(db, TABLE, {
+                columns: 'id, equipo_id, imagenes',
+                filters: [['imagenes', 'not_null'], ...(conPapelera ? [] : [ACTIVO])],
+                tamanoLote
+            });
+        },
+
+        // Con `papelera` busca solo entre los equipos eliminados
+        async get(id, columns = '*', { papelera = false } = {}) {
+            const { rows } = await db.select(TABLE, {
+                columns,
+                filters: [['id', 'eq', id], papelera ? EN_PAPELERA : ACTIVO]
+            });
+            return rows[0] || null;
+        },
+
+        // Papelera paginada, de lo más reciente a lo más antiguo. Devuelve { rows, total }.
+        listPapelera({ limit, offset = 0 } = {}) {
+            return db.select(TABLE, {
+                filters: [EN_PAPELERA],
+                order: [{ column: 'eliminado_en', ascending: false }, { column: 'id', ascending: false }],
+                limit,
+                offset,
+                count: true
+            });
+        },
+
+        // Equipos eliminados antes de `fecha`, para purgarlos
+        async listParaPurga(fecha, limit) {
+            const { rows } = await db.select(TABLE, {
+                columns: 'id, equipo_id, imagenes, eliminado_en',
+                filters: [['eliminado_en', 'lt', fecha]],
+                order: [{ column: 'eliminado_en', ascending: true }],
+                limit
+            });
+            return rows;
+        },
+
+        create(data) {
+            return db.insert(TABLE, data);
+        },
+
+        // Registros existentes (incluidos los de la papelera) con alguno de los equipo_id dados
+        async findByEquipoIds(equipoIds) {
+            const encontrados = [];
+            for (let i = 0; i < equipoIds.length; i += 200) {
+                const { rows } = await db.select(TABLE, {
+                    filters: [['equipo_id', 'in', equipoIds.slice(i, i + 200)]]
+                });
+                encontrados.push(...rows);
+            }
+            return encontrados;
+        },
+
+        // Inserta o actualiza por equipo_id en una sola sentencia (todo o nada).
+        // Todas las filas deben tener las mismas columnas.
+        upsertMany(rows) {
+            return db.upsert(TABLE, rows, { onConflict: 'equipo_id' });
+        },
+
+        // Devuelve el registro actualizado o null si no existe. Con `version`
+        // solo actualiza si el registro sigue en esa versión (If-Match).
+        async update(id, changes, { version } = {}) {
+            const rows = await db.update(TABLE, conVersion(id, version), changes);
+            return rows[0] || null;
+        },
+
+        /**
+         * Pasa el equipo a la papelera. `eliminacion`: { eliminado_por,
+         * eliminado_por_nombre, motivo_eliminacion }. Devuelve el registro o
+         * null si no existe, ya estaba en la papelera o cambió de versión.
+         */
+        async moverAPapelera(id, eliminacion, { version } = {}) {
+            const rows = await db.update(TABLE, conVersion(id, version), {
+                ...eliminacion,
+                eliminado_en: new Date().toISOString()
+            });
+            return rows[0] || null;
+        },
+
+        // Saca el equipo de la papelera; null si no estaba en ella
+        async restaurar(id) {
+            const rows = await db.update(TABLE, [['id', 'eq', id], EN_PAPELERA], {
+                eliminado_en: null,
+                eliminado_por: null,
+                eliminado_por_nombre: null,
+                motivo_eliminacion: null,
+                // Los clientes de /api/sync lo reciben de nuevo como cambio
+                fecha_actualizacion: new Date().toISOString()
+            });
+            return rows[0] || null;
+        },
+
+        // Borra definitivamente un equipo de la papelera (revisiones y órdenes en cascada)
+        async purgar(id) {
+            const rows = await db.remove(TABLE, [['id', 'eq', id], EN_PAPELERA]);
+            return rows[0] || null;
+        }
+    };
+}
+
+module.exports = {
+    createComputadoresRepository,
+    SORT_COLUMNS,
+    FILTROS_FECHA,
+    ESTADOS,
+    WINDOWS_UPDATE,
+    CAMPOS_EDITABLES,
+    CAMPOS_REQUERIDOS
+};
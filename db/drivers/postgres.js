@@ -0,0 +1,183 @@
+const { Pool, types } = require('pg');
+
+// Driver de base de datos sobre PostgreSQL directo (local o remoto).
+// Devuelve los mismos tipos que PostgREST para que las rutas no noten el
+// cambio: NUMERIC como número, TIMESTAMP como texto ISO y DATE como AAAA-MM-DD.
+const TYPE_PARSERS = {
+    [types.builtins.NUMERIC]: value => parseFloat(value),
+    [types.builtins.INT8]: value => parseInt(value, 10),
+    [types.builtins.DATE]: value => value,
+    [types.builtins.TIMESTAMP]: value => value.replace(' ', 'T'),
+    [types.builtins.TIMESTAMPTZ]: value => new Date(value).toISOString()
+};
+
+const OPERATORS = {
+    eq: '=',
+    neq: '<>',
+    gt: '>',
+    gte: '>=',
+    lt: '<',
+    lte: '<=',
+    ilike: 'ILIKE'
+};
+
+function quoteIdent(name) {
+    if (!/^[a-zA-Z_][a-zA-Z0-9_]*$/.test(name)) {
+        throw new Error(`Identificador SQL no válido: ${name}`);
+    }
+    return `"${name}"`;
+}
+
+function columnsSql(columns) {
+    if (columns === '*') return '*';
+    return columns.split(',').map(column => quoteIdent(column.trim())).join(', ');
+}
+
+// Los objetos y arreglos se guardan en columnas JSONB
+function encode(value) {
+    if (value !== null && typeof value === 'object' && !(value instanceof Date) && !Buffer.isBuffer(value)) {
+        return JSON.stringify(value);
+    }
+    return value;
+}
+
+// `args` convierte la fuente en una llamada a función: tabla(arg => $1, ...)
+function sourceSql(table, args, params) {
+    if (!args) return quoteIdent(table);
+    const named = Object.entries(args).map(([name, value]) => {
+        params.push(encode(value));
+        return `${quoteIdent(name)} => $${params.length}`;
+    });
+    return `${quoteIdent(table)}(${named.join(', ')})`;
+}
+
+function whereSql(filters, params) {
+    if (filters.length === 0) return '';
+
+    const conditions = filters.map(([column, op, value]) => {
+        const col = quoteIdent(column);
+        if (op === 'not_null') return `${col} IS NOT NULL`;
+        if (op === 'is') {
+            if (value === null) return `${col} IS NULL`;
+            return `${col} IS ${value ? 'TRUE' : 'FALSE'}`;
+        }
+        if (op === 'in') {
+            params.push(value);
+            return `${col} = ANY($${params.length})`;
+        }
+        if (!OPERATORS[op]) {
+            throw new Error(`Operador de filtro no soportado: ${op}`);
+        }
+        params.push(encode(value));
+        return `${col} ${OPERATORS[op]} $${params.length}`;
+    });
+
+    return ` WHERE ${conditions.join(' AND ')}`;
+}
+
+function createPostgresDriver({ connectionString, pool: existingPool }) {
+    if (!connectionString && !existingPool) {
+        throw new Error('DATABASE_URL es obligatorio para DB_DRIVER=postgres');
+    }
+
+    const pool = existingPool || new Pool({
+        connectionString,
+        types: {
+            getTypeParser: (oid, format) => TYPE_PARSERS[oid] || types.getTypeParser(oid, format)
+        }
+    });
+
+    return {
+        name: 'postgres',
+        pool,
+
+        query(text, params) {
+            return pool.query(text, params);
+        },
+
+        async select(table, { columns = '*', filters = [], order = [], limit, offset = 0, count = false, args } = {}) {
+            const params = [];
+            const source = sourceSql(table, args, params);
+            const where = whereSql(filters, params);
+            let sql = `SELECT ${columnsSql(columns)} FROM ${source}${where}`;
+
+            // Nulos con el orden por defecto de PostgreSQL (al final en ASC, al
+            // principio en DESC), el mismo que aplica PostgREST con Supabase
+            if (order.length > 0) {
+                sql += ` ORDER BY ${order.map(({ column, ascending = true }) =>
+                    `${quoteIdent(column)} ${ascending ? 'ASC' : 'DESC'}`).join(', ')}`;
+            }
+            if (limit !== undefined) {
+                sql += ` LIMIT ${parseInt(limit, 10)} OFFSET ${parseInt(offset, 10)}`;
+            }
+
+            const { rows } = await pool.query(sql, params);
+            let total = rows.length;
+            if (count) {
+                const result = await pool.query(`SELECT COUNT(*)::int AS total FROM ${source}${where}`, params);
+                total = result.rows[0].total;
+            }
+            return { rows, total };
+        },
+
+        async insert(table, row) {
+            const columns = Object.keys(row).filter(column => row[column] !== undefined);
+            const params = columns.map(column => encode(row[column]));
+            const { rows } = await pool.query(
+                `INSERT INTO ${quoteIdent(table)} (${columns.map(quoteIdent).join(', ')})
+                 VALUES (${columns.map((_, i) => `$${i + 1}`).join(', ')}) RETURNING *`,
+                params
+            );
+            return rows[0];
+        },
+
+        async update(table, filters, changes) {
+            const columns = Object.keys(changes).filter(column => changes[column] !== undefined);
+            const params = columns.map(column => encode(changes[column]));
+            const set = columns.map((column, i) => `${quoteIdent(column)} = $${i + 1}`).join(', ');
+            const where = whereSql(filters, params);
+            const { rows } = await pool.query(
+                `UPDATE ${quoteIdent(table)} SET ${set}${where} RETURNING *`,
+                params
+            );
+            return rows;
+        },
+
+        async remove(table, filters) {
+            const params = [];
+            const where = whereSql(filters, params);
+            const { rows } = await pool.query(`DELETE FROM ${quoteIdent(table)}${where} RETURNING *`, params);
+            return rows;
+        },
+
+        async upsert(table, rows, { onConflict } = {}) {
+            if (rows.length === 0) return [];
+
+            const columns = Object.keys(rows[0]);
+            const params = [];
+            const values = rows.map(row => `(${columns.map(column => {
+                params.push(encode(row[column]));
+                return `$${params.length}`;
+            }).join(', ')})`);
+            const conflict = onConflict.split(',').map(column => quoteIdent(column.trim()));
+            const updates = columns
+                .filter(column => !onConflict.split(',').map(c => c.trim()).includes(column))
+                .map(column => `${quoteIdent(column)} = EXCLUDED.${quoteIdent(column)}`);
+
+            const { rows: result } = await pool.query(
+                `INSERT INTO ${quoteIdent(table)} (${columns.map(quoteIdent).join(', ')})
+                 VALUES ${values.join(', ')}
+                 ON CONFLICT (${conflict.join(', ')}) ${updates.length > 0 ? `DO UPDATE SET ${updates.join(', ')}` : 'DO NOTHING'}
+                 RETURNING *`,
+                params
+            );
+            return result;
+        },
+
+        close() {
+            return pool.end();
+        }
+    };
+}
+
+module.exports = { createPostgresDriver, quoteIdent };
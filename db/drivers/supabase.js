@@ -0,0 +1,79 @@
+// Driver de base de datos sobre el cliente de Supabase (PostgREST)
+
+function applyFilters(query, filters) {
+    for (const [column, op, value] of filters) {
+        switch (op) {
+            case 'eq':
+            case 'neq':
+            case 'gt':
+            case 'gte':
+            case 'lt':
+            case 'lte':
+            case 'ilike':
+            case 'in':
+            case 'is':
+                query = query[op](column, value);
+                break;
+            case 'not_null':
+                query = query.not(column, 'is', null);
+                break;
+            default:
+                throw new Error(`Operador de filtro no soportado: ${op}`);
+        }
+    }
+    return query;
+}
+
+function createSupabaseDriver({ getClient }) {
+    const from = (table) => getClient().from(table);
+
+    return {
+        name: 'supabase',
+
+        // Con `args`, `table` es una función de la base que devuelve filas (rpc)
+        async select(table, { columns = '*', filters = [], order = [], limit, offset = 0, count = false, args } = {}) {
+            let query = args
+                ? getClient().rpc(table, args, count ? { count: 'exact' } : undefined).select(columns)
+                : from(table).select(columns, count ? { count: 'exact' } : undefined);
+            query = applyFilters(query, filters);
+            for (const { column, ascending = true } of order) {
+                query = query.order(column, { ascending });
+            }
+            if (limit !== undefined) {
+                query = query.range(offset, offset + limit - 1);
+            }
+
+            const { data, error, count: total } = await query;
+            if (error) throw error;
+            return { rows: data, total: count ? total : data.length };
+        },
+
+        async insert(table, row) {
+            const { data, error } = await from(table).insert([row]).select().single();
+            if (error) throw error;
+            return data;
+        },
+
+        async update(table, filters, changes) {
+            const { data, error } = await applyFilters(from(table).update(changes), filters).select();
+            if (error) throw error;
+            return data || [];
+        },
+
+        async remove(table, filters) {
+            const { data, error } = await applyFilters(from(table).delete(), filters).select();
+            if (error) throw error;
+            return data || [];
+        },
+
+        async upsert(table, rows, { onConflict } = {}) {
+            const { data, error } = await from(table).upsert(rows, { onConflict }).select();
+            if (error) throw error;
+            return data || [];
+        },
+
+        async close() {}
+    };
+}
+
+module.exports = { createSupabaseDriver };
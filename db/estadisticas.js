@@ -0,0 +1,43 @@
+// Repositorio de estadísticas: funciones de la base de la migración 010
+
+// La función devuelve `danados`: los identificadores SQL van sin ñ
+function conDanados({ danados, ...fila }) {
+    return { ...fila, dañados: danados };
+}
+
+function createEstadisticasRepository(db) {
+    return {
+        /**
+         * Contadores generales con el desglose por sede en `por_sede`.
+         * `zona` define el día de revisiones_hoy.
+         */
+        async resumen(zona) {
+            const [{ rows }, porSede] = await Promise.all([
+                db.select('estadisticas_resumen', { args: { zona } }),
+                this.agrupadas('sede')
+            ]);
+            return {
+                ...conDanados(rows[0]),
+                por_sede: porSede.map(({ clave, etiqueta, ...grupo }) => ({
+                    sede_id: clave === null ? null : Number(clave),
+                    sede: etiqueta || 'Sin sede',
+                    ...grupo
+                }))
+            };
+        },
+
+        // Filas { clave, etiqueta, total, operativos, ... } por `campo`, de la más numerosa a la menor
+        async agrupadas(campo) {
+            const { rows } = await db.select('estadisticas_agrupadas', { args: { campo } });
+            return rows.map(conDanados);
+        },
+
+        // Un registro por período entre `desde` y `hasta` (AAAA-MM-DD), incluidos los vacíos
+        async serie({ intervalo, desde, hasta, zona }) {
+            const { rows } = await db.select('estadisticas_serie', { args: { intervalo, desde, hasta, zona } });
+            return rows.map(({ a_danado, ...fila }) => ({ ...fila, a_dañado: a_danado }));
+        }
+    };
+}
+
+module.exports = { createEstadisticasRepository };
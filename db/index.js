@@ -0,0 +1,48 @@
+const { createSupabaseDriver } = require('./drivers/supabase');
+const { createPostgresDriver } = require('./drivers/postgres');
+const { createComputadoresRepository } = require('./computadores');
+const { createUsuariosRepository } = require('./usuarios');
+const { createRevisionesRepository } = require('./revisiones');
+const { createWebhooksRepository } = require('./webhooks');
+const { createOrdenesRepository } = require('./ordenes');
+const { createVencimientosRepository } = require('./vencimientos');
+const { createSedesRepository } = require('./sedes');
+const { createEstadisticasRepository } = require('./estadisticas');
+const { createSyncRepository } = require('./sync');
+
+const DRIVERS = ['supabase', 'postgres'];
+
+/**
+ * Crea la capa de datos con el driver elegido en DB_DRIVER.
+ *
+ * `supabase` usa el cliente de Supabase como hasta ahora; `postgres` se
+ * conecta directo con DATABASE_URL (por ejemplo un PostgreSQL local para
+ * trabajar sin conexión). Los repositorios no dependen del driver.
+ */
+function createDatabase({ driver = 'supabase', getSupabase, postgres = {} }) {
+    let impl;
+    if (driver === 'supabase') {
+        impl = createSupabaseDriver({ getClient: getSupabase });
+    } else if (driver === 'postgres') {
+        impl = createPostgresDriver(postgres);
+    } else {
+        throw new Error(`DB_DRIVER no válido: ${driver} (use ${DRIVERS.join(', ')})`);
+    }
+
+    return {
+        driver,
+        db: impl,
+        computadores: createComputadoresRepository(impl),
+        usuarios: createUsuariosRepository(impl),
+        revisiones: createRevisionesRepository(impl),
+        webhooks: createWebhooksRepository(impl),
+        ordenes: createOrdenesRepository(impl),
+        vencimientos: createVencimientosRepository(impl),
+        sedes: createSedesRepository(impl),
+        estadisticas: createEstadisticasRepository(impl),
+        sync: createSyncRepository(impl),
+        close: () => impl.close()
+    };
+}
+
+module.exports = { createDatabase, DRIVERS };
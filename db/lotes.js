@@ -0,0 +1,29 @@
+// Lectura de tablas completas por lotes, paginando por una clave creciente
+// (id > último). Una sola consulta sin límite la trunca PostgREST (max-rows)
+// sin dar error.
+
+async function* porLotes(db, table, { columns = '*', filters = [], clave = 'id', tamanoLote = 500 } = {}) {
+    for (let desde = null; ;) {
+        const { rows } = await db.select(table, {
+            columns,
+            filters: desde === null ? filters : [...filters, [clave, 'gt', desde]],
+            order: [{ column: clave, ascending: true }],
+            limit: tamanoLote
+        });
+        // Un lote corto no indica el final si max-rows es menor que `limit`
+        if (rows.length === 0) return;
+        yield rows;
+        desde = rows[rows.length - 1][clave];
+    }
+}
+
+// Todas las filas de porLotes en una lista
+async function leerTodo(db, table, opciones) {
+    const filas = [];
+    for await (const lote of porLotes(db, table, opciones)) {
+        filas.push(...lote);
+    }
+    return filas;
+}
+
+module.exports = { porLotes, leerTodo };
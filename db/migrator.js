@@ -0,0 +1,160 @@
+const fs = require('fs');
+const path = require('path');
+const { Pool } = require('pg');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const MIGRATIONS_TABLE = 'schema_migrations';
+
+// Lee migrations/NNN_nombre.up.sql y NNN_nombre.down.sql, ordenadas por versión
+function loadMigrations(dir = MIGRATIONS_DIR) {
+    const migraciones = new Map();
+
+    for (const file of fs.readdirSync(dir)) {
+        const match = file.match(/^(\d+)_(.+)\.(up|down)\.sql$/);
+        if (!match) continue;
+
+        const [, version, nombre, direccion] = match;
+        if (!migraciones.has(version)) {
+            migraciones.set(version, { version, nombre });
+        }
+        migraciones.get(version)[direccion] = path.join(dir, file);
+    }
+
+    const lista = [...migraciones.values()].sort((a, b) => a.version.localeCompare(b.version));
+    for (const migracion of lista) {
+        if (!migracion.up || !migracion.down) {
+            throw new Error(`La migración ${migracion.version}_${migracion.nombre} necesita archivos .up.sql y .down.sql`);
+        }
+    }
+    return lista;
+}
+
+/**
+ * Versiones pendientes según la tabla de migraciones, leída con el driver
+ * de la aplicación (sirve también con Supabase sin conexión SQL directa).
+ */
+async function pendingMigrations(db, dir = MIGRATIONS_DIR) {
+    let aplicadas = [];
+    try {
+        const { rows } = await db.select(MIGRATIONS_TABLE, { columns: 'version' });
+        aplicadas = rows.map(row => row.version);
+    } catch (error) {
+        // Tabla de migraciones inexistente: nunca se ha migrado
+        if (error.code !== '42P01' && error.code !== 'PGRST205') throw error;
+    }
+    return loadMigrations(dir).filter(migracion => !aplicadas.includes(migracion.version));
+}
+
+/**
+ * Ejecuta migraciones contra DATABASE_URL. Cada migración corre en su propia
+ * transacción junto con el registro en schema_migrations.
+ */
+function createMigrator({ connectionString, pool: existingPool, dir = MIGRATIONS_DIR }) {
+    if (!connectionString && !existingPool) {
+        throw new Error('DATABASE_URL es obligatorio para ejecutar migraciones ' +
+            '(en Supabase: Project Settings → Database → Connection string)');
+    }
+
+    const pool = existingPool || new Pool({ connectionString });
+
+    async function ensureTable() {
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS ${MIGRATIONS_TABLE} (
+                version VARCHAR(20) PRIMARY KEY,
+                nombre VARCHAR(200) NOT NULL,
+                aplicada_el TIMESTAMPTZ NOT NULL DEFAULT NOW()
+            )
+        `);
+    }
+
+    async function applied() {
+        await ensureTable();
+        const { rows } = await pool.query(`SELECT version, nombre, aplicada_el FROM ${MIGRATIONS_TABLE} ORDER BY version`);
+        return rows;
+    }
+
+    async function run(migracion, direccion) {
+        const sql = fs.readFileSync(migracion[direccion], 'utf8');
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+            await client.query(sql);
+            if (direccion === 'up') {
+                await client.query(
+                    `INSERT INTO ${MIGRATIONS_TABLE} (version, nombre) VALUES ($1, $2)`,
+                    [migracion.version, migracion.nombre]
+                );
+            } else {
+                await client.query(`DELETE FROM ${MIGRATIONS_TABLE} WHERE version = $1`, [migracion.version]);
+            }
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            error.message = `Migración ${migracion.version}_${migracion.nombre} (${direccion}): ${error.message}`;
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    return {
+        async status() {
+            const aplicadas = await applied();
+            const porVersion = new Map(aplicadas.map(row => [row.version, row]));
+            const migraciones = loadMigrations(dir);
+
+            const estado = migraciones.map(migracion => ({
+                version: migracion.version,
+                nombre: migracion.nombre,
+                aplicada: porVersion.has(migracion.version),
+                aplicada_el: porVersion.has(migracion.version) ? porVersion.get(migracion.version).aplicada_el : null
+            }));
+            // Versiones registradas en la base cuyo archivo ya no existe
+            const desconocidas = aplicadas
+                .filter(row => !migraciones.some(migracion => migracion.version === row.version))
+                .map(row => ({ ...row, aplicada: true, desconocida: true }));
+
+            return [...estado, ...desconocidas];
+        },
+
+        // Aplica las pendientes en orden, hasta la versión `to` inclusive si se indica
+        async up({ to } = {}) {
+            const aplicadas = (await applied()).map(row => row.version);
+            const pendientes = loadMigrations(dir)
+                .filter(migracion => !aplicadas.includes(migracion.version))
+                .filter(migracion => !to || migracion.version <= to);
+
+            for (const migracion of pendientes) {
+                await run(migracion, 'up');
+            }
+            return pendientes;
+        },
+
+        // Revierte las últimas `steps` migraciones aplicadas
+        async down({ steps = 1 } = {}) {
+            const aplicadas = (await applied()).map(row => row.version);
+            const migraciones = loadMigrations(dir);
+            const revertir = migraciones
+                .filter(migracion => aplicadas.includes(migracion.version))
+                .reverse()
+                .slice(0, steps);
+
+            for (const migracion of revertir) {
+                await run(migracion, 'down');
+            }
+            return revertir;
+        },
+
+        close() {
+            return existingPool ? Promise.resolve() : pool.end();
+        }
+    };
+}
+
+module.exports = {
+    createMigrator,
+    pendingMigrations,
+    loadMigrations,
+    MIGRATIONS_DIR,
+    MIGRATIONS_TABLE
+};
@@ -0,0 +1,87 @@
+// Repositorio de las tablas ordenes_trabajo y orden_comentarios
+
+const { porLotes } = require('./lotes');
+
+const TABLE = 'ordenes_trabajo';
+const COMENTARIOS = 'orden_comentarios';
+
+const PRIORIDADES = ['baja', 'media', 'alta', 'urgente'];
+const ESTADOS_ORDEN = ['abierta', 'en_progreso', 'resuelta', 'cerrada'];
+
+function createOrdenesRepository(db) {
+    return {
+        // Filtros: estado, prioridad, asignado_a, computador_id. Más recientes primero.
+        list(filtros = {}, { limit, offset = 0 } = {}) {
+            const filters = [];
+            for (const campo of ['estado', 'prioridad', 'asignado_a', 'computador_id']) {
+                if (filtros[campo] !== undefined && filtros[campo] !== null) filters.push([campo, 'eq', filtros[campo]]);
+            }
+
+            return db.select(TABLE, {
+                filters,
+                order: [{ column: 'fecha_creacion', ascending: false }, { column: 'id', ascending: false }],
+                limit,
+                offset,
+                count: true
+            });
+        },
+
+        async get(id) {
+            const { rows } = await db.select(TABLE, { filters: [['id', 'eq', id]] });
+            return rows[0] || null;
+        },
+
+        create(orden) {
+            return db.insert(TABLE, orden);
+        },
+
+        // Devuelve la orden actualizada o null si no existe. Con `estado` solo
+        // actualiza si la orden sigue en ese estado (dos cambios simultáneos).
+        async update(id, changes, { estado } = {}) {
+            const filters = [['id', 'eq', id]];
+            if (estado !== undefined) filters.push(['estado', 'eq', estado]);
+            const rows = await db.update(TABLE, filters, {
+                ...changes,
+                fecha_actualizacion: new Date().toISOString()
+            });
+            return rows[0] || null;
+        },
+
+        // Órdenes de un equipo que aún no están cerradas
+        async pendientesDe(computadorId) {
+            const { rows } = await db.select(TABLE, {
+                filters: [['computador_id', 'eq', computadorId], ['estado', 'neq', 'cerrada']]
+            });
+            return rows;
+        },
+
+        // Fotos de todas las órdenes de un equipo (para borrarlas con él)
+        async imagenesDe(computadorId) {
+            const { rows } = await db.select(TABLE, {
+                columns: 'imagenes',
+                filters: [['computador_id', 'eq', computadorId]]
+            });
+            return rows.flatMap(row => (Array.isArray(row.imagenes) ? row.imagenes : []));
+        },
+
+        // Todas las órdenes por lotes de { id, computador_id, imagenes } (verificación del almacenamiento)
+        iterarImagenes(tamanoLote = 500) {
+            return porLotes(db, TABLE, { columns: 'id, computador_id, imagenes', tamanoLote });
+        },
+
+        // Comentarios de una orden del más antiguo al más reciente
+        async comentarios(ordenId) {
+            const { rows } = await db.select(COMENTARIOS, {
+                filters: [['orden_id', 'eq', ordenId]],
+                order: [{ column: 'fecha', ascending: true }, { column: 'id', ascending: true }]
+            });
+            return rows;
+        },
+
+        addComentario(comentario) {
+            return db.insert(COMENTARIOS, comentario);
+        }
+    };
+}
+
+module.exports = { createOrdenesRepository, PRIORIDADES, ESTADOS_ORDEN };
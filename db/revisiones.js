@@ -0,0 +1,58 @@
+// Repositorio de la tabla revisiones (historial inmutable de inspecciones)
+
+const { porLotes } = require('./lotes');
+
+const TABLE = 'revisiones';
+
+// Campos del equipo que se copian en cada revisión
+const CAMPOS_REVISION = [
+    'estado', 'windows_update', 'problemas_detectados', 'observaciones',
+    'responsable', 'cargo', 'latitud', 'longitud',
+    'direccion_automatica', 'ubicacion_manual', 'revisor'
+];
+
+function createRevisionesRepository(db) {
+    return {
+        // Registra el estado actual de `computador` como una nueva revisión
+        create(computador, usuario) {
+            const revision = {
+                computador_id: computador.id,
+                fecha_revision: computador.fecha_revision || new Date().toISOString(),
+                revisor_id: usuario ? usuario.id : null,
+                imagenes: Array.isArray(computador.imagenes) ? computador.imagenes : []
+            };
+            for (const campo of CAMPOS_REVISION) {
+                revision[campo] = computador[campo];
+            }
+            return db.insert(TABLE, revision);
+        },
+
+        // Revisiones de un equipo de la más antigua a la más reciente
+        async listByComputador(computadorId) {
+            const { rows } = await db.select(TABLE, {
+                filters: [['computador_id', 'eq', computadorId]],
+                order: [
+                    { column: 'fecha_revision', ascending: true },
+                    { column: 'id', ascending: true }
+                ]
+            });
+            return rows;
+        },
+
+        // Imágenes referenciadas por alguna revisión del equipo
+        async imagenesDe(computadorId) {
+            const { rows } = await db.select(TABLE, {
+                columns: 'imagenes',
+                filters: [['computador_id', 'eq', computadorId]]
+            });
+            return rows.flatMap(row => (Array.isArray(row.imagenes) ? row.imagenes : []));
+        },
+
+        // Todas las revisiones por lotes de { id, computador_id, imagenes } (verificación del almacenamiento)
+        iterarImagenes(tamanoLote = 500) {
+            return porLotes(db, TABLE, { columns: 'id, computador_id, imagenes', tamanoLote });
+        }
+    };
+}
+
+module.exports = { createRevisionesRepository, CAMPOS_REVISION };
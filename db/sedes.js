@@ -0,0 +1,40 @@
+// Repositorio de la tabla sedes
+
+const TABLE = 'sedes';
+
+function createSedesRepository(db) {
+    return {
+        async list() {
+            const { rows } = await db.select(TABLE, {
+                order: [{ column: 'nombre', ascending: true }, { column: 'id', ascending: true }]
+            });
+            return rows;
+        },
+
+        async get(id) {
+            const { rows } = await db.select(TABLE, { filters: [['id', 'eq', id]] });
+            return rows[0] || null;
+        },
+
+        create(sede) {
+            return db.insert(TABLE, sede);
+        },
+
+        // Devuelve la sede actualizada o null si no existe
+        async update(id, changes) {
+            const rows = await db.update(TABLE, [['id', 'eq', id]], {
+                ...changes,
+                fecha_actualizacion: new Date().toISOString()
+            });
+            return rows[0] || null;
+        },
+
+        // Los equipos de la sede quedan con sede_id NULL (ON DELETE SET NULL)
+        async remove(id) {
+            const rows = await db.remove(TABLE, [['id', 'eq', id]]);
+            return rows[0] || null;
+        }
+    };
+}
+
+module.exports = { createSedesRepository };
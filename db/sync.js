@@ -0,0 +1,61 @@
+// Repositorio de sync_operaciones y computadores_eliminados (POST /api/sync)
+
+const OPERACIONES = 'sync_operaciones';
+const ELIMINADOS = 'computadores_eliminados';
+
+function createSyncRepository(db) {
+    return {
+        /**
+         * Reserva el id de cliente de un cambio. Devuelve la reserva o null si
+         * el usuario ya envió ese id (aplicado o en curso en otra petición).
+         */
+        async reservar(usuarioId, idCliente) {
+            try {
+                return await db.insert(OPERACIONES, { usuario_id: usuarioId, id_cliente: idCliente });
+            } catch (error) {
+                if (error.code === '23505') return null;
+                throw error;
+            }
+        },
+
+        async buscar(usuarioId, idCliente) {
+            const { rows } = await db.select(OPERACIONES, {
+                filters: [['usuario_id', 'eq', usuarioId], ['id_cliente', 'eq', idCliente]]
+            });
+            return rows[0] || null;
+        },
+
+        // Guarda el resultado de un cambio aplicado
+        async completar(id, computadorId, resultado) {
+            const rows = await db.update(OPERACIONES, [['id', 'eq', id]], { computador_id: computadorId, resultado });
+            return rows[0] || null;
+        },
+
+        // Quita la reserva de un cambio que no se aplicó, para poder reenviarlo
+        liberar(id) {
+            return db.remove(OPERACIONES, [['id', 'eq', id]]);
+        },
+
+        // Equipos borrados después del registro `desdeId`, en orden
+        async eliminadosDesde(desdeId, limit) {
+            const { rows } = await db.select(ELIMINADOS, {
+                filters: [['id', 'gt', desdeId]],
+                order: [{ column: 'id', ascending: true }],
+                limit
+            });
+            return rows;
+        },
+
+        // Id del último equipo borrado (0 si no hay), para el primer token
+        async ultimoEliminado() {
+            const { rows } = await db.select(ELIMINADOS, {
+                columns: 'id',
+                order: [{ column: 'id', ascending: false }],
+                limit: 1
+            });
+            return rows[0] ? rows[0].id : 0;
+        }
+    };
+}
+
+module.exports = { createSyncRepository };
@@ -0,0 +1,55 @@
+// Repositorio de la tabla usuarios
+
+const TABLE = 'usuarios';
+const ROLES = ['tecnico', 'supervisor', 'administrador'];
+
+// Columnas seguras para responder al cliente (sin password_hash)
+const PUBLIC_COLUMNS = 'id, email, nombre, rol, activo, fecha_creacion, fecha_actualizacion';
+
+function createUsuariosRepository(db) {
+    return {
+        async list() {
+            const { rows } = await db.select(TABLE, {
+                columns: PUBLIC_COLUMNS,
+                order: [{ column: 'nombre', ascending: true }]
+            });
+            return rows;
+        },
+
+        async get(id) {
+            const { rows } = await db.select(TABLE, { columns: PUBLIC_COLUMNS, filters: [['id', 'eq', id]] });
+            return rows[0] || null;
+        },
+
+        // Incluye password_hash: solo para verificar credenciales
+        async findByEmailWithPassword(email) {
+            const { rows } = await db.select(TABLE, {
+                filters: [['email', 'eq', String(email).trim().toLowerCase()]]
+            });
+            return rows[0] || null;
+        },
+
+        async create({ email, nombre, rol, password_hash }) {
+            const usuario = await db.insert(TABLE, {
+                email: String(email).trim().toLowerCase(),
+                nombre,
+                rol,
+                password_hash
+            });
+            delete usuario.password_hash;
+            return usuario;
+        },
+
+        async update(id, changes) {
+            const rows = await db.update(TABLE, [['id', 'eq', id]], {
+                ...changes,
+                fecha_actualizacion: new Date().toISOString()
+            });
+            if (!rows[0]) return null;
+            delete rows[0].password_hash;
+            return rows[0];
+        }
+    };
+}
+
+module.exports = { createUsuariosRepository, ROLES };
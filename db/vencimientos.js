@@ -0,0 +1,72 @@
+// Repositorio de intervalos de revisión, estado calculado y transiciones
+
+const { leerTodo } = require('./lotes');
+
+const INTERVALOS = 'intervalos_revision';
+const ESTADO = 'revision_estado';
+const TRANSICIONES = 'revision_transiciones';
+
+const AMBITOS = ['global', 'cargo', 'ubicacion'];
+
+function createVencimientosRepository(db) {
+    return {
+        async listIntervalos() {
+            const { rows } = await db.select(INTERVALOS, {
+                order: [{ column: 'ambito', ascending: true }, { column: 'valor', ascending: true }]
+            });
+            return rows;
+        },
+
+        /**
+         * Deja exactamente los intervalos de `intervalos` ({ ambito, valor, dias }):
+         * actualiza o crea los indicados y borra el resto.
+         */
+        async reemplazarIntervalos(intervalos) {
+            const ahora = new Date().toISOString();
+            const guardados = await db.upsert(INTERVALOS,
+                intervalos.map(intervalo => ({ ...intervalo, fecha_actualizacion: ahora })),
+                { onConflict: 'ambito,valor' });
+
+            const conservar = new Set(guardados.map(intervalo => intervalo.id));
+            for (const intervalo of await this.listIntervalos()) {
+                if (!conservar.has(intervalo.id)) {
+                    await db.remove(INTERVALOS, [['id', 'eq', intervalo.id]]);
+                }
+            }
+            return this.listIntervalos();
+        },
+
+        // Mapa computador_id → { estado, proxima_revision }
+        async estados() {
+            const rows = await leerTodo(db, ESTADO, { clave: 'computador_id' });
+            return new Map(rows.map(row => [row.computador_id, row]));
+        },
+
+        guardarEstados(estados) {
+            if (estados.length === 0) return Promise.resolve([]);
+            return db.upsert(ESTADO, estados, { onConflict: 'computador_id' });
+        },
+
+        registrarTransicion(transicion) {
+            return db.insert(TRANSICIONES, transicion);
+        },
+
+        // Filtros: estado_nuevo, computador_id, desde (fecha ISO). Más recientes primero.
+        listTransiciones(filtros = {}, { limit, offset = 0 } = {}) {
+            const filters = [];
+            if (filtros.estado_nuevo) filters.push(['estado_nuevo', 'eq', filtros.estado_nuevo]);
+            if (filtros.computador_id) filters.push(['computador_id', 'eq', filtros.computador_id]);
+            if (filtros.desde) filters.push(['fecha', 'gte', filtros.desde]);
+
+            return db.select(TRANSICIONES, {
+                filters,
+                order: [{ column: 'id', ascending: false }],
+                limit,
+                offset,
+                count: true
+            });
+        }
+    };
+}
+
+module.exports = { createVencimientosRepository, AMBITOS };
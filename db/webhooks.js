@@ -0,0 +1,106 @@
+// Repositorio de las tablas webhooks y webhook_entregas
+
+const TABLE = 'webhooks';
+const ENTREGAS = 'webhook_entregas';
+const ESTADOS_ENTREGA = ['pendiente', 'entregada', 'fallida'];
+
+// Columnas seguras para responder al cliente (sin el secreto)
+const PUBLIC_COLUMNS = 'id, url, eventos, descripcion, activo, creado_por, fecha_creacion, fecha_actualizacion';
+// El listado de entregas omite payload y respuesta (ver getEntrega)
+const RESUMEN_ENTREGA = 'id, webhook_id, evento, estado, intentos, proximo_intento, respuesta_status, ' +
+    'ultimo_error, reenvio_de, fecha_creacion, fecha_entrega';
+
+function createWebhooksRepository(db) {
+    return {
+        async list() {
+            const { rows } = await db.select(TABLE, {
+                columns: PUBLIC_COLUMNS,
+                order: [{ column: 'id', ascending: true }]
+            });
+            return rows;
+        },
+
+        async get(id) {
+            const { rows } = await db.select(TABLE, { columns: PUBLIC_COLUMNS, filters: [['id', 'eq', id]] });
+            return rows[0] || null;
+        },
+
+        // Incluye el secreto: solo para firmar entregas
+        async getWithSecret(id) {
+            const { rows } = await db.select(TABLE, { filters: [['id', 'eq', id]] });
+            return rows[0] || null;
+        },
+
+        // Webhooks activos con secreto, para repartir un evento
+        async listActivos() {
+            const { rows } = await db.select(TABLE, { filters: [['activo', 'is', true]] });
+            return rows;
+        },
+
+        async create(webhook) {
+            const creado = await db.insert(TABLE, webhook);
+            delete creado.secreto;
+            return creado;
+        },
+
+        async update(id, changes) {
+            const rows = await db.update(TABLE, [['id', 'eq', id]], {
+                ...changes,
+                fecha_actualizacion: new Date().toISOString()
+            });
+            if (!rows[0]) return null;
+            delete rows[0].secreto;
+            return rows[0];
+        },
+
+        // Las entregas se borran en cascada
+        async remove(id) {
+            const rows = await db.remove(TABLE, [['id', 'eq', id]]);
+            return rows[0] || null;
+        },
+
+        createEntrega(entrega) {
+            return db.insert(ENTREGAS, entrega);
+        },
+
+        // Entregas de un webhook, de la más reciente a la más antigua
+        listEntregas(webhookId, { estado, evento, limit, offset = 0 } = {}) {
+            const filters = [['webhook_id', 'eq', webhookId]];
+            if (estado) filters.push(['estado', 'eq', estado]);
+            if (evento) filters.push(['evento', 'eq', evento]);
+
+            return db.select(ENTREGAS, {
+                columns: RESUMEN_ENTREGA,
+                filters,
+                order: [{ column: 'id', ascending: false }],
+                limit,
+                offset,
+                count: true
+            });
+        },
+
+        async getEntrega(webhookId, id) {
+            const { rows } = await db.select(ENTREGAS, {
+                filters: [['webhook_id', 'eq', webhookId], ['id', 'eq', id]]
+            });
+            return rows[0] || null;
+        },
+
+        // Entregas pendientes cuyo próximo intento ya llegó
+        async entregasVencidas(ahora, limit) {
+            const { rows } = await db.select(ENTREGAS, {
+                filters: [['estado', 'eq', 'pendiente'], ['proximo_intento', 'lte', ahora]],
+                order: [{ column: 'proximo_intento', ascending: true }],
+                limit
+            });
+            return rows;
+        },
+
+        async updateEntrega(id, changes) {
+            const rows = await db.update(ENTREGAS, [['id', 'eq', id]], changes);
+            return rows[0] || null;
+        }
+    };
+}
+
+module.exports = { createWebhooksRepository, ESTADOS_ENTREGA };
@@ -0,0 +1,230 @@
+// Verificación del almacenamiento de imágenes: cruza las imágenes que
+// referencia la base (equipos, también los de la papelera, revisiones y
+// órdenes de trabajo) con los archivos que hay en cada backend.
+
+const { celdaCsv } = require('./export');
+
+// Los archivos más nuevos que esto no se consideran huérfanos: una subida
+// guarda el archivo antes de escribir el registro que lo referencia
+const GRACIA_MIN = parseInt(process.env.ALMACENAMIENTO_GRACIA_MIN, 10) || 60;
+
+// Clave de la imagen original y de cada variante en su backend
+function clavesDe(target, imagen) {
+    return [
+        { key: target.keyOf(imagen), variante: null },
+        ...Object.entries(imagen.variantes || {}).map(([nombre, variante]) => ({
+            key: target.keyOf(variante),
+            variante: nombre
+        }))
+    ].filter(clave => clave.key);
+}
+
+/**
+ * Referencias de la base por backend: Map backend → Map clave → referencia
+ * ({ origen, computador_id, equipo_id, imagen_id, variante, referencias }).
+ * Una clave referenciada desde varios registros conserva el primer origen
+ * (primero los equipos) y cuenta cuántas veces aparece. `noVerificadas`
+ * son las imágenes de un backend desconocido o sin configurar. Todas las
+ * fuentes se leen por lotes; si una falla se lanza el error en lugar de
+ * devolver referencias parciales, que harían pasar por huérfanos archivos
+ * en uso.
+ */
+async function recolectarReferencias({ storage, computadoresRepo, revisionesRepo, ordenesRepo }) {
+    const referencias = new Map();
+    const noVerificadas = [];
+
+    // Backend de la imagen o, si no se puede usar (desconocido o sin configurar), null
+    const drivers = new Map();
+    const driverDe = backend => {
+        if (!drivers.has(backend)) {
+            try {
+                drivers.set(backend, storage.get(backend));
+            } catch (error) {
+                drivers.set(backend, null);
+            }
+        }
+        return drivers.get(backend);
+    };
+
+    const agregar = (imagen, origen, computadorId, equipoId) => {
+        if (!imagen || (!imagen.filename && !imagen.url)) return;
+        const backend = imagen.backend || storage.inferLegacyBackend(imagen);
+        const target = driverDe(backend);
+        if (!target) {
+            noVerificadas.push({ origen, computador_id: computadorId, equipo_id: equipoId, imagen_id: imagen.id || null, backend });
+            return;
+        }
+        if (!referencias.has(backend)) referencias.set(backend, new Map());
+        const claves = referencias.get(backend);
+
+        for (const { key, variante } of clavesDe(target, imagen)) {
+            const existente = claves.get(key);
+            if (existente) {
+                existente.referencias++;
+            } else {
+                claves.set(key, {
+                    origen,
+                    computador_id: computadorId,
+                    equipo_id: equipoId,
+                    imagen_id: imagen.id || null,
+                    variante,
+                    referencias: 1
+                });
+            }
+        }
+    };
+
+    const equipos = new Map();
+    for await (const lote of computadoresRepo.iterarImagenes({ conPapelera: true })) {
+        for (const computador of lote) {
+            equipos.set(computador.id, computador.equipo_id);
+            for (const imagen of Array.isArray(computador.imagenes) ? computador.imagenes : []) {
+                agregar(imagen, 'equipo', computador.id, computador.equipo_id);
+            }
+        }
+    }
+    for (const [origen, repo] of [['revision', revisionesRepo], ['orden', ordenesRepo]]) {
+        for await (const lote of repo.iterarImagenes()) {
+            for (const fila of lote) {
+                for (const imagen of Array.isArray(fila.imagenes) ? fila.imagenes : []) {
+                    agregar(imagen, origen, fila.computador_id, equipos.get(fila.computador_id) || null);
+                }
+            }
+        }
+    }
+
+    return { referencias, noVerificadas };
+}
+
+/**
+ * Informe de consistencia. Por cada backend revisado (`backends`; por
+ * defecto el configurado, el local y los que aparecen en la base) lista los
+ * archivos referenciados que faltan y los archivos que nadie referencia,
+ * con totales de archivos y bytes. Si no se puede listar un backend (p. ej.
+ * sin configurar) su entrada lleva `error` y no se informan huérfanos.
+ */
+async function verificarAlmacenamiento({
+    storage, computadoresRepo, revisionesRepo, ordenesRepo, backends,
+    graciaMin = GRACIA_MIN, ahora = new Date()
+}) {
+    const { referencias, noVerificadas } = await recolectarReferencias({ storage, computadoresRepo, revisionesRepo, ordenesRepo });
+    const revisar = backends || [...new Set([storage.driver, 'local', ...referencias.keys()])];
+    const limiteGracia = ahora.getTime() - graciaMin * 60 * 1000;
+
+    const informe = {
+        fecha: ahora.toISOString(),
+        gracia_min: graciaMin,
+        resumen: {
+            referencias: 0,
+            archivos: 0,
+            bytes: 0,
+            faltantes: 0,
+            huerfanos: 0,
+            bytes_huerfanos: 0,
+            imagenes_no_verificadas: noVerificadas.length
+        },
+        backends: [],
+        faltantes: [],
+        huerfanos: [],
+        no_verificadas: noVerificadas
+    };
+
+    for (const backend of revisar) {
+        const claves = referencias.get(backend) || new Map();
+        const estado = { backend, referencias: claves.size };
+        informe.resumen.referencias += claves.size;
+
+        let archivos;
+        try {
+            archivos = await storage.get(backend).list();
+        } catch (error) {
+            console.error(`No se pudo listar el almacenamiento ${backend}:`, error.message);
+            informe.backends.push({ ...estado, error: error.message });
+            continue;
+        }
+
+        const presentes = new Set(archivos.map(archivo => archivo.key));
+        const faltantes = [...claves].filter(([key]) => !presentes.has(key));
+        const huerfanos = [];
+        let recientes = 0;
+        for (const archivo of archivos) {
+            if (claves.has(archivo.key)) continue;
+            if (archivo.fecha && Date.parse(archivo.fecha) > limiteGracia) {
+                recientes++;
+            } else {
+                huerfanos.push(archivo);
+            }
+        }
+
+        const bytes = archivos.reduce((suma, archivo) => suma + (archivo.size || 0), 0);
+        const bytesHuerfanos = huerfanos.reduce((suma, archivo) => suma + (archivo.size || 0), 0);
+        informe.backends.push({
+            ...estado,
+            archivos: archivos.length,
+            bytes,
+            faltantes: faltantes.length,
+            huerfanos: huerfanos.length,
+            bytes_huerfanos: bytesHuerfanos,
+            recientes_sin_referencia: recientes
+        });
+        informe.resumen.archivos += archivos.length;
+        informe.resumen.bytes += bytes;
+        informe.resumen.faltantes += faltantes.length;
+        informe.resumen.huerfanos += huerfanos.length;
+        informe.resumen.bytes_huerfanos += bytesHuerfanos;
+
+        informe.faltantes.push(...faltantes.map(([key, referencia]) => ({ backend, key, ...referencia })));
+        informe.huerfanos.push(...huerfanos.map(archivo => ({ backend, ...archivo })));
+    }
+
+    return informe;
+}
+
+/**
+ * Borra los huérfanos de `informe` (con `aplicar`) o solo informa qué se
+ * borraría. Los archivos que faltan no se tocan: la referencia queda en la
+ * base y se ve en el informe.
+ */
+async function limpiarHuerfanos({ storage, informe, aplicar = false }) {
+    const limpieza = {
+        dry_run: !aplicar,
+        archivos: informe.huerfanos.length,
+        bytes: informe.huerfanos.reduce((suma, archivo) => suma + (archivo.size || 0), 0),
+        eliminados: 0,
+        bytes_liberados: 0,
+        errores: []
+    };
+    if (!aplicar) return limpieza;
+
+    for (const archivo of informe.huerfanos) {
+        try {
+            if (await storage.get(archivo.backend).remove(archivo.key)) {
+                archivo.eliminado = true;
+                limpieza.eliminados++;
+                limpieza.bytes_liberados += archivo.size || 0;
+            }
+        } catch (error) {
+            limpieza.errores.push({ backend: archivo.backend, key: archivo.key, error: error.message });
+        }
+    }
+    console.log(`Limpieza de almacenamiento: ${limpieza.eliminados} archivos eliminados ` +
+        `(${limpieza.bytes_liberados} bytes), ${limpieza.errores.length} errores`);
+    return limpieza;
+}
+
+// Informe como CSV (UTF-8 con BOM para Excel): una fila por archivo faltante o huérfano
+function informeCsv(informe) {
+    const filas = [['TIPO', 'BACKEND', 'CLAVE', 'BYTES', 'FECHA ARCHIVO', 'ORIGEN', 'COMPUTADOR ID',
+        'ID EQUIPO', 'IMAGEN ID', 'VARIANTE', 'REFERENCIAS', 'ELIMINADO']];
+    for (const faltante of informe.faltantes) {
+        filas.push(['faltante', faltante.backend, faltante.key, null, null, faltante.origen, faltante.computador_id,
+            faltante.equipo_id, faltante.imagen_id, faltante.variante, faltante.referencias, null]);
+    }
+    for (const huerfano of informe.huerfanos) {
+        filas.push(['huerfano', huerfano.backend, huerfano.key, huerfano.size, huerfano.fecha, null, null,
+            null, null, null, 0, huerfano.eliminado ? 'si' : 'no']);
+    }
+    return '\uFEFF' + filas.map(celdas => celdas.map(celdaCsv).join(',')).join('\r\n') + '\r\n';
+}
+
+module.exports = { verificarAlmacenamiento, limpiarHuerfanos, informeCsv, GRACIA_MIN };
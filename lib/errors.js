@@ -0,0 +1,54 @@
+// Error con código HTTP y código estable para el cliente.
+// handleSupabaseError respeta `status` y `code` cuando están presentes.
+function httpError(status, code, message, details) {
+    const error = new Error(message);
+    error.status = status;
+    error.code = code;
+    if (details !== undefined) {
+        error.details = details;
+    }
+    return error;
+}
+
+// Responde con el error de una operación de base de datos o un httpError.
+// Los códigos de PostgreSQL son los mismos con Supabase y con el driver postgres.
+function handleSupabaseError(error, res, operation = 'operación') {
+    console.error(`Error en ${operation}:`, error);
+    
+    let statusCode = 500;
+    let message = 'Error interno del servidor';
+    let details = error.message;
+    
+    if (error.status) {
+        // Errores propios (httpError) ya traen código y mensaje para el cliente
+        statusCode = error.status;
+        message = error.message;
+        details = error.details;
+    } else if (error.code === '23505') {
+        statusCode = 400;
+        message = 'El ID del equipo ya existe';
+        details = 'El identificador del equipo debe ser único';
+    } else if (error.code === '23514') {
+        statusCode = 400;
+        message = 'Valor no válido';
+        details = 'El valor proporcionado no cumple con las restricciones';
+    } else if (error.code === '23502') {
+        statusCode = 400;
+        message = 'Campo requerido faltante';
+    }
+    
+    if (error.headers) {
+        res.set(error.headers);
+    }
+    res.status(statusCode).json({
+        error: message,
+        details: details,
+        code: error.code || 'SUPABASE_ERROR',
+        // Errores de validación por campo (lib/validacion.js)
+        ...(error.errores ? { errores: error.errores } : {}),
+        // Datos propios del error (p. ej. el registro vigente en un 412, lib/etag.js)
+        ...(error.respuesta || {})
+    });
+}
+
+module.exports = { httpError, handleSupabaseError };
@@ -0,0 +1,130 @@
+const { ESTADOS, WINDOWS_UPDATE } = require('../db/computadores');
+const { EVENTOS_WEBHOOK } = require('./webhooks');
+const { PRIORIDADES, ESTADOS_ORDEN } = require('../db/ordenes');
+const { MOMENTOS_FOTO } = require('./ordenes');
+const { OPERACIONES_SYNC } = require('./sync');
+const { ROLES } = require('../db/usuarios');
+const { MIN_PASSWORD_LENGTH } = require('./passwords');
+
+// Esquemas de los cuerpos de petición (ver lib/validacion.js). Los límites
+// coinciden con las columnas de migrations/001_computadores.up.sql.
+
+const COMPUTADOR = {
+    equipo_id: { tipo: 'texto', requerido: true, max: 100 },
+    serial_number: { tipo: 'texto', requerido: true, max: 100 },
+    placa_ml: { tipo: 'texto', max: 100 },
+    latitud: { tipo: 'numero', min: -90, max: 90 },
+    longitud: { tipo: 'numero', min: -180, max: 180 },
+    direccion_automatica: { tipo: 'texto', max: 1000 },
+    ubicacion_manual: { tipo: 'texto', max: 1000 },
+    responsable: { tipo: 'texto', requerido: true, max: 200 },
+    cargo: { tipo: 'texto', requerido: true, max: 100 },
+    estado: { tipo: 'enum', requerido: true, valores: ESTADOS },
+    windows_update: { tipo: 'enum', requerido: true, valores: WINDOWS_UPDATE },
+    observaciones: { tipo: 'texto', max: 5000 },
+    problemas_detectados: { tipo: 'texto', max: 5000 },
+    // Sin sede_id la sede se asigna por coordenadas (lib/sedes.js)
+    sede_id: { tipo: 'entero', min: 1 },
+    area: { tipo: 'texto', max: 100 }
+};
+
+// Metadatos editables de una imagen (PATCH /api/computadores/:id/imagenes/:imageId)
+const IMAGEN = {
+    title: { tipo: 'texto', max: 200 },
+    tag: { tipo: 'texto', max: 50 },
+    descripcion: { tipo: 'texto', max: 1000 },
+    orden: { tipo: 'entero', min: 1 }
+};
+
+// Sede (POST/PATCH /api/sedes). La zona es `poligono` o latitud, longitud y
+// radio_m; el polígono y las áreas se revisan en routes/sedes.js.
+const SEDE = {
+    nombre: { tipo: 'texto', requerido: true, max: 200 },
+    direccion: { tipo: 'texto', max: 1000 },
+    latitud: { tipo: 'numero', min: -90, max: 90 },
+    longitud: { tipo: 'numero', min: -180, max: 180 },
+    radio_m: { tipo: 'entero', min: 1, max: 100000 },
+    poligono: { tipo: 'lista' },
+    areas: { tipo: 'lista' }
+};
+
+// Motivo de DELETE /api/computadores/:id (cuerpo JSON o ?motivo=)
+const ELIMINACION = {
+    motivo: { tipo: 'texto', max: 1000 }
+};
+
+// Cada cambio de POST /api/sync. `datos` se valida con COMPUTADOR; para
+// actualizar se indica computador_id o el id_cliente del cambio que lo creó.
+const CAMBIO_SYNC = {
+    id_cliente: { tipo: 'texto', requerido: true, max: 100 },
+    operacion: { tipo: 'enum', requerido: true, valores: OPERACIONES_SYNC },
+    computador_id: { tipo: 'entero', min: 1 },
+    computador_cliente: { tipo: 'texto', max: 100 },
+    version_base: { tipo: 'texto', max: 50 },
+    datos: { tipo: 'objeto', requerido: true },
+    imagenes: { tipo: 'lista' }
+};
+
+// Suscripción a webhooks (POST/PATCH /api/webhooks); sin secreto se genera uno
+const WEBHOOK = {
+    url: { tipo: 'texto', requerido: true, max: 2000, formato: 'url' },
+    eventos: { tipo: 'lista', requerido: true, valores: EVENTOS_WEBHOOK },
+    secreto: { tipo: 'texto', min: 16, max: 200 },
+    descripcion: { tipo: 'texto', max: 500 },
+    activo: { tipo: 'booleano' }
+};
+
+// Orden de trabajo nueva (POST /api/ordenes)
+const ORDEN = {
+    computador_id: { tipo: 'entero', requerido: true, min: 1 },
+    titulo: { tipo: 'texto', requerido: true, max: 200 },
+    descripcion: { tipo: 'texto', max: 5000 },
+    prioridad: { tipo: 'enum', valores: PRIORIDADES },
+    asignado_a: { tipo: 'entero', min: 1 }
+};
+
+// Cambios a una orden (PATCH /api/ordenes/:id). `comentario` y `minutos`
+// quedan en el registro junto con el cambio; `marcar_operativo` devuelve el
+// equipo a operativo al cerrar su última orden.
+const ORDEN_CAMBIOS = {
+    titulo: { tipo: 'texto', requerido: true, max: 200 },
+    descripcion: { tipo: 'texto', max: 5000 },
+    prioridad: { tipo: 'enum', requerido: true, valores: PRIORIDADES },
+    asignado_a: { tipo: 'entero', min: 1 },
+    estado: { tipo: 'enum', requerido: true, valores: ESTADOS_ORDEN },
+    comentario: { tipo: 'texto', max: 5000 },
+    minutos: { tipo: 'entero', min: 0, max: 1440 },
+    marcar_operativo: { tipo: 'booleano' }
+};
+
+// Comentario con tiempo invertido (POST /api/ordenes/:id/comentarios)
+const COMENTARIO_ORDEN = {
+    texto: { tipo: 'texto', requerido: true, max: 5000 },
+    minutos: { tipo: 'entero', min: 0, max: 1440 }
+};
+
+// Usuario nuevo (POST /api/usuarios). La contraseña no se recorta.
+const USUARIO = {
+    email: { tipo: 'texto', requerido: true, max: 200 },
+    nombre: { tipo: 'texto', requerido: true, max: 100 },
+    rol: { tipo: 'enum', requerido: true, valores: ROLES },
+    password: { tipo: 'texto', requerido: true, literal: true, min: MIN_PASSWORD_LENGTH, max: 200 }
+};
+
+// Cambios a un usuario (PATCH /api/usuarios/:id)
+const USUARIO_CAMBIOS = {
+    nombre: USUARIO.nombre,
+    rol: USUARIO.rol,
+    activo: { tipo: 'booleano', requerido: true },
+    password: USUARIO.password
+};
+
+// Campos multipart de POST /api/ordenes/:id/imagenes
+const FOTO_ORDEN = {
+    momento: { tipo: 'enum', requerido: true, valores: MOMENTOS_FOTO }
+};
+
+module.exports = {
+    COMPUTADOR, IMAGEN, SEDE, ELIMINACION, CAMBIO_SYNC, WEBHOOK, ORDEN, ORDEN_CAMBIOS, COMENTARIO_ORDEN, FOTO_ORDEN,
+    USUARIO, USUARIO_CAMBIOS
+};
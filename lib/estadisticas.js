@@ -0,0 +1,87 @@
+const { httpError } = require('./errors');
+
+// Zona horaria de las estadísticas cuando la petición no indica `zona`
+const ZONA_HORARIA = process.env.ESTADISTICAS_ZONA_HORARIA || 'UTC';
+
+// Campos por los que se puede agrupar (GET /api/estadisticas/agrupadas)
+const AGRUPACIONES = ['estado', 'revisor', 'cargo', 'sede', 'ubicacion'];
+
+// intervalo de la API → unidad de date_trunc, rango por defecto y máximo de períodos
+const INTERVALOS = {
+    dia: { unidad: 'day', defecto: 30, maximo: 366 },
+    semana: { unidad: 'week', defecto: 12, maximo: 260 },
+    mes: { unidad: 'month', defecto: 12, maximo: 120 }
+};
+
+const DIA_MS = 24 * 60 * 60 * 1000;
+
+// Valida un nombre de zona IANA (America/Bogota, UTC...)
+function leerZona(valor) {
+    const zona = valor === undefined || valor === '' ? ZONA_HORARIA : String(valor);
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: zona });
+    } catch (error) {
+        throw httpError(400, 'INVALID_QUERY', `Zona horaria no válida: ${zona}`, 'Use un nombre IANA, por ejemplo America/Bogota');
+    }
+    return zona;
+}
+
+// Fecha AAAA-MM-DD de `fecha` en `zona`
+function fechaEnZona(fecha, zona) {
+    return new Intl.DateTimeFormat('en-CA', { timeZone: zona, year: 'numeric', month: '2-digit', day: '2-digit' }).format(fecha);
+}
+
+function leerDia(valor, parametro) {
+    // Date.parse acepta 2026-02-31; la base no
+    const fecha = new Date(`${valor}T00:00:00Z`);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(valor) || Number.isNaN(fecha.getTime()) || fecha.toISOString().slice(0, 10) !== valor) {
+        throw httpError(400, 'INVALID_QUERY', `Fecha no válida en ${parametro}`, 'Use formato AAAA-MM-DD');
+    }
+    return valor;
+}
+
+// `dia` menos `cantidad` días, semanas o meses (los meses desde el día 1)
+function restarPeriodos(dia, unidad, cantidad) {
+    const fecha = new Date(`${dia}T00:00:00Z`);
+    if (unidad === 'day') fecha.setUTCDate(fecha.getUTCDate() - cantidad);
+    if (unidad === 'week') fecha.setUTCDate(fecha.getUTCDate() - 7 * cantidad);
+    if (unidad === 'month') fecha.setUTCMonth(fecha.getUTCMonth() - cantidad, 1);
+    return fecha.toISOString().slice(0, 10);
+}
+
+function contarPeriodos(desde, hasta, unidad) {
+    const inicio = new Date(`${desde}T00:00:00Z`);
+    const fin = new Date(`${hasta}T00:00:00Z`);
+    if (unidad === 'month') {
+        return (fin.getUTCFullYear() - inicio.getUTCFullYear()) * 12 + fin.getUTCMonth() - inicio.getUTCMonth() + 1;
+    }
+    return Math.floor((fin - inicio) / DIA_MS / (unidad === 'week' ? 7 : 1)) + 1;
+}
+
+/**
+ * Interpreta intervalo (dia, semana o mes), desde y hasta (AAAA-MM-DD en
+ * la zona) y zona de GET /api/estadisticas/series. Sin fechas se toman los
+ * últimos 30 días, 12 semanas o 12 meses hasta hoy.
+ */
+function leerSerie(query) {
+    const { intervalo = 'dia' } = query;
+    const config = INTERVALOS[intervalo];
+    if (!config) {
+        throw httpError(400, 'INVALID_QUERY', `Intervalo no válido: ${intervalo}`, `Use ${Object.keys(INTERVALOS).join(', ')}`);
+    }
+    const zona = leerZona(query.zona);
+
+    const hasta = query.hasta ? leerDia(query.hasta, 'hasta') : fechaEnZona(new Date(), zona);
+    const desde = query.desde ? leerDia(query.desde, 'desde') : restarPeriodos(hasta, config.unidad, config.defecto - 1);
+    if (desde > hasta) {
+        throw httpError(400, 'INVALID_QUERY', 'desde debe ser anterior o igual a hasta');
+    }
+    if (contarPeriodos(desde, hasta, config.unidad) > config.maximo) {
+        throw httpError(400, 'INVALID_QUERY', 'Rango de fechas demasiado amplio',
+            `Máximo ${config.maximo} períodos con intervalo=${intervalo}`);
+    }
+
+    return { intervalo, unidad: config.unidad, desde, hasta, zona };
+}
+
+module.exports = { leerZona, leerSerie, fechaEnZona, AGRUPACIONES, INTERVALOS, ZONA_HORARIA };
@@ -0,0 +1,43 @@
+const { httpError } = require('./errors');
+
+// ETag fuerte de un equipo: cambia con cada UPDATE (columna version, migración 012)
+function etagComputador(computador) {
+    return `"${computador.id}-${computador.version}"`;
+}
+
+// Valores de If-Match / If-None-Match: lista separada por comas o *
+function leerEtags(valor) {
+    return String(valor).split(',').map(etag => etag.trim()).filter(Boolean);
+}
+
+// If-Match usa comparación fuerte: un ETag débil (W/) nunca coincide.
+// Sin el encabezado la escritura no es condicional.
+function cumpleIfMatch(req, computador) {
+    const valor = req.get('If-Match');
+    if (!valor) return true;
+    const etags = leerEtags(valor);
+    return etags.includes('*') || etags.includes(etagComputador(computador));
+}
+
+// If-None-Match usa comparación débil: W/"x" equivale a "x"
+function noModificado(req, computador) {
+    const valor = req.get('If-None-Match');
+    if (!valor) return false;
+    const etags = leerEtags(valor).map(etag => etag.replace(/^W\//, ''));
+    return etags.includes('*') || etags.includes(etagComputador(computador));
+}
+
+/**
+ * 412 para una escritura con If-Match cuyo ETag ya no es el del equipo.
+ * Lleva la versión vigente y el registro (ya presentado para el cliente)
+ * para que pueda mostrar los cambios y combinarlos.
+ */
+function errorVersion(computador, presentado) {
+    const error = httpError(412, 'PRECONDITION_FAILED', 'El registro cambió desde la última lectura',
+        'Vuelva a cargar el equipo, combine los cambios y envíe el nuevo ETag en If-Match');
+    error.headers = { ETag: etagComputador(computador) };
+    error.respuesta = { version: computador.version, etag: etagComputador(computador), actual: presentado };
+    return error;
+}
+
+module.exports = { etagComputador, cumpleIfMatch, noModificado, errorVersion };
@@ -0,0 +1,82 @@
+const { EventEmitter } = require('events');
+
+// Eventos de cambios en computadores que emiten las rutas de escritura del
+// propio servidor (no dependen de Supabase Realtime ni del driver de base).
+// Los de revisión los emite el programador de lib/vencimientos.js.
+const TIPOS_EVENTO = ['creado', 'actualizado', 'eliminado', 'restaurado', 'revision_por_vencer', 'revision_vencida'];
+
+// Eventos recientes que se conservan para reanudar con Last-Event-ID
+const STREAM_BUFFER = parseInt(process.env.STREAM_BUFFER, 10) || 1000;
+
+/**
+ * Bus de eventos en memoria del proceso. Los IDs son crecientes y parten de
+ * la hora de arranque, así un ID de un proceso anterior siempre es menor que
+ * los del actual y se detecta como hueco al reanudar.
+ */
+function createEventos({ capacidad = STREAM_BUFFER } = {}) {
+    const emitter = new EventEmitter();
+    // Cada conexión abierta de /api/stream es un listener
+    emitter.setMaxListeners(0);
+    const recientes = [];
+    let ultimoId = Date.now();
+
+    return {
+        /**
+         * Registra un cambio y lo envía a los suscriptores. `computador` es
+         * el registro tal como quedó (al eliminarlo, ya en la papelera);
+         * `anterior`, si se conoce, el registro antes de actualizarlo.
+         */
+        publicar(tipo, computador, usuario, anterior) {
+            if (!TIPOS_EVENTO.includes(tipo)) {
+                throw new Error(`Tipo de evento desconocido: ${tipo}`);
+            }
+
+            const evento = {
+                id: ++ultimoId,
+                tipo,
+                computador_id: computador.id,
+                equipo_id: computador.equipo_id,
+                usuario: usuario ? usuario.nombre : null,
+                usuario_id: usuario ? usuario.id : null,
+                fecha: new Date().toISOString(),
+                estado_anterior: anterior ? anterior.estado : null,
+                computador
+            };
+
+            recientes.push(evento);
+            if (recientes.length > capacidad) recientes.shift();
+            emitter.emit('evento', evento);
+            return evento;
+        },
+
+        /**
+         * Eventos posteriores a `id`. `completo` es false si algunos ya
+         * salieron del buffer (o el ID es de otro proceso) y el cliente debe
+         * recargar su estado.
+         */
+        desde(id) {
+            const posteriores = recientes.filter(evento => evento.id > id);
+            const primero = recientes.length > 0 ? recientes[0].id : ultimoId + 1;
+            return {
+                eventos: posteriores,
+                completo: id >= primero - 1 && id <= ultimoId
+            };
+        },
+
+        // Devuelve la función para cancelar la suscripción
+        suscribir(listener) {
+            emitter.on('evento', listener);
+            return () => emitter.off('evento', listener);
+        },
+
+        get ultimoId() {
+            return ultimoId;
+        },
+
+        get suscriptores() {
+            return emitter.listenerCount('evento');
+        }
+    };
+}
+
+module.exports = { createEventos, TIPOS_EVENTO };
@@ -0,0 +1,163 @@
+const { once } = require('events');
+const ExcelJS = require('exceljs');
+
+// Enlaces a imágenes por fila; el resto se cuenta en CANTIDAD IMÁGENES
+const MAX_IMAGENES_EXPORTADAS = 5;
+const FORMATO_FECHA = 'dd/mm/yyyy hh:mm';
+const ESTILO_ENLACE = { color: { argb: 'FF0563C1' }, underline: true };
+
+function fecha(valor) {
+    return valor ? new Date(valor) : null;
+}
+
+function imagenesDe(row) {
+    return Array.isArray(row.imagenes) ? row.imagenes : [];
+}
+
+// Columnas del export: `valor` recibe la fila y devuelve el dato tipado
+const COLUMNAS = [
+    { header: 'ID EQUIPO', width: 16, valor: row => row.equipo_id },
+    { header: 'SERIAL', width: 18, valor: row => row.serial_number },
+    { header: 'PLACA/ML', width: 14, valor: row => row.placa_ml || 'NO ASIGNADO' },
+    { header: 'RESPONSABLE', width: 24, valor: row => row.responsable },
+    { header: 'CARGO', width: 18, valor: row => row.cargo },
+    { header: 'ESTADO', width: 14, valor: row => row.estado.toUpperCase() },
+    { header: 'WINDOWS UPDATE', width: 10, valor: row => (row.windows_update === 'si' ? 'SÍ' : 'NO') },
+    { header: 'SEDE', width: 24, valor: row => row.sede || 'SIN SEDE' },
+    { header: 'ÁREA', width: 18, valor: row => row.area || 'NO ESPECIFICADA' },
+    { header: 'UBICACIÓN', width: 30, valor: row => row.direccion_automatica || row.ubicacion_manual || 'NO ESPECIFICADA' },
+    { header: 'LATITUD', width: 12, valor: row => (row.latitud != null ? Number(row.latitud) : null) },
+    { header: 'LONGITUD', width: 12, valor: row => (row.longitud != null ? Number(row.longitud) : null) },
+    { header: 'PROBLEMAS', width: 30, valor: row => row.problemas_detectados || 'NINGUNO' },
+    { header: 'OBSERVACIONES', width: 30, valor: row => row.observaciones || 'SIN OBSERVACIONES' },
+    { header: 'REVISOR', width: 20, valor: row => row.revisor || 'NO ESPECIFICADO' },
+    { header: 'FECHA REVISIÓN', width: 17, fecha: true, valor: row => fecha(row.fecha_revision) },
+    { header: 'FECHA ACTUALIZACIÓN', width: 17, fecha: true, valor: row => fecha(row.fecha_actualizacion) },
+    { header: 'CANTIDAD IMÁGENES', width: 10, valor: row => imagenesDe(row).length },
+    {
+        header: 'DESCRIPCIÓN IMÁGENES',
+        width: 30,
+        valor: row => (imagenesDe(row).length > 0 ? imagenesDe(row).map(img => img.title).join('; ') : 'Sin imágenes')
+    }
+];
+
+const ETIQUETAS_RESUMEN = {
+    total: 'Total de equipos',
+    operativos: 'Operativos',
+    mantenimiento: 'En mantenimiento',
+    dañados: 'Dañados',
+    windows_si: 'Windows actualizado',
+    windows_no: 'Windows sin actualizar',
+    revisiones_hoy: 'Revisiones de hoy',
+    con_problemas: 'Con problemas detectados',
+    con_ubicacion: 'Con ubicación',
+    con_imagenes: 'Con imágenes',
+    total_imagenes: 'Total de imágenes'
+};
+
+// Las imágenes locales se guardan con ruta relativa (/uploads/...)
+function urlAbsoluta(url, baseUrl) {
+    return /^https?:\/\//.test(url) ? url : `${baseUrl}${url}`;
+}
+
+function nombreArchivo(extension) {
+    return `computadores-${new Date().toISOString().slice(0, 10)}.${extension}`;
+}
+
+/**
+ * Escribe un .xlsx en `res` a medida que llegan los lotes de `lotes` (async
+ * iterable de arreglos de filas, con el nombre de la sede en `sede`). La
+ * hoja Resumen se agrega al final con las estadísticas de `obtenerResumen()`.
+ */
+async function exportarXlsx(res, { lotes, obtenerResumen, baseUrl }) {
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="${nombreArchivo('xlsx')}"`);
+
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+    const hoja = workbook.addWorksheet('Computadores', { views: [{ state: 'frozen', ySplit: 1 }] });
+
+    const imagenes = Array.from({ length: MAX_IMAGENES_EXPORTADAS }, (_, i) => ({ header: `IMAGEN ${i + 1}`, width: 12 }));
+    hoja.columns = [...COLUMNAS, ...imagenes].map(({ header, width, fecha: esFecha }) => ({
+        header,
+        width,
+        style: esFecha ? { numFmt: FORMATO_FECHA } : undefined
+    }));
+    hoja.getRow(1).font = { bold: true };
+    hoja.getRow(1).commit();
+
+    let exportados = 0;
+    for await (const lote of lotes) {
+        for (const row of lote) {
+            const enlaces = imagenesDe(row).slice(0, MAX_IMAGENES_EXPORTADAS).map((img, i) => ({
+                text: img.title || `Imagen ${i + 1}`,
+                hyperlink: urlAbsoluta(img.url, baseUrl)
+            }));
+            const fila = hoja.addRow([...COLUMNAS.map(columna => columna.valor(row)), ...enlaces]);
+            enlaces.forEach((_, i) => {
+                fila.getCell(COLUMNAS.length + i + 1).font = ESTILO_ENLACE;
+            });
+            fila.commit();
+            exportados++;
+        }
+    }
+    hoja.commit();
+
+    const resumen = workbook.addWorksheet('Resumen');
+    resumen.columns = [{ header: 'INDICADOR', width: 30 }, { header: 'VALOR', width: 18 }];
+    resumen.getRow(1).font = { bold: true };
+    const stats = await obtenerResumen();
+    for (const [clave, etiqueta] of Object.entries(ETIQUETAS_RESUMEN)) {
+        resumen.addRow([etiqueta, stats[clave]]).commit();
+    }
+    for (const sede of stats.por_sede || []) {
+        resumen.addRow([`Sede: ${sede.sede}`, sede.total]).commit();
+    }
+    resumen.addRow(['Registros exportados', exportados]).commit();
+    resumen.addRow(['Generado el', new Date()]).getCell(2).numFmt = FORMATO_FECHA;
+    resumen.commit();
+
+    await workbook.commit();
+    return exportados;
+}
+
+function celdaCsv(valor) {
+    if (valor === null || valor === undefined) return '';
+    let texto = valor instanceof Date ? valor.toISOString() : String(valor);
+    // Evita que Excel interprete como fórmula un texto escrito por el usuario
+    if (typeof valor === 'string' && /^[=+\-@]/.test(texto)) {
+        texto = `'${texto}`;
+    }
+    return /[",\r\n]/.test(texto) ? `"${texto.replace(/"/g, '""')}"` : texto;
+}
+
+/**
+ * Escribe un CSV (UTF-8 con BOM para Excel) respetando la contrapresión
+ * del socket. Las fechas van en ISO 8601 y las imágenes como URLs.
+ */
+async function exportarCsv(res, { lotes, baseUrl }) {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${nombreArchivo('csv')}"`);
+
+    const escribir = async (celdas) => {
+        if (!res.write(`${celdas.map(celdaCsv).join(',')}\r\n`)) {
+            await once(res, 'drain');
+        }
+    };
+
+    res.write('\uFEFF');
+    await escribir([...COLUMNAS.map(columna => columna.header), 'URLS IMÁGENES']);
+
+    let exportados = 0;
+    for await (const lote of lotes) {
+        for (const row of lote) {
+            const urls = imagenesDe(row).map(img => urlAbsoluta(img.url, baseUrl)).join(' ');
+            await escribir([...COLUMNAS.map(columna => columna.valor(row)), urls]);
+            exportados++;
+        }
+    }
+
+    res.end();
+    return exportados;
+}
+
+module.exports = { exportarXlsx, exportarCsv, celdaCsv, MAX_IMAGENES_EXPORTADAS };
@@ -0,0 +1,72 @@
+const { httpError } = require('./errors');
+
+// Cálculos sobre latitud/longitud de los equipos (WGS84, en grados)
+
+const RADIO_TIERRA_M = 6371008.8;
+const METROS_POR_GRADO_LAT = 111320;
+
+const rad = grados => grados * Math.PI / 180;
+
+// Distancia en metros entre dos puntos (fórmula del haversine)
+function distanciaMetros(lat1, lng1, lat2, lng2) {
+    const dLat = rad(lat2 - lat1);
+    const dLng = rad(lng2 - lng1);
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(rad(lat1)) * Math.cos(rad(lat2)) * Math.sin(dLng / 2) ** 2;
+    return 2 * RADIO_TIERRA_M * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+/**
+ * Rectángulo que contiene el círculo de `radio` metros alrededor del punto,
+ * para filtrar en la base antes de calcular la distancia exacta. Cerca de
+ * los polos o del antimeridiano abarca todas las longitudes.
+ */
+function cajaAlrededor(lat, lng, radio) {
+    const dLat = radio / METROS_POR_GRADO_LAT;
+    const minLat = Math.max(-90, lat - dLat);
+    const maxLat = Math.min(90, lat + dLat);
+
+    const cosLat = Math.cos(rad(Math.max(Math.abs(minLat), Math.abs(maxLat))));
+    const dLng = cosLat > 1e-6 ? radio / (METROS_POR_GRADO_LAT * cosLat) : 360;
+    if (dLng >= 180 || lng - dLng < -180 || lng + dLng > 180) {
+        return { minLng: -180, minLat, maxLng: 180, maxLat };
+    }
+    return { minLng: lng - dLng, minLat, maxLng: lng + dLng, maxLat };
+}
+
+/**
+ * Interpreta ?bbox=minLng,minLat,maxLng,maxLat (orden de GeoJSON). No se
+ * admiten cajas que crucen el antimeridiano (minLng > maxLng).
+ */
+function leerBbox(valor) {
+    if (valor === undefined || valor === '') return undefined;
+
+    const partes = String(valor).split(',').map(parte => Number(parte.trim()));
+    const [minLng, minLat, maxLng, maxLat] = partes;
+    const valida = partes.length === 4 && partes.every(Number.isFinite) &&
+        minLng >= -180 && maxLng <= 180 && minLat >= -90 && maxLat <= 90 &&
+        minLng <= maxLng && minLat <= maxLat;
+    if (!valida) {
+        throw httpError(400, 'INVALID_QUERY', 'bbox no válido',
+            'Use bbox=minLng,minLat,maxLng,maxLat con longitudes entre -180 y 180 y latitudes entre -90 y 90');
+    }
+    return { minLng, minLat, maxLng, maxLat };
+}
+
+// Propiedades de cada punto del mapa
+const PROPIEDADES_GEOJSON = ['id', 'equipo_id', 'estado', 'responsable', 'cargo', 'fecha_revision'];
+
+// Equipo con ubicación → Feature de GeoJSON (coordenadas en orden [lng, lat])
+function aFeature(computador) {
+    return {
+        type: 'Feature',
+        id: computador.id,
+        geometry: {
+            type: 'Point',
+            coordinates: [Number(computador.longitud), Number(computador.latitud)]
+        },
+        properties: Object.fromEntries(PROPIEDADES_GEOJSON.map(campo => [campo, computador[campo] ?? null]))
+    };
+}
+
+module.exports = { distanciaMetros, cajaAlrededor, leerBbox, aFeature, PROPIEDADES_GEOJSON };
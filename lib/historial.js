@@ -0,0 +1,55 @@
+const { CAMPOS_REVISION } = require('../db/revisiones');
+
+// Las imágenes anteriores a los IDs estables se identifican por su archivo
+function claveImagen(imagen) {
+    return imagen.id || imagen.filename || imagen.url;
+}
+
+function resumenImagen(imagen) {
+    return { id: imagen.id || null, title: imagen.title || null, filename: imagen.filename || null };
+}
+
+function normalizar(valor) {
+    return valor === undefined || valor === '' ? null : valor;
+}
+
+/**
+ * Cambios de `actual` respecto a `anterior`: un elemento por campo distinto
+ * ({ campo, anterior, nuevo }) y, si cambiaron las fotos, uno con campo
+ * `imagenes` que resume las agregadas y las quitadas.
+ */
+function diffRevisiones(anterior, actual) {
+    const cambios = [];
+
+    for (const campo of CAMPOS_REVISION) {
+        const antes = normalizar(anterior[campo]);
+        const despues = normalizar(actual[campo]);
+        if (antes !== despues) {
+            cambios.push({ campo, anterior: antes, nuevo: despues });
+        }
+    }
+
+    const antes = new Map((anterior.imagenes || []).map(img => [claveImagen(img), img]));
+    const despues = new Map((actual.imagenes || []).map(img => [claveImagen(img), img]));
+    const agregadas = [...despues.keys()].filter(clave => !antes.has(clave)).map(clave => resumenImagen(despues.get(clave)));
+    const quitadas = [...antes.keys()].filter(clave => !despues.has(clave)).map(clave => resumenImagen(antes.get(clave)));
+
+    if (agregadas.length > 0 || quitadas.length > 0) {
+        cambios.push({ campo: 'imagenes', agregadas, quitadas });
+    }
+
+    return cambios;
+}
+
+// Línea de tiempo de la más reciente a la más antigua; `revisiones` viene en
+// orden cronológico. La primera revisión no tiene cambios (cambios: null).
+function construirHistorial(revisiones) {
+    return revisiones
+        .map((revision, i) => ({
+            ...revision,
+            cambios: i === 0 ? null : diffRevisiones(revisiones[i - 1], revision)
+        }))
+        .reverse();
+}
+
+module.exports = { diffRevisiones, construirHistorial };
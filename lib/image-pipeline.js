@@ -0,0 +1,57 @@
+const sharp = require('sharp');
+const { httpError } = require('./errors');
+
+const FORMATO = { ext: 'webp', mime: 'image/webp' };
+const CALIDAD = parseInt(process.env.IMAGE_QUALITY, 10) || 80;
+const MAX_DIMENSION = parseInt(process.env.IMAGE_MAX_DIMENSION, 10) || 2560;
+
+// Tamaños derivados que se generan para cada imagen subida
+const VARIANTES = {
+    medium: parseInt(process.env.IMAGE_MEDIUM_WIDTH, 10) || 1024,
+    thumb: parseInt(process.env.IMAGE_THUMB_WIDTH, 10) || 320
+};
+
+async function convertir(buffer, ancho) {
+    const { data, info } = await sharp(buffer)
+        // Aplica la orientación EXIF antes de descartar los metadatos
+        .rotate()
+        .resize({ width: ancho, height: ancho, fit: 'inside', withoutEnlargement: true })
+        // Sin withMetadata(): se eliminan EXIF (incluido GPS), XMP e ICC
+        .webp({ quality: CALIDAD })
+        .toBuffer({ resolveWithObject: true });
+
+    return {
+        buffer: data,
+        extension: FORMATO.ext,
+        contentType: FORMATO.mime,
+        width: info.width,
+        height: info.height
+    };
+}
+
+/**
+ * Normaliza una imagen subida: verifica que se pueda decodificar, la rota
+ * según EXIF, elimina metadatos y la convierte a WebP, generando además las
+ * variantes de VARIANTES. Lanza 415 si los bytes no son una imagen válida.
+ */
+async function procesarImagen(buffer, nombre = 'imagen') {
+    try {
+        const metadata = await sharp(buffer).metadata();
+        if (!metadata.width || !metadata.height) {
+            throw new Error('Dimensiones no disponibles');
+        }
+    } catch (error) {
+        throw httpError(415, 'INVALID_IMAGE',
+            `El archivo ${nombre} no es una imagen válida`, error.message);
+    }
+
+    const original = await convertir(buffer, MAX_DIMENSION);
+    const variantes = {};
+    for (const [variante, ancho] of Object.entries(VARIANTES)) {
+        variantes[variante] = await convertir(buffer, ancho);
+    }
+
+    return { ...original, variantes };
+}
+
+module.exports = { procesarImagen, VARIANTES };
@@ -0,0 +1,20 @@
+// Detecta el formato real de una imagen a partir de sus primeros bytes,
+// sin confiar en la extensión ni en el Content-Type declarado por el cliente
+const SIGNATURES = [
+    { mime: 'image/jpeg', ext: 'jpg', test: b => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+    { mime: 'image/png', ext: 'png', test: b => b.slice(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+    { mime: 'image/gif', ext: 'gif', test: b => ['GIF87a', 'GIF89a'].includes(b.toString('ascii', 0, 6)) },
+    { mime: 'image/webp', ext: 'webp', test: b => b.toString('ascii', 0, 4) === 'RIFF' && b.toString('ascii', 8, 12) === 'WEBP' }
+];
+
+function detectImageType(buffer) {
+    if (!Buffer.isBuffer(buffer) || buffer.length < 12) {
+        return null;
+    }
+    const match = SIGNATURES.find(signature => signature.test(buffer));
+    return match ? { mime: match.mime, ext: match.ext } : null;
+}
+
+const SUPPORTED_MIME_TYPES = SIGNATURES.map(signature => signature.mime);
+
+module.exports = { detectImageType, SUPPORTED_MIME_TYPES };
@@ -0,0 +1,297 @@
+const ExcelJS = require('exceljs');
+const { httpError } = require('./errors');
+const { CAMPOS_EDITABLES, CAMPOS_REQUERIDOS } = require('../db/computadores');
+const { validar, errorCampo } = require('./validacion');
+const { resolverSede } = require('./sedes');
+const ESQUEMAS = require('./esquemas');
+
+// Todas las filas se escriben en un solo upsert (todo o nada)
+const MAX_FILAS_IMPORTACION = parseInt(process.env.MAX_IMPORT_ROWS, 10) || 2000;
+
+// Encabezado normalizado → campo. Incluye los encabezados de la exportación
+// a Excel para poder reimportar un archivo exportado.
+const ALIAS_COLUMNAS = {
+    ...Object.fromEntries(CAMPOS_EDITABLES.map(campo => [campo, campo])),
+    id_equipo: 'equipo_id',
+    equipo: 'equipo_id',
+    serial: 'serial_number',
+    numero_de_serie: 'serial_number',
+    placa: 'placa_ml',
+    ubicacion: 'ubicacion_manual',
+    problemas: 'problemas_detectados'
+};
+
+// Textos de relleno de la exportación que equivalen a vacío
+const VALORES_VACIOS = ['no asignado', 'no especificada', 'no especificado', 'ninguno', 'sin observaciones'];
+
+function sinAcentos(texto) {
+    return texto.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+function normalizarEncabezado(encabezado) {
+    return sinAcentos(String(encabezado || '')).toLowerCase().trim()
+        .replace(/[^a-z0-9]+/g, '_')
+        .replace(/^_|_$/g, '');
+}
+
+// xlsx es un zip (PK\x03\x04); cualquier otro archivo de texto se lee como CSV
+function detectarFormato(buffer) {
+    if (buffer.length >= 4 && buffer.readUInt32BE(0) === 0x504b0304) return 'xlsx';
+    if (!buffer.subarray(0, 4096).includes(0)) return 'csv';
+    return null;
+}
+
+// CSV según RFC 4180; el separador (, o ;) se deduce de la primera línea
+function parsearCsv(texto) {
+    texto = texto.replace(/^\uFEFF/, '');
+    const primeraLinea = texto.slice(0, texto.search(/\r?\n|$/));
+    const separador = (primeraLinea.match(/;/g) || []).length > (primeraLinea.match(/,/g) || []).length ? ';' : ',';
+
+    const filas = [];
+    let fila = [];
+    let celda = '';
+    let entreComillas = false;
+
+    for (let i = 0; i < texto.length; i++) {
+        const c = texto[i];
+        if (entreComillas) {
+            if (c === '"' && texto[i + 1] === '"') {
+                celda += '"';
+                i++;
+            } else if (c === '"') {
+                entreComillas = false;
+            } else {
+                celda += c;
+            }
+        } else if (c === '"') {
+            entreComillas = true;
+        } else if (c === separador) {
+            fila.push(celda);
+            celda = '';
+        } else if (c === '\n' || c === '\r') {
+            if (c === '\r' && texto[i + 1] === '\n') i++;
+            fila.push(celda);
+            filas.push(fila);
+            fila = [];
+            celda = '';
+        } else {
+            celda += c;
+        }
+    }
+    if (celda !== '' || fila.length > 0) {
+        fila.push(celda);
+        filas.push(fila);
+    }
+    return filas;
+}
+
+// Valor plano de una celda de exceljs (hipervínculos, fórmulas, texto enriquecido)
+function valorExcel(valor) {
+    if (valor === null || valor === undefined) return null;
+    if (valor instanceof Date || typeof valor !== 'object') return valor;
+    if (valor.richText) return valor.richText.map(parte => parte.text).join('');
+    if ('result' in valor) return valorExcel(valor.result);
+    if ('text' in valor) return valorExcel(valor.text);
+    return String(valor);
+}
+
+async function leerXlsx(buffer) {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+    const hoja = workbook.worksheets[0];
+    if (!hoja) return [];
+
+    const filas = [];
+    hoja.eachRow({ includeEmpty: true }, (row) => {
+        const valores = [];
+        for (let i = 1; i <= hoja.columnCount; i++) {
+            valores.push(valorExcel(row.getCell(i).value));
+        }
+        filas.push(valores);
+    });
+    return filas;
+}
+
+/**
+ * Relaciona los encabezados con los campos de la tabla. Lanza 400 si faltan
+ * columnas requeridas o dos columnas van al mismo campo.
+ */
+function mapearColumnas(encabezados) {
+    const columnas = [];
+    const ignoradas = [];
+
+    encabezados.forEach((encabezado, indice) => {
+        const campo = ALIAS_COLUMNAS[normalizarEncabezado(encabezado)];
+        if (!campo) {
+            if (encabezado !== null && String(encabezado).trim() !== '') ignoradas.push(String(encabezado));
+            return;
+        }
+        const repetida = columnas.find(columna => columna.campo === campo);
+        if (repetida) {
+            throw httpError(400, 'DUPLICATE_COLUMNS', 'Columnas duplicadas',
+                `"${repetida.encabezado}" y "${encabezado}" corresponden al campo ${campo}`);
+        }
+        columnas.push({ indice, campo, encabezado: String(encabezado) });
+    });
+
+    const faltantes = CAMPOS_REQUERIDOS.filter(campo => !columnas.some(columna => columna.campo === campo));
+    if (faltantes.length > 0) {
+        throw httpError(400, 'MISSING_COLUMNS', 'Faltan columnas requeridas', `Columnas faltantes: ${faltantes.join(', ')}`);
+    }
+
+    return { columnas, ignoradas };
+}
+
+// Valor de la celda para el esquema; los textos de relleno de la exportación
+// en campos opcionales cuentan como vacío
+function valorCelda(campo, valor) {
+    if (valor instanceof Date) return valor.toISOString();
+    if (typeof valor === 'string' && !ESQUEMAS.COMPUTADOR[campo].requerido &&
+        VALORES_VACIOS.includes(valor.trim().toLowerCase())) {
+        return null;
+    }
+    return valor;
+}
+
+/**
+ * Lee y valida un archivo CSV/XLSX. Devuelve las filas válidas (`datos`
+ * con solo las columnas presentes en el archivo) y los errores por fila.
+ * `fila` es el número de fila en la hoja (el encabezado es la 1).
+ */
+async function leerArchivo(buffer, formato = detectarFormato(buffer)) {
+    if (!formato) {
+        throw httpError(415, 'UNSUPPORTED_FILE_TYPE', 'El archivo no es CSV ni XLSX');
+    }
+
+    let filas;
+    try {
+        filas = formato === 'xlsx' ? await leerXlsx(buffer) : parsearCsv(buffer.toString('utf8'));
+    } catch (error) {
+        throw httpError(400, 'INVALID_FILE', `No se pudo leer el archivo ${formato.toUpperCase()}`, error.message);
+    }
+    if (filas.length === 0) {
+        throw httpError(400, 'EMPTY_FILE', 'El archivo está vacío');
+    }
+
+    const { columnas, ignoradas } = mapearColumnas(filas[0]);
+    const registros = [];
+    const vistos = new Map();
+
+    filas.slice(1).forEach((valores, i) => {
+        const fila = i + 2;
+        if (valores.every(valor => valor === null || String(valor).trim() === '')) return;
+
+        const celdas = {};
+        for (const { indice, campo } of columnas) {
+            celdas[campo] = valorCelda(campo, valores[indice] === undefined ? null : valores[indice]);
+        }
+        // Todas las columnas del archivo están en `celdas`: parcial solo evita
+        // exigir las opcionales que el archivo no trae
+        const { valores: datos, errores } = validar(ESQUEMAS.COMPUTADOR, celdas, { parcial: true, flexible: true });
+
+        if (datos.equipo_id) {
+            if (vistos.has(datos.equipo_id)) {
+                errores.push(errorCampo('equipo_id', 'unico', `Repetido en la fila ${vistos.get(datos.equipo_id)}`));
+            } else {
+                vistos.set(datos.equipo_id, fila);
+            }
+        }
+        registros.push({ fila, datos, errores });
+    });
+
+    if (registros.length > MAX_FILAS_IMPORTACION) {
+        throw httpError(413, 'TOO_MANY_ROWS', 'El archivo tiene demasiadas filas',
+            `Máximo ${MAX_FILAS_IMPORTACION} filas por importación`);
+    }
+
+    return {
+        formato,
+        columnas: Object.fromEntries(columnas.map(({ encabezado, campo }) => [encabezado, campo])),
+        ignoradas,
+        registros
+    };
+}
+
+function difiere(datos, actual) {
+    return Object.keys(datos).some(campo => String(datos[campo]) !== String(actual[campo]));
+}
+
+/**
+ * Importa computadores desde un CSV/XLSX haciendo upsert por equipo_id.
+ * Si alguna fila tiene errores no se escribe nada. Con `dryRun` solo se
+ * valida y se informa qué se crearía o actualizaría. Cada equipo creado o
+ * modificado registra una revisión a nombre de `usuario` y, si se pasa
+ * `eventos`, publica su evento de cambio. Con `sedesRepo` cada fila recibe
+ * su sede como en la API (columna sede_id o por coordenadas).
+ */
+async function importarComputadores({ computadoresRepo, revisionesRepo, buffer, formato, usuario, dryRun = false, eventos, sedesRepo }) {
+    const archivo = await leerArchivo(buffer, formato);
+    const validos = archivo.registros.filter(registro => registro.errores.length === 0);
+
+    const existentes = new Map((await computadoresRepo.findByEquipoIds(validos.map(r => r.datos.equipo_id)))
+        .map(computador => [computador.equipo_id, computador]));
+
+    const sedes = sedesRepo ? await sedesRepo.list() : null;
+
+    const filas = archivo.registros.map(({ fila, datos, errores }) => {
+        if (errores.length > 0) return { fila, equipo_id: datos.equipo_id, accion: 'error', errores };
+        const actual = existentes.get(datos.equipo_id);
+        if (actual && actual.eliminado_en) {
+            return {
+                fila, equipo_id: datos.equipo_id, accion: 'error',
+                errores: [errorCampo('equipo_id', 'unico', 'El equipo está en la papelera; restáurelo antes de importarlo')]
+            };
+        }
+        if (sedes) {
+            const sede = resolverSede(sedes, datos, actual);
+            if (sede.errores.length > 0) return { fila, equipo_id: datos.equipo_id, accion: 'error', errores: sede.errores };
+            Object.assign(datos, sede.cambios);
+        }
+        const accion = !actual ? 'crear' : difiere(datos, actual) ? 'actualizar' : 'sin_cambios';
+        return { fila, equipo_id: datos.equipo_id, accion, datos };
+    });
+
+    const contar = accion => filas.filter(f => f.accion === accion).length;
+    const resultado = {
+        dry_run: dryRun,
+        aplicado: false,
+        formato: archivo.formato,
+        columnas: archivo.columnas,
+        columnas_ignoradas: archivo.ignoradas,
+        resumen: {
+            total_filas: filas.length,
+            crear: contar('crear'),
+            actualizar: contar('actualizar'),
+            sin_cambios: contar('sin_cambios'),
+            con_errores: contar('error')
+        },
+        filas: filas.map(({ datos, ...fila }) => fila)
+    };
+
+    const cambios = filas.filter(f => f.accion === 'crear' || f.accion === 'actualizar');
+    if (dryRun || resultado.resumen.con_errores > 0 || cambios.length === 0) {
+        return resultado;
+    }
+
+    const ahora = new Date().toISOString();
+    const guardados = await computadoresRepo.upsertMany(cambios.map(({ datos }) => ({
+        ...datos,
+        revisor: usuario.nombre,
+        fecha_revision: ahora,
+        fecha_actualizacion: ahora
+    })));
+    for (const computador of guardados) {
+        await revisionesRepo.create(computador, usuario);
+    }
+    if (eventos) {
+        for (const computador of guardados) {
+            const actual = existentes.get(computador.equipo_id);
+            eventos.publicar(actual ? 'actualizado' : 'creado', computador, usuario, actual);
+        }
+    }
+
+    resultado.aplicado = true;
+    return resultado;
+}
+
+module.exports = { importarComputadores, leerArchivo, detectarFormato, MAX_FILAS_IMPORTACION };
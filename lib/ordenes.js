@@ -0,0 +1,85 @@
+// Flujo de estados de las órdenes de trabajo y apertura automática al pasar
+// un equipo a mantenimiento
+
+// Estados a los que se puede pasar desde cada estado. Se permite volver un
+// paso atrás (p. ej. una resolución rechazada); una orden cerrada es final.
+const TRANSICIONES = {
+    abierta: ['en_progreso'],
+    en_progreso: ['abierta', 'resuelta'],
+    resuelta: ['en_progreso', 'cerrada'],
+    cerrada: []
+};
+
+const MOMENTOS_FOTO = ['antes', 'despues'];
+
+// Desactivable con ORDENES_AUTOMATICAS=false
+const ORDENES_AUTOMATICAS = process.env.ORDENES_AUTOMATICAS !== 'false';
+
+function puedeCambiar(de, a) {
+    return (TRANSICIONES[de] || []).includes(a);
+}
+
+// Fechas que acompañan a un cambio de estado
+function fechasDeEstado(estado, ahora) {
+    if (estado === 'resuelta') return { fecha_resolucion: ahora };
+    if (estado === 'cerrada') return { fecha_cierre: ahora };
+    if (estado === 'en_progreso' || estado === 'abierta') return { fecha_resolucion: null };
+    return {};
+}
+
+function entraEnMantenimiento(evento) {
+    if (evento.computador.estado !== 'mantenimiento') return false;
+    if (evento.tipo === 'creado') return true;
+    return evento.tipo === 'actualizado' && evento.estado_anterior !== null &&
+        evento.estado_anterior !== 'mantenimiento';
+}
+
+/**
+ * Abre una orden de trabajo cuando un equipo pasa a mantenimiento por
+ * cualquier ruta de escritura (PUT, PATCH, importación), salvo que ya tenga
+ * una orden sin cerrar.
+ */
+function createOrdenesAutomaticas({ ordenesRepo, eventos, habilitado = ORDENES_AUTOMATICAS }) {
+    let cancelar = null;
+
+    async function abrirOrden(evento) {
+        const { computador } = evento;
+        const pendientes = await ordenesRepo.pendientesDe(computador.id);
+        if (pendientes.length > 0) return null;
+
+        const orden = await ordenesRepo.create({
+            computador_id: computador.id,
+            titulo: `Mantenimiento de ${computador.equipo_id}`,
+            descripcion: computador.problemas_detectados || null,
+            origen: 'automatica',
+            creado_por: evento.usuario_id
+        });
+        console.log(`Orden de trabajo ${orden.id} abierta automáticamente para ${computador.equipo_id}`);
+        return orden;
+    }
+
+    return {
+        iniciar() {
+            if (!habilitado || cancelar) return;
+            cancelar = eventos.suscribir(evento => {
+                if (!entraEnMantenimiento(evento)) return;
+                abrirOrden(evento).catch(error => {
+                    console.error(`Error abriendo orden automática para ${evento.equipo_id}:`, error);
+                });
+            });
+        },
+
+        detener() {
+            if (cancelar) cancelar();
+            cancelar = null;
+        }
+    };
+}
+
+module.exports = {
+    createOrdenesAutomaticas,
+    puedeCambiar,
+    fechasDeEstado,
+    TRANSICIONES,
+    MOMENTOS_FOTO
+};
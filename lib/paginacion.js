@@ -0,0 +1,31 @@
+const { httpError } = require('./errors');
+
+const MAX_PAGE_SIZE = 100;
+const DEFAULT_PAGE_SIZE = 20;
+
+// page y limit de la query (por defecto página 1 de DEFAULT_PAGE_SIZE)
+function leerPaginacion({ page, limit }) {
+    const pagina = page !== undefined ? parseInt(page, 10) : 1;
+    const tamano = limit !== undefined ? parseInt(limit, 10) : DEFAULT_PAGE_SIZE;
+    if (!Number.isInteger(pagina) || pagina < 1 || !Number.isInteger(tamano) || tamano < 1 || tamano > MAX_PAGE_SIZE) {
+        throw httpError(400, 'INVALID_QUERY', 'Paginación no válida',
+            `page debe ser un entero >= 1 y limit un entero entre 1 y ${MAX_PAGE_SIZE}`);
+    }
+    return { pagina, tamano, limit: tamano, offset: (pagina - 1) * tamano };
+}
+
+// Responde { data, pagination } con el total también en X-Total-Count
+function responderPagina(res, rows, total, { pagina, tamano }) {
+    res.set('X-Total-Count', String(total));
+    res.json({
+        data: rows,
+        pagination: {
+            page: pagina,
+            limit: tamano,
+            total,
+            total_pages: Math.ceil(total / tamano)
+        }
+    });
+}
+
+module.exports = { leerPaginacion, responderPagina, MAX_PAGE_SIZE, DEFAULT_PAGE_SIZE };
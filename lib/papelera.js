@@ -0,0 +1,104 @@
+// Papelera de computadores (migración 013): retención y purga definitiva
+
+// Días que un equipo permanece en la papelera antes de purgarse
+const RETENCION_DIAS = parseInt(process.env.PAPELERA_RETENCION_DIAS, 10) || 30;
+// Cada cuánto corre la purga (por defecto cada 6 horas)
+const INTERVALO_PURGA_MS = parseInt(process.env.PAPELERA_JOB_MS, 10) || 6 * 60 * 60 * 1000;
+// Equipos que se leen por consulta al purgar
+const LOTE_PURGA = 100;
+
+const DIA_MS = 24 * 60 * 60 * 1000;
+
+// Fecha en que se purgará un equipo eliminado en `eliminadoEn`
+function fechaPurga(eliminadoEn, retencionDias = RETENCION_DIAS) {
+    return new Date(Date.parse(eliminadoEn) + retencionDias * DIA_MS).toISOString();
+}
+
+/**
+ * Purga los equipos que llevan más de `retencionDias` en la papelera: borra
+ * el registro (revisiones y órdenes en cascada) y los archivos de sus
+ * imágenes, las actuales y las del historial y las órdenes. `borrarImagen`
+ * elimina un archivo de su backend y devuelve si lo hizo.
+ */
+function createPurgaPapelera({
+    computadoresRepo, revisionesRepo, ordenesRepo, borrarImagen,
+    retencionDias = RETENCION_DIAS, intervaloMs = INTERVALO_PURGA_MS
+}) {
+    let temporizador = null;
+    let ejecutando = null;
+
+    // Devuelve cuántos archivos se borraron, o null si el equipo ya no estaba en la papelera
+    async function purgarEquipo(computador) {
+        // Las revisiones y órdenes se borran en cascada: leer antes sus imágenes
+        const imagenesHistorial = [
+            ...await revisionesRepo.imagenesDe(computador.id),
+            ...await ordenesRepo.imagenesDe(computador.id)
+        ];
+        const purgado = await computadoresRepo.purgar(computador.id);
+        if (!purgado) return null;
+
+        const imagenes = new Map();
+        for (const imagen of [...(Array.isArray(purgado.imagenes) ? purgado.imagenes : []), ...imagenesHistorial]) {
+            if (imagen.filename && !imagenes.has(imagen.id || imagen.filename)) {
+                imagenes.set(imagen.id || imagen.filename, imagen);
+            }
+        }
+        let borrados = 0;
+        for (const imagen of imagenes.values()) {
+            if (await borrarImagen(imagen)) borrados++;
+        }
+        return borrados;
+    }
+
+    async function ejecutar(ahora = new Date()) {
+        const limite = new Date(ahora.getTime() - retencionDias * DIA_MS).toISOString();
+        const resumen = { retencion_dias: retencionDias, purgados: 0, archivos_eliminados: 0 };
+
+        for (;;) {
+            const lote = await computadoresRepo.listParaPurga(limite, LOTE_PURGA);
+            for (const computador of lote) {
+                const borrados = await purgarEquipo(computador);
+                if (borrados === null) continue;
+                resumen.purgados++;
+                resumen.archivos_eliminados += borrados;
+                console.log(`Equipo ${computador.equipo_id} (ID ${computador.id}) purgado de la papelera`);
+            }
+            if (lote.length < LOTE_PURGA) break;
+        }
+
+        console.log(`Papelera: ${resumen.purgados} equipos purgados, ${resumen.archivos_eliminados} archivos eliminados`);
+        return resumen;
+    }
+
+    // Evita dos ejecuciones a la vez (temporizador y POST /api/papelera/purgar)
+    function ejecutarUnaVez() {
+        if (!ejecutando) {
+            ejecutando = ejecutar().finally(() => {
+                ejecutando = null;
+            });
+        }
+        return ejecutando;
+    }
+
+    return {
+        iniciar() {
+            if (temporizador) return;
+            const correr = () => ejecutarUnaVez().catch(error => {
+                console.error('Error en la purga de la papelera:', error);
+            });
+            correr();
+            temporizador = setInterval(correr, intervaloMs);
+            temporizador.unref();
+        },
+
+        detener() {
+            clearInterval(temporizador);
+            temporizador = null;
+        },
+
+        ejecutar: ejecutarUnaVez,
+        retencionDias
+    };
+}
+
+module.exports = { createPurgaPapelera, fechaPurga, RETENCION_DIAS };
@@ -0,0 +1,29 @@
+const crypto = require('crypto');
+
+// Hash de contraseñas con scrypt: "scrypt$<salt>$<hash>" en base64
+const KEY_LENGTH = 64;
+const MIN_PASSWORD_LENGTH = 8;
+
+function scrypt(password, salt) {
+    return new Promise((resolve, reject) => {
+        crypto.scrypt(password, salt, KEY_LENGTH, (error, key) => error ? reject(error) : resolve(key));
+    });
+}
+
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const key = await scrypt(password, salt);
+    return `scrypt$${salt.toString('base64')}$${key.toString('base64')}`;
+}
+
+async function verifyPassword(password, stored) {
+    const [algoritmo, salt, hash] = String(stored || '').split('$');
+    if (algoritmo !== 'scrypt' || !salt || !hash) {
+        return false;
+    }
+    const esperado = Buffer.from(hash, 'base64');
+    const key = await scrypt(password, Buffer.from(salt, 'base64'));
+    return key.length === esperado.length && crypto.timingSafeEqual(key, esperado);
+}
+
+module.exports = { hashPassword, verifyPassword, MIN_PASSWORD_LENGTH };
@@ -0,0 +1,140 @@
+const PDFDocument = require('pdfkit');
+const sharp = require('sharp');
+
+const MARGEN = 50;
+const ANCHO_FOTO = 240;
+const ALTO_FOTO = 170;
+const COLOR_ETIQUETA = '#555555';
+
+function fechaLegible(valor) {
+    return valor ? new Date(valor).toLocaleString('es-ES') : 'Sin fecha';
+}
+
+function texto(valor, vacio = 'No registrado') {
+    return valor === null || valor === undefined || String(valor).trim() === '' ? vacio : String(valor);
+}
+
+// Datos de la hoja de vida: [etiqueta, valor]
+function camposDe(computador) {
+    const coordenadas = computador.latitud && computador.longitud
+        ? ` (${computador.latitud}, ${computador.longitud})`
+        : '';
+    return [
+        ['ID equipo', texto(computador.equipo_id)],
+        ['Serial', texto(computador.serial_number)],
+        ['Placa / ML', texto(computador.placa_ml, 'No asignado')],
+        ['Responsable', texto(computador.responsable)],
+        ['Cargo', texto(computador.cargo)],
+        ['Ubicación', texto(computador.direccion_automatica || computador.ubicacion_manual, 'No especificada') + coordenadas],
+        ['Estado', texto(computador.estado).toUpperCase()],
+        ['Windows Update', computador.windows_update === 'si' ? 'Al día' : 'Pendiente'],
+        ['Problemas detectados', texto(computador.problemas_detectados, 'Ninguno')],
+        ['Observaciones', texto(computador.observaciones, 'Sin observaciones')],
+        ['Revisor', texto(computador.revisor, 'No especificado')],
+        ['Fecha de revisión', fechaLegible(computador.fecha_revision)]
+    ];
+}
+
+// PDFKit solo admite JPEG y PNG: las imágenes (WebP) se convierten a JPEG
+async function prepararFoto(buffer) {
+    return sharp(buffer)
+        .resize({ width: ANCHO_FOTO * 2, height: ALTO_FOTO * 2, fit: 'inside', withoutEnlargement: true })
+        .jpeg({ quality: 80 })
+        .toBuffer();
+}
+
+async function escribirFotos(doc, imagenes, leerImagen) {
+    if (imagenes.length === 0) return;
+
+    doc.moveDown(1).font('Helvetica-Bold').fontSize(12).fillColor('black').text('Registro fotográfico');
+    doc.moveDown(0.5);
+
+    let columna = 0;
+    let y = doc.y;
+    for (const imagen of imagenes) {
+        let foto = null;
+        try {
+            const buffer = await leerImagen(imagen);
+            foto = buffer && await prepararFoto(buffer);
+        } catch (error) {
+            console.error(`No se pudo incluir la imagen ${imagen.filename} en el PDF:`, error.message);
+        }
+
+        if (y + ALTO_FOTO + 20 > doc.page.height - MARGEN) {
+            doc.addPage();
+            y = doc.y;
+            columna = 0;
+        }
+        const x = MARGEN + columna * (ANCHO_FOTO + 15);
+
+        if (foto) {
+            doc.image(foto, x, y, { fit: [ANCHO_FOTO, ALTO_FOTO], align: 'center', valign: 'center' });
+        } else {
+            doc.rect(x, y, ANCHO_FOTO, ALTO_FOTO).stroke('#cccccc');
+            doc.font('Helvetica').fontSize(9).fillColor(COLOR_ETIQUETA)
+                .text('Imagen no disponible', x, y + ALTO_FOTO / 2 - 5, { width: ANCHO_FOTO, align: 'center' });
+        }
+        doc.font('Helvetica').fontSize(8).fillColor(COLOR_ETIQUETA)
+            .text(texto(imagen.title, ''), x, y + ALTO_FOTO + 3, { width: ANCHO_FOTO, align: 'center', lineBreak: false });
+
+        columna++;
+        if (columna === 2) {
+            columna = 0;
+            y += ALTO_FOTO + 20;
+        }
+    }
+    doc.x = MARGEN;
+    doc.y = columna === 0 ? y : y + ALTO_FOTO + 20;
+}
+
+/**
+ * Escribe la hoja de vida de un equipo empezando en la página actual.
+ * `leerImagen(imagen)` devuelve los bytes de la foto o null si no existe.
+ */
+async function escribirHojaDeVida(doc, computador, { leerImagen, generadoPor }) {
+    doc.font('Helvetica-Bold').fontSize(18).fillColor('black').text('Hoja de vida del equipo', { align: 'center' });
+    doc.font('Helvetica').fontSize(12).fillColor(COLOR_ETIQUETA).text(texto(computador.equipo_id), { align: 'center' });
+    doc.moveDown(1);
+
+    for (const [etiqueta, valor] of camposDe(computador)) {
+        const y = doc.y;
+        doc.font('Helvetica-Bold').fontSize(10).fillColor(COLOR_ETIQUETA).text(etiqueta, MARGEN, y, { width: 140 });
+        doc.font('Helvetica').fontSize(10).fillColor('black').text(valor, MARGEN + 150, y, { width: doc.page.width - MARGEN * 2 - 150 });
+        doc.x = MARGEN;
+        doc.moveDown(0.4);
+    }
+
+    const imagenes = Array.isArray(computador.imagenes) ? computador.imagenes : [];
+    await escribirFotos(doc, imagenes, leerImagen);
+
+    doc.moveDown(1).font('Helvetica').fontSize(8).fillColor(COLOR_ETIQUETA)
+        .text(`Generado el ${fechaLegible(new Date())}${generadoPor ? ` por ${generadoPor}` : ''}`, MARGEN);
+}
+
+/**
+ * Genera en `res` un PDF con una hoja de vida por equipo (cada una desde una
+ * página nueva). `lotes` es un async iterable de arreglos de computadores.
+ */
+async function generarReporte(res, { lotes, leerImagen, generadoPor, nombreArchivo }) {
+    const doc = new PDFDocument({ size: 'A4', margin: MARGEN, autoFirstPage: false, info: { Title: 'Hoja de vida de equipos' } });
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="${nombreArchivo}"`);
+    doc.pipe(res);
+
+    let equipos = 0;
+    for await (const lote of lotes) {
+        for (const computador of lote) {
+            doc.addPage();
+            await escribirHojaDeVida(doc, computador, { leerImagen, generadoPor });
+            equipos++;
+        }
+    }
+    if (equipos === 0) {
+        doc.addPage().font('Helvetica').fontSize(12).text('No hay equipos que coincidan con los filtros.');
+    }
+
+    doc.end();
+    return equipos;
+}
+
+module.exports = { generarReporte };
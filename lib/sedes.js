@@ -0,0 +1,127 @@
+const { distanciaMetros } = require('./geo');
+const { errorCampo } = require('./validacion');
+
+// Asignación de equipos a sedes según sus coordenadas
+
+// Para comparar nombres de sede y de área sin mayúsculas ni tildes
+function normalizar(texto) {
+    return String(texto || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+}
+
+// Punto dentro de un polígono [[lng, lat], ...] (ray casting)
+function dentroDePoligono(lat, lng, poligono) {
+    let dentro = false;
+    for (let i = 0, j = poligono.length - 1; i < poligono.length; j = i++) {
+        const [xi, yi] = poligono[i];
+        const [xj, yj] = poligono[j];
+        if ((yi > lat) !== (yj > lat) && lng < (xj - xi) * (lat - yi) / (yj - yi) + xi) {
+            dentro = !dentro;
+        }
+    }
+    return dentro;
+}
+
+/**
+ * Sede que contiene el punto, o null. Un polígono gana a un círculo; entre
+ * varios círculos gana el del centro más cercano.
+ */
+function sedeParaPunto(sedes, lat, lng) {
+    if (lat === null || lat === undefined || lng === null || lng === undefined) return null;
+    const punto = [Number(lat), Number(lng)];
+
+    const porPoligono = sedes.find(sede => Array.isArray(sede.poligono) && dentroDePoligono(...punto, sede.poligono));
+    if (porPoligono) return porPoligono;
+
+    let cercana = null;
+    let menor = Infinity;
+    for (const sede of sedes) {
+        if (Array.isArray(sede.poligono) || sede.latitud === null || sede.radio_m === null) continue;
+        const distancia = distanciaMetros(...punto, Number(sede.latitud), Number(sede.longitud));
+        if (distancia <= sede.radio_m && distancia < menor) {
+            cercana = sede;
+            menor = distancia;
+        }
+    }
+    return cercana;
+}
+
+/**
+ * Sede de un equipo al crearlo o modificarlo. `datos` son los campos
+ * validados de la petición y `actual` el registro guardado (si existe).
+ *
+ * - Con `sede_id` en los datos la sede queda fijada a mano; `sede_id: null`
+ *   vuelve a la asignación automática.
+ * - Sin `sede_id`, una sede fijada a mano se conserva y si no se recalcula
+ *   con las coordenadas finales del equipo.
+ *
+ * Devuelve { cambios: { sede_id, sede_manual, area? }, errores }. Si la
+ * sede tiene lista de áreas, el área enviada debe ser una de ellas.
+ */
+function resolverSede(sedes, datos, actual = {}) {
+    const errores = [];
+    const coordenada = campo => (datos[campo] !== undefined ? datos[campo] : actual[campo]);
+
+    let sede = null;
+    let manual = false;
+    if (datos.sede_id !== undefined && datos.sede_id !== null) {
+        sede = sedes.find(s => s.id === datos.sede_id) || null;
+        manual = true;
+        if (!sede) {
+            errores.push(errorCampo('sede_id', 'referencia', `No existe la sede ${datos.sede_id}`));
+        }
+    } else if (datos.sede_id === undefined && actual.sede_manual) {
+        sede = sedes.find(s => s.id === actual.sede_id) || null;
+        manual = true;
+    } else {
+        sede = sedeParaPunto(sedes, coordenada('latitud'), coordenada('longitud'));
+    }
+
+    const cambios = { sede_id: sede ? sede.id : null, sede_manual: manual };
+
+    // El área se guarda como está escrita en la lista de la sede
+    if (datos.area) {
+        const areas = sede && Array.isArray(sede.areas) ? sede.areas : [];
+        const area = areas.find(a => normalizar(a) === normalizar(datos.area));
+        if (areas.length > 0 && !area) {
+            errores.push(errorCampo('area', 'enum', `Área "${datos.area}" no válida en ${sede.nombre} (use ${areas.join(', ')})`));
+        } else {
+            cambios.area = area || datos.area;
+        }
+    }
+
+    return { cambios, errores };
+}
+
+/**
+ * Recalcula la sede de los equipos con asignación automática (tras crear,
+ * modificar o borrar una sede). Cada equipo que cambia de sede se guarda
+ * con fecha_actualizacion y se publica como `actualizado`, igual que
+ * cualquier otra escritura. `excluirSede` deja fuera una sede que se va a
+ * borrar. Devuelve cuántos cambiaron de sede.
+ */
+async function reasignarSedes({ computadoresRepo, sedesRepo, eventos, usuario, excluirSede = null }) {
+    const [computadores, todas] = await Promise.all([computadoresRepo.listParaSede(), sedesRepo.list()]);
+    const sedes = todas.filter(sede => sede.id !== excluirSede);
+
+    let reasignados = 0;
+    for (const computador of computadores) {
+        const sede = sedeParaPunto(sedes, computador.latitud, computador.longitud);
+        const sedeId = sede ? sede.id : null;
+        if (sedeId !== (computador.sede_id ?? null)) {
+            const data = await computadoresRepo.update(computador.id, {
+                sede_id: sedeId,
+                fecha_actualizacion: new Date().toISOString()
+            });
+            // Pudo ir a la papelera mientras tanto
+            if (!data) continue;
+            eventos.publicar('actualizado', data, usuario, computador);
+            reasignados++;
+        }
+    }
+    if (reasignados > 0) {
+        console.log(`Sedes: ${reasignados} equipos reasignados`);
+    }
+    return reasignados;
+}
+
+module.exports = { normalizar, dentroDePoligono, sedeParaPunto, resolverSede, reasignarSedes };
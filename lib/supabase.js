@@ -0,0 +1,21 @@
+const { createClient } = require('@supabase/supabase-js');
+
+// Cliente Supabase compartido. Se crea bajo demanda para que el servidor
+// pueda arrancar sin credenciales cuando ni la base de datos ni el
+// almacenamiento usan Supabase.
+let client = null;
+
+function getSupabase() {
+    if (!client) {
+        const supabaseUrl = process.env.SUPABASE_URL;
+        // La service role key es necesaria para tablas sin acceso anónimo (usuarios)
+        const supabaseKey = process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_ANON_KEY;
+        if (!supabaseUrl || !supabaseKey) {
+            throw new Error('SUPABASE_URL y SUPABASE_SERVICE_ROLE_KEY (o SUPABASE_ANON_KEY) son obligatorios para usar Supabase');
+        }
+        client = createClient(supabaseUrl, supabaseKey);
+    }
+    return client;
+}
+
+module.exports = { getSupabase };
@@ -0,0 +1,57 @@
+const { httpError } = require('./errors');
+
+// Cambios del cliente por petición y cambios del servidor por respuesta
+const MAX_CAMBIOS_LOTE = parseInt(process.env.SYNC_MAX_LOTE, 10) || 100;
+const MAX_CAMBIOS_SERVIDOR = parseInt(process.env.SYNC_MAX_CAMBIOS, 10) || 500;
+
+const OPERACIONES_SYNC = ['crear', 'actualizar'];
+
+/**
+ * El token de sincronización es opaco para el cliente. Guarda hasta dónde
+ * leyó: el último equipo (fecha_actualizacion e id, tal como los devuelve
+ * la base) y el último registro de computadores_eliminados.
+ */
+function crearToken({ fecha, id, eliminado }) {
+    return Buffer.from(JSON.stringify({ f: fecha, i: id, e: eliminado })).toString('base64url');
+}
+
+// Token → { fecha, id, eliminado }; sin token, null (primera sincronización)
+function leerToken(token) {
+    if (token === undefined || token === null || token === '') return null;
+
+    let datos;
+    try {
+        datos = JSON.parse(Buffer.from(String(token), 'base64url').toString('utf8'));
+    } catch (error) {
+        datos = null;
+    }
+    const valido = datos && typeof datos === 'object' &&
+        (datos.f === null || (typeof datos.f === 'string' && !Number.isNaN(Date.parse(datos.f)))) &&
+        Number.isInteger(datos.i) && Number.isInteger(datos.e);
+    if (!valido) {
+        throw httpError(400, 'INVALID_SYNC_TOKEN', 'Token de sincronización no válido',
+            'Envíe el token de la última respuesta o ninguno para sincronizar todo');
+    }
+    return { fecha: datos.f, id: datos.i, eliminado: datos.e };
+}
+
+// fecha_actualizacion se guarda sin zona (UTC); el cliente puede devolverla con o sin Z
+function instante(fecha) {
+    return Date.parse(/(Z|[+-]\d{2}:?\d{2})$/.test(fecha) ? fecha : `${fecha}Z`);
+}
+
+// ¿`versionBase` (lo que tenía el cliente) coincide con la versión guardada?
+function mismaVersion(versionBase, fechaActualizacion) {
+    if (!versionBase || !fechaActualizacion) return !versionBase && !fechaActualizacion;
+    return String(versionBase) === String(fechaActualizacion) ||
+        instante(String(versionBase)) === instante(String(fechaActualizacion));
+}
+
+module.exports = {
+    crearToken,
+    leerToken,
+    mismaVersion,
+    OPERACIONES_SYNC,
+    MAX_CAMBIOS_LOTE,
+    MAX_CAMBIOS_SERVIDOR
+};
@@ -0,0 +1,189 @@
+const { httpError } = require('./errors');
+
+/**
+ * Validación declarativa de cuerpos de petición.
+ *
+ * Un esquema es un objeto { campo: regla } donde cada regla indica `tipo`
+ * ('texto', 'numero', 'entero', 'enum', 'booleano', 'lista' u 'objeto') y
+ * opcionalmente `requerido`, `max` y `min` (longitud de texto o valor
+ * numérico), `valores` (para enum y los elementos de lista), `formato`
+ * ('url' para textos) y `literal` (textos que deben llegar como string y no
+ * se recortan, como las contraseñas). Cada error lleva el campo, la regla
+ * incumplida y un código estable para el cliente.
+ */
+
+const CODIGOS = {
+    requerido: 'FIELD_REQUIRED',
+    tipo: 'INVALID_TYPE',
+    longitud: 'TOO_LONG',
+    corto: 'TOO_SHORT',
+    formato: 'INVALID_FORMAT',
+    rango: 'OUT_OF_RANGE',
+    enum: 'INVALID_VALUE',
+    unico: 'DUPLICATE_VALUE',
+    referencia: 'INVALID_REFERENCE',
+    desconocido: 'UNKNOWN_FIELD'
+};
+
+function errorCampo(campo, regla, mensaje) {
+    return { campo, regla, code: CODIGOS[regla], mensaje };
+}
+
+function sinAcentos(texto) {
+    return texto.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+function vacio(valor) {
+    return valor === undefined || valor === null ||
+        (typeof valor === 'string' && valor.trim() === '') ||
+        (Array.isArray(valor) && valor.length === 0);
+}
+
+function esUrl(texto) {
+    try {
+        return ['http:', 'https:'].includes(new URL(texto).protocol);
+    } catch (error) {
+        return false;
+    }
+}
+
+function validarValor(campo, regla, valor, { flexible }) {
+    if (regla.tipo === 'texto') {
+        if (typeof valor !== 'string' && (regla.literal || typeof valor !== 'number')) {
+            return { error: errorCampo(campo, 'tipo', 'Debe ser texto') };
+        }
+        const texto = regla.literal ? valor : String(valor).trim();
+        if (regla.max && texto.length > regla.max) {
+            return { error: errorCampo(campo, 'longitud', `Máximo ${regla.max} caracteres`) };
+        }
+        if (regla.min && texto.length < regla.min) {
+            return { error: errorCampo(campo, 'corto', `Mínimo ${regla.min} caracteres`) };
+        }
+        if (regla.formato === 'url' && !esUrl(texto)) {
+            return { error: errorCampo(campo, 'formato', 'Debe ser una URL http o https') };
+        }
+        return { valor: texto };
+    }
+
+    if (regla.tipo === 'numero' || regla.tipo === 'entero') {
+        // Los formularios multipart envían números como texto ("4.61" o "4,61")
+        const numero = typeof valor === 'number' ? valor
+            : typeof valor === 'string' ? Number(valor.trim().replace(',', '.')) : NaN;
+        if (!Number.isFinite(numero) || (regla.tipo === 'entero' && !Number.isInteger(numero))) {
+            return { error: errorCampo(campo, 'tipo', regla.tipo === 'entero' ? 'Debe ser un número entero' : 'Debe ser un número') };
+        }
+        if ((regla.min !== undefined && numero < regla.min) || (regla.max !== undefined && numero > regla.max)) {
+            const limites = regla.max === undefined ? `mayor o igual a ${regla.min}`
+                : regla.min === undefined ? `menor o igual a ${regla.max}`
+                    : `entre ${regla.min} y ${regla.max}`;
+            return { error: errorCampo(campo, 'rango', `Debe ser ${limites}`) };
+        }
+        return { valor: numero };
+    }
+
+    if (regla.tipo === 'enum') {
+        const texto = String(valor).trim();
+        // En importaciones se aceptan mayúsculas y tildes: "DAÑADO", "SÍ"
+        const encontrado = flexible
+            ? regla.valores.find(v => sinAcentos(v) === sinAcentos(texto.toLowerCase()))
+            : regla.valores.find(v => v === texto);
+        if (!encontrado) {
+            return { error: errorCampo(campo, 'enum', `Valor "${texto}" no válido (use ${regla.valores.join(', ')})`) };
+        }
+        return { valor: encontrado };
+    }
+
+    if (regla.tipo === 'booleano') {
+        // Los formularios envían "true"/"false"
+        if (valor === true || valor === 'true') return { valor: true };
+        if (valor === false || valor === 'false') return { valor: false };
+        return { error: errorCampo(campo, 'tipo', 'Debe ser true o false') };
+    }
+
+    if (regla.tipo === 'lista') {
+        if (!Array.isArray(valor)) {
+            return { error: errorCampo(campo, 'tipo', 'Debe ser una lista') };
+        }
+        const invalidos = regla.valores ? valor.filter(item => !regla.valores.includes(item)) : [];
+        if (invalidos.length > 0) {
+            return { error: errorCampo(campo, 'enum', `Valores no válidos: ${invalidos.join(', ')} (use ${regla.valores.join(', ')})`) };
+        }
+        return { valor: [...new Set(valor)] };
+    }
+
+    // Objeto anidado; su contenido lo valida quien lo usa con otro esquema
+    if (regla.tipo === 'objeto') {
+        if (typeof valor !== 'object' || valor === null || Array.isArray(valor)) {
+            return { error: errorCampo(campo, 'tipo', 'Debe ser un objeto') };
+        }
+        return { valor };
+    }
+
+    throw new Error(`Tipo de regla desconocido para ${campo}: ${regla.tipo}`);
+}
+
+/**
+ * Valida `datos` contra `esquema`. Devuelve { valores, errores } donde
+ * `valores` tiene solo los campos del esquema presentes (normalizados) y
+ * `errores` la lista de errores por campo.
+ *
+ * Opciones:
+ * - parcial: solo se validan los campos presentes (PATCH); un requerido
+ *   presente no puede quedar vacío.
+ * - estricto: los campos que no están en el esquema son un error.
+ * - flexible: enums sin distinguir mayúsculas ni tildes (importación).
+ */
+function validar(esquema, datos = {}, { parcial = false, estricto = false, flexible = false } = {}) {
+    const valores = {};
+    const errores = [];
+
+    if (estricto) {
+        for (const campo of Object.keys(datos)) {
+            if (!esquema[campo]) {
+                errores.push(errorCampo(campo, 'desconocido', 'Campo no permitido'));
+            }
+        }
+    }
+
+    for (const [campo, regla] of Object.entries(esquema)) {
+        const valor = datos[campo];
+        if (parcial && valor === undefined) continue;
+
+        if (vacio(valor)) {
+            if (regla.requerido) {
+                errores.push(errorCampo(campo, 'requerido', 'Campo requerido'));
+            } else if (valor !== undefined) {
+                valores[campo] = null;
+            }
+            continue;
+        }
+
+        const resultado = validarValor(campo, regla, valor, { flexible });
+        if (resultado.error) {
+            errores.push(resultado.error);
+        } else {
+            valores[campo] = resultado.valor;
+        }
+    }
+
+    return { valores, errores };
+}
+
+// Error 400 con la lista de errores por campo (ver handleSupabaseError)
+function errorValidacion(errores) {
+    const error = httpError(400, 'VALIDATION_ERROR', 'Datos no válidos',
+        errores.map(e => `${e.campo}: ${e.mensaje}`).join('; '));
+    error.errores = errores;
+    return error;
+}
+
+// Como validar(), pero lanza errorValidacion si hay errores
+function validarOFallar(esquema, datos, opciones) {
+    const { valores, errores } = validar(esquema, datos, opciones);
+    if (errores.length > 0) {
+        throw errorValidacion(errores);
+    }
+    return valores;
+}
+
+module.exports = { validar, validarOFallar, errorValidacion, errorCampo, CODIGOS };
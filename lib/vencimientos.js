@@ -0,0 +1,192 @@
+// Vencimiento de las revisiones periódicas y programador que registra los
+// cambios de estado (al_dia → por_vencer → vencido)
+
+const INTERVALO_GLOBAL_DIAS = parseInt(process.env.REVISION_INTERVALO_DIAS, 10) || 90;
+// Días antes del vencimiento en que un equipo pasa a por_vencer
+const AVISO_DIAS = parseInt(process.env.REVISION_AVISO_DIAS, 10) || 7;
+// Cada cuánto corre el programador (por defecto cada hora)
+const INTERVALO_JOB_MS = parseInt(process.env.REVISION_JOB_MS, 10) || 60 * 60 * 1000;
+
+const ESTADOS_REVISION = ['al_dia', 'por_vencer', 'vencido'];
+const DIA_MS = 24 * 60 * 60 * 1000;
+
+function normalizar(texto) {
+    return String(texto || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+}
+
+/**
+ * Devuelve una función computador → { dias, ambito, valor } con el intervalo
+ * que le corresponde. Gana la regla más específica: ubicación, luego cargo y
+ * por último la global (o REVISION_INTERVALO_DIAS si no hay fila global).
+ */
+function crearResolverIntervalo(intervalos) {
+    const global = intervalos.find(intervalo => intervalo.ambito === 'global');
+    const porCargo = new Map(intervalos
+        .filter(intervalo => intervalo.ambito === 'cargo')
+        .map(intervalo => [normalizar(intervalo.valor), intervalo]));
+    const porUbicacion = intervalos
+        .filter(intervalo => intervalo.ambito === 'ubicacion')
+        .map(intervalo => ({ ...intervalo, clave: normalizar(intervalo.valor) }));
+
+    return (computador) => {
+        const ubicacion = normalizar(`${computador.ubicacion_manual || ''} ${computador.direccion_automatica || ''}`);
+        const regla = porUbicacion.find(intervalo => ubicacion.includes(intervalo.clave)) ||
+            porCargo.get(normalizar(computador.cargo)) ||
+            global;
+        return regla
+            ? { dias: regla.dias, ambito: regla.ambito, valor: regla.valor || null }
+            : { dias: INTERVALO_GLOBAL_DIAS, ambito: 'global', valor: null };
+    };
+}
+
+// Estado de revisión de un equipo con su intervalo en `ahora` (Date)
+function estadoRevision(computador, intervalo, ahora) {
+    if (!computador.fecha_revision) {
+        return { estado: 'vencido', proxima_revision: null, dias_restantes: null };
+    }
+
+    const proxima = new Date(new Date(computador.fecha_revision).getTime() + intervalo.dias * DIA_MS);
+    const diasRestantes = Math.floor((proxima.getTime() - ahora.getTime()) / DIA_MS);
+    let estado = 'al_dia';
+    if (proxima <= ahora) estado = 'vencido';
+    else if (proxima.getTime() - ahora.getTime() <= AVISO_DIAS * DIA_MS) estado = 'por_vencer';
+
+    return { estado, proxima_revision: proxima.toISOString(), dias_restantes: diasRestantes };
+}
+
+/**
+ * Calcula el estado de revisión de cada equipo. Devuelve los equipos con
+ * intervalo_dias, regla_intervalo, estado_revision, proxima_revision y
+ * dias_restantes (negativo si está vencido).
+ */
+function calcularVencimientos(computadores, intervalos, ahora = new Date()) {
+    const resolver = crearResolverIntervalo(intervalos);
+    return computadores.map(computador => {
+        const intervalo = resolver(computador);
+        const { estado, proxima_revision, dias_restantes } = estadoRevision(computador, intervalo, ahora);
+        return {
+            ...computador,
+            intervalo_dias: intervalo.dias,
+            regla_intervalo: { ambito: intervalo.ambito, valor: intervalo.valor },
+            estado_revision: estado,
+            proxima_revision,
+            dias_restantes
+        };
+    });
+}
+
+// Agrupa por responsable, con los más atrasados primero en cada grupo
+function agruparPorResponsable(vencimientos) {
+    const grupos = new Map();
+    for (const computador of vencimientos) {
+        const responsable = computador.responsable || 'Sin responsable';
+        if (!grupos.has(responsable)) grupos.set(responsable, []);
+        grupos.get(responsable).push(computador);
+    }
+
+    const masAtrasado = c => (c.dias_restantes === null ? -Infinity : c.dias_restantes);
+    return [...grupos.entries()]
+        .map(([responsable, computadores]) => ({
+            responsable,
+            total: computadores.length,
+            vencidos: computadores.filter(c => c.estado_revision === 'vencido').length,
+            computadores: computadores.sort((a, b) => masAtrasado(a) - masAtrasado(b))
+        }))
+        .sort((a, b) => b.vencidos - a.vencidos || b.total - a.total || a.responsable.localeCompare(b.responsable));
+}
+
+/**
+ * Programador de revisiones: cada INTERVALO_JOB_MS recalcula los estados,
+ * registra las transiciones en revision_transiciones y publica
+ * revision_por_vencer / revision_vencida en `eventos` (stream y webhooks).
+ * La primera vez que se ve un equipo solo se registra, sin publicar, para no
+ * notificar de golpe todos los atrasos existentes al desplegar.
+ */
+function createProgramadorRevisiones({ computadoresRepo, vencimientosRepo, eventos, intervaloMs = INTERVALO_JOB_MS }) {
+    let temporizador = null;
+    let ejecutando = null;
+
+    async function ejecutar(ahora = new Date()) {
+        const [computadores, intervalos, anteriores] = await Promise.all([
+            computadoresRepo.listParaRevision(),
+            vencimientosRepo.listIntervalos(),
+            vencimientosRepo.estados()
+        ]);
+
+        const resumen = { revisados: computadores.length, transiciones: 0, al_dia: 0, por_vencer: 0, vencido: 0 };
+        const cambios = [];
+
+        for (const computador of calcularVencimientos(computadores, intervalos, ahora)) {
+            resumen[computador.estado_revision]++;
+            const anterior = anteriores.get(computador.id);
+            if (anterior && anterior.estado === computador.estado_revision) continue;
+
+            cambios.push({
+                computador_id: computador.id,
+                estado: computador.estado_revision,
+                proxima_revision: computador.proxima_revision,
+                fecha_cambio: ahora.toISOString()
+            });
+            await vencimientosRepo.registrarTransicion({
+                computador_id: computador.id,
+                equipo_id: computador.equipo_id,
+                responsable: computador.responsable,
+                estado_anterior: anterior ? anterior.estado : null,
+                estado_nuevo: computador.estado_revision,
+                proxima_revision: computador.proxima_revision,
+                intervalo_dias: computador.intervalo_dias,
+                fecha: ahora.toISOString()
+            });
+            resumen.transiciones++;
+
+            if (anterior && computador.estado_revision !== 'al_dia') {
+                eventos.publicar(computador.estado_revision === 'vencido' ? 'revision_vencida' : 'revision_por_vencer',
+                    computador, null);
+            }
+        }
+
+        await vencimientosRepo.guardarEstados(cambios);
+        console.log(`Revisiones: ${resumen.revisados} equipos, ${resumen.vencido} vencidos, ` +
+            `${resumen.por_vencer} por vencer, ${resumen.transiciones} cambios de estado`);
+        return resumen;
+    }
+
+    // Evita dos ejecuciones a la vez (temporizador y POST /api/vencimientos/ejecutar)
+    function ejecutarUnaVez() {
+        if (!ejecutando) {
+            ejecutando = ejecutar().finally(() => {
+                ejecutando = null;
+            });
+        }
+        return ejecutando;
+    }
+
+    return {
+        iniciar() {
+            if (temporizador) return;
+            const correr = () => ejecutarUnaVez().catch(error => {
+                console.error('Error en el programador de revisiones:', error);
+            });
+            correr();
+            temporizador = setInterval(correr, intervaloMs);
+            temporizador.unref();
+        },
+
+        detener() {
+            clearInterval(temporizador);
+            temporizador = null;
+        },
+
+        ejecutar: ejecutarUnaVez
+    };
+}
+
+module.exports = {
+    normalizar,
+    calcularVencimientos,
+    agruparPorResponsable,
+    createProgramadorRevisiones,
+    ESTADOS_REVISION,
+    INTERVALO_GLOBAL_DIAS,
+    AVISO_DIAS
+};
@@ -0,0 +1,209 @@
+const crypto = require('crypto');
+
+// Eventos a los que se puede suscribir un webhook
+const EVENTOS_WEBHOOK = [
+    'computador.creado',
+    'computador.actualizado',
+    'computador.estado_cambiado',
+    'computador.eliminado',
+    'computador.restaurado',
+    'computador.revision_por_vencer',
+    'computador.revision_vencida'
+];
+
+const MAX_INTENTOS = parseInt(process.env.WEBHOOK_MAX_INTENTOS, 10) || 6;
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000;
+// Cada cuánto se buscan entregas pendientes de reintento
+const INTERVALO_MS = parseInt(process.env.WEBHOOK_POLL_MS, 10) || 15000;
+// Reintentos a los 30 s, 1 min, 2 min, 4 min... (máximo 6 horas)
+const BACKOFF_BASE_MS = 30000;
+const BACKOFF_MAX_MS = 6 * 60 * 60 * 1000;
+// Lo que se guarda del cuerpo de la respuesta en el registro de entregas
+const MAX_RESPUESTA = 2000;
+
+function retrasoReintento(intentos) {
+    return Math.min(BACKOFF_BASE_MS * 2 ** (intentos - 1), BACKOFF_MAX_MS);
+}
+
+/**
+ * Firma HMAC-SHA256 de `${timestamp}.${cuerpo}` en hexadecimal. El receptor
+ * la recalcula con su secreto y compara con la cabecera X-Webhook-Signature
+ * (sin el prefijo "sha256="); el timestamp permite rechazar repeticiones.
+ */
+function firmar(secreto, timestamp, cuerpo) {
+    return crypto.createHmac('sha256', secreto).update(`${timestamp}.${cuerpo}`).digest('hex');
+}
+
+function generarSecreto() {
+    return crypto.randomBytes(32).toString('hex');
+}
+
+// Nombres de webhook que corresponden a un evento de lib/eventos
+function nombresEvento(evento) {
+    const nombres = [`computador.${evento.tipo}`];
+    if (evento.tipo === 'actualizado' && evento.estado_anterior &&
+        evento.estado_anterior !== evento.computador.estado) {
+        nombres.push('computador.estado_cambiado');
+    }
+    return nombres;
+}
+
+/**
+ * Reparte los eventos de `eventos` a los webhooks suscritos. Cada envío
+ * queda en webhook_entregas; los fallidos se reintentan con espera
+ * exponencial hasta MAX_INTENTOS. Con varios procesos, cada uno reparte sus
+ * propios eventos pero todos reintentan las pendientes: conviene una sola
+ * instancia o aceptar entregas repetidas (X-Webhook-Delivery las identifica).
+ */
+function createWebhooks({ webhooksRepo, eventos, fetch = globalThis.fetch }) {
+    // Entregas en envío en este proceso, para no enviarlas dos veces
+    const enCurso = new Set();
+    let intervalo = null;
+    let cancelar = null;
+    let revisando = false;
+
+    async function entregar(entrega) {
+        if (enCurso.has(entrega.id)) return null;
+        enCurso.add(entrega.id);
+
+        try {
+            const webhook = await webhooksRepo.getWithSecret(entrega.webhook_id);
+            if (!webhook) return null;
+
+            const intentos = entrega.intentos + 1;
+            const ahora = new Date();
+            if (!webhook.activo) {
+                return await webhooksRepo.updateEntrega(entrega.id, {
+                    estado: 'fallida',
+                    proximo_intento: null,
+                    ultimo_error: 'Webhook desactivado'
+                });
+            }
+
+            const cuerpo = JSON.stringify(entrega.payload);
+            const timestamp = Math.floor(ahora.getTime() / 1000);
+            let status = null;
+            let respuesta = null;
+            let error = null;
+
+            try {
+                const res = await fetch(webhook.url, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'User-Agent': 'soporte-tecnico-webhooks/1.0',
+                        'X-Webhook-Event': entrega.evento,
+                        'X-Webhook-Delivery': String(entrega.id),
+                        'X-Webhook-Timestamp': String(timestamp),
+                        'X-Webhook-Signature': `sha256=${firmar(webhook.secreto, timestamp, cuerpo)}`
+                    },
+                    body: cuerpo,
+                    redirect: 'manual',
+                    signal: AbortSignal.timeout(TIMEOUT_MS)
+                });
+                status = res.status;
+                respuesta = (await res.text()).slice(0, MAX_RESPUESTA);
+                if (!res.ok) error = `Respuesta HTTP ${status}`;
+            } catch (fetchError) {
+                error = fetchError.name === 'TimeoutError'
+                    ? `Sin respuesta en ${TIMEOUT_MS} ms`
+                    : (fetchError.cause && fetchError.cause.message) || fetchError.message;
+            }
+
+            const cambios = { intentos, respuesta_status: status, respuesta_cuerpo: respuesta, ultimo_error: error };
+            if (!error) {
+                Object.assign(cambios, { estado: 'entregada', proximo_intento: null, fecha_entrega: ahora.toISOString() });
+                console.log(`Webhook ${webhook.id}: entrega ${entrega.id} (${entrega.evento}) enviada`);
+            } else if (intentos >= MAX_INTENTOS) {
+                Object.assign(cambios, { estado: 'fallida', proximo_intento: null });
+                console.error(`Webhook ${webhook.id}: entrega ${entrega.id} fallida tras ${intentos} intentos: ${error}`);
+            } else {
+                cambios.proximo_intento = new Date(ahora.getTime() + retrasoReintento(intentos)).toISOString();
+                console.warn(`Webhook ${webhook.id}: entrega ${entrega.id} falló (${error}), reintento ${intentos + 1} a las ${cambios.proximo_intento}`);
+            }
+            return await webhooksRepo.updateEntrega(entrega.id, cambios);
+        } finally {
+            enCurso.delete(entrega.id);
+        }
+    }
+
+    async function repartir(evento) {
+        const nombres = nombresEvento(evento);
+        const suscritos = (await webhooksRepo.listActivos())
+            .filter(webhook => Array.isArray(webhook.eventos));
+
+        for (const webhook of suscritos) {
+            for (const nombre of nombres.filter(n => webhook.eventos.includes(n))) {
+                const entrega = await webhooksRepo.createEntrega({
+                    webhook_id: webhook.id,
+                    evento: nombre,
+                    payload: {
+                        evento: nombre,
+                        evento_id: evento.id,
+                        fecha: evento.fecha,
+                        usuario: evento.usuario,
+                        estado_anterior: evento.estado_anterior,
+                        computador: evento.computador
+                    }
+                });
+                await entregar(entrega);
+            }
+        }
+    }
+
+    async function reintentarPendientes() {
+        if (revisando) return;
+        revisando = true;
+        try {
+            const vencidas = await webhooksRepo.entregasVencidas(new Date().toISOString(), 50);
+            for (const entrega of vencidas) {
+                await entregar(entrega);
+            }
+        } catch (error) {
+            console.error('Error reintentando entregas de webhooks:', error);
+        } finally {
+            revisando = false;
+        }
+    }
+
+    return {
+        // Empieza a escuchar eventos y a reintentar pendientes
+        iniciar() {
+            if (cancelar) return;
+            cancelar = eventos.suscribir(evento => {
+                // El evento ya se guardó: un fallo aquí no debe afectar a la petición
+                repartir(evento).catch(error => {
+                    console.error(`Error repartiendo evento ${evento.id} a webhooks:`, error);
+                });
+            });
+            intervalo = setInterval(reintentarPendientes, INTERVALO_MS);
+            intervalo.unref();
+        },
+
+        detener() {
+            if (cancelar) cancelar();
+            clearInterval(intervalo);
+            cancelar = null;
+            intervalo = null;
+        },
+
+        /**
+         * Vuelve a enviar una entrega como una entrega nueva con el mismo
+         * cuerpo (reenvio_de apunta a la original). Devuelve la nueva
+         * entrega tras el primer intento.
+         */
+        async reenviar(entrega) {
+            const nueva = await webhooksRepo.createEntrega({
+                webhook_id: entrega.webhook_id,
+                evento: entrega.evento,
+                payload: entrega.payload,
+                reenvio_de: entrega.id
+            });
+            return (await entregar(nueva)) || nueva;
+        },
+
+        reintentarPendientes
+    };
+}
+
+module.exports = { createWebhooks, firmar, generarSecreto, EVENTOS_WEBHOOK, MAX_INTENTOS };
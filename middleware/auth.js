@@ -0,0 +1,93 @@
+const jwt = require('jsonwebtoken');
+const { ROLES } = require('../db/usuarios');
+const { handleSupabaseError } = require('../lib/errors');
+
+// Cada rol incluye los permisos de los anteriores
+const NIVEL_ROL = Object.fromEntries(ROLES.map((rol, i) => [rol, i + 1]));
+const TOKEN_TTL = process.env.AUTH_TOKEN_TTL || '12h';
+
+function getSecret() {
+    const secret = process.env.AUTH_SECRET;
+    if (!secret || secret.length < 32) {
+        throw new Error('AUTH_SECRET es obligatorio y debe tener al menos 32 caracteres');
+    }
+    return secret;
+}
+
+function firmarToken(usuario) {
+    return jwt.sign(
+        { sub: String(usuario.id), nombre: usuario.nombre, email: usuario.email, rol: usuario.rol },
+        getSecret(),
+        { expiresIn: TOKEN_TTL }
+    );
+}
+
+function responderNoAutorizado(res, status, code, message) {
+    return res.status(status).json({ error: message, code });
+}
+
+// Repositorio con el que autenticar() carga el usuario de cada token (server.js)
+let usuariosRepo = null;
+
+function configurarAutenticacion({ usuariosRepo: repo }) {
+    usuariosRepo = repo;
+}
+
+/**
+ * Exige un token Bearer válido y deja el usuario en `req.usuario`
+ * ({ id, nombre, email, rol }). El usuario se lee de la base en cada
+ * petición: uno desactivado queda fuera y un cambio de rol aplica de
+ * inmediato, sin esperar a que venza el token.
+ */
+async function autenticar(req, res, next) {
+    const header = req.get('Authorization') || '';
+    const [tipo, token] = header.split(' ');
+
+    if (tipo !== 'Bearer' || !token) {
+        return responderNoAutorizado(res, 401, 'AUTH_REQUIRED', 'Se requiere autenticación');
+    }
+
+    let payload;
+    try {
+        payload = jwt.verify(token, getSecret());
+    } catch (error) {
+        const code = error.name === 'TokenExpiredError' ? 'TOKEN_EXPIRED' : 'INVALID_TOKEN';
+        return responderNoAutorizado(res, 401, code, 'Token inválido o expirado');
+    }
+
+    try {
+        if (!usuariosRepo) {
+            throw new Error('Autenticación sin repositorio de usuarios (ver configurarAutenticacion)');
+        }
+        const usuario = await usuariosRepo.get(parseInt(payload.sub, 10));
+        if (!usuario || !usuario.activo) {
+            return responderNoAutorizado(res, 401, 'USER_INACTIVE', 'El usuario no existe o está desactivado');
+        }
+        req.usuario = {
+            id: usuario.id,
+            nombre: usuario.nombre,
+            email: usuario.email,
+            rol: usuario.rol
+        };
+    } catch (error) {
+        return handleSupabaseError(error, res, 'autenticar');
+    }
+    next();
+}
+
+// Exige autenticación y al menos el rol indicado (tecnico < supervisor < administrador)
+function requireRol(rolMinimo) {
+    if (!NIVEL_ROL[rolMinimo]) {
+        throw new Error(`Rol desconocido: ${rolMinimo}`);
+    }
+
+    return [autenticar, (req, res, next) => {
+        if ((NIVEL_ROL[req.usuario.rol] || 0) < NIVEL_ROL[rolMinimo]) {
+            return responderNoAutorizado(res, 403, 'FORBIDDEN',
+                `Esta operación requiere el rol ${rolMinimo}`);
+        }
+        next();
+    }];
+}
+
+module.exports = { autenticar, requireRol, firmarToken, getSecret, configurarAutenticacion };
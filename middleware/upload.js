@@ -0,0 +1,138 @@
+const multer = require('multer');
+const { httpError } = require('../lib/errors');
+const { detectImageType, SUPPORTED_MIME_TYPES } = require('../lib/image-type');
+const { detectarFormato } = require('../lib/importacion');
+
+const MAX_IMAGE_BYTES = parseInt(process.env.MAX_IMAGE_BYTES, 10) || 10 * 1024 * 1024;
+const MAX_IMAGES_PER_REQUEST = parseInt(process.env.MAX_IMAGES_PER_REQUEST, 10) || 10;
+const MAX_IMPORT_BYTES = parseInt(process.env.MAX_IMPORT_BYTES, 10) || 5 * 1024 * 1024;
+
+// Valida tamaño y formato real de una imagen ya en memoria.
+// Devuelve { mime, ext } o lanza un error 413/415.
+function validarImagen(buffer, nombre = 'imagen') {
+    if (buffer.length > MAX_IMAGE_BYTES) {
+        throw httpError(413, 'IMAGE_TOO_LARGE',
+            `La imagen ${nombre} supera el tamaño máximo`,
+            `Máximo ${MAX_IMAGE_BYTES} bytes por imagen`);
+    }
+    const tipo = detectImageType(buffer);
+    if (!tipo) {
+        throw httpError(415, 'UNSUPPORTED_IMAGE_TYPE',
+            `El archivo ${nombre} no es una imagen soportada`,
+            `Formatos aceptados: ${SUPPORTED_MIME_TYPES.join(', ')}`);
+    }
+    return tipo;
+}
+
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: MAX_IMAGE_BYTES,
+        files: MAX_IMAGES_PER_REQUEST
+    },
+    fileFilter: (req, file, cb) => {
+        // Rechazo temprano por Content-Type; el formato real se verifica después
+        if (!file.mimetype || !file.mimetype.startsWith('image/')) {
+            return cb(httpError(415, 'UNSUPPORTED_IMAGE_TYPE',
+                `El archivo ${file.originalname} no es una imagen`,
+                `Formatos aceptados: ${SUPPORTED_MIME_TYPES.join(', ')}`));
+        }
+        cb(null, true);
+    }
+});
+
+const uploadHoja = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_IMPORT_BYTES, files: 1 }
+});
+
+function multerErrorResponse(error) {
+    if (error.code === 'LIMIT_FILE_SIZE') {
+        return httpError(413, 'IMAGE_TOO_LARGE',
+            'Una de las imágenes supera el tamaño máximo',
+            `Máximo ${MAX_IMAGE_BYTES} bytes por imagen`);
+    }
+    if (error.code === 'LIMIT_FILE_COUNT') {
+        return httpError(413, 'TOO_MANY_IMAGES',
+            'Demasiadas imágenes en una sola petición',
+            `Máximo ${MAX_IMAGES_PER_REQUEST} imágenes por petición`);
+    }
+    return httpError(400, error.code || 'UPLOAD_ERROR', 'Error procesando el formulario', error.message);
+}
+
+/**
+ * Middleware para multipart/form-data: acepta hasta MAX_IMAGES_PER_REQUEST
+ * archivos en el campo `campo` y deja en cada `req.files[i].tipo` el formato
+ * detectado en los bytes. Las peticiones JSON pasan sin cambios.
+ */
+function subirImagenes(campo = 'imagenes') {
+    const parse = upload.array(campo, MAX_IMAGES_PER_REQUEST);
+
+    return (req, res, next) => {
+        parse(req, res, (error) => {
+            try {
+                if (error) {
+                    throw error.status ? error : multerErrorResponse(error);
+                }
+                for (const file of req.files || []) {
+                    file.tipo = validarImagen(file.buffer, file.originalname);
+                }
+                next();
+            } catch (err) {
+                console.error('Error en subida de imágenes:', err.message);
+                responderErrorSubida(res, err);
+            }
+        });
+    };
+}
+
+function responderErrorSubida(res, err) {
+    res.status(err.status || 500).json({
+        error: err.message,
+        details: err.details,
+        code: err.code
+    });
+}
+
+/**
+ * Middleware para un archivo CSV o XLSX en el campo `campo`. Deja en
+ * `req.file.formato` el formato detectado en los bytes ('csv' o 'xlsx').
+ */
+function subirHoja(campo = 'archivo') {
+    const parse = uploadHoja.single(campo);
+
+    return (req, res, next) => {
+        parse(req, res, (error) => {
+            try {
+                if (error) {
+                    if (error.code === 'LIMIT_FILE_SIZE') {
+                        throw httpError(413, 'FILE_TOO_LARGE', 'El archivo supera el tamaño máximo',
+                            `Máximo ${MAX_IMPORT_BYTES} bytes`);
+                    }
+                    throw multerErrorResponse(error);
+                }
+                if (!req.file) {
+                    throw httpError(400, 'FILE_REQUIRED', 'No se recibió ningún archivo',
+                        `Envíe el archivo como multipart/form-data en el campo "${campo}"`);
+                }
+                req.file.formato = detectarFormato(req.file.buffer);
+                if (!req.file.formato) {
+                    throw httpError(415, 'UNSUPPORTED_FILE_TYPE', 'El archivo no es CSV ni XLSX');
+                }
+                next();
+            } catch (err) {
+                console.error('Error en subida de archivo:', err.message);
+                responderErrorSubida(res, err);
+            }
+        });
+    };
+}
+
+module.exports = {
+    subirImagenes,
+    subirHoja,
+    validarImagen,
+    MAX_IMAGE_BYTES,
+    MAX_IMAGES_PER_REQUEST,
+    MAX_IMPORT_BYTES
+};
@@ -0,0 +1,39 @@
+-- Tabla computadores. Es idempotente para que las bases creadas antes de las
+-- migraciones (con el SQL que imprimía el servidor) solo queden registradas.
+CREATE TABLE IF NOT EXISTS computadores (
+    id SERIAL PRIMARY KEY,
+    equipo_id VARCHAR(100) UNIQUE NOT NULL,
+    serial_number VARCHAR(100) NOT NULL,
+    placa_ml VARCHAR(100),
+    latitud DECIMAL(10, 8),
+    longitud DECIMAL(11, 8),
+    direccion_automatica TEXT,
+    ubicacion_manual TEXT,
+    responsable VARCHAR(200) NOT NULL,
+    cargo VARCHAR(100) NOT NULL,
+    estado VARCHAR(20) NOT NULL CHECK (estado IN ('operativo', 'mantenimiento', 'dañado')),
+    windows_update VARCHAR(5) NOT NULL CHECK (windows_update IN ('si', 'no')),
+    imagenes JSONB DEFAULT '[]'::jsonb,
+    observaciones TEXT,
+    problemas_detectados TEXT,
+    fecha_revision TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    fecha_actualizacion TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    revisor VARCHAR(100)
+);
+
+CREATE INDEX IF NOT EXISTS idx_serial_number ON computadores(serial_number);
+CREATE INDEX IF NOT EXISTS idx_equipo_id ON computadores(equipo_id);
+CREATE INDEX IF NOT EXISTS idx_estado ON computadores(estado);
+CREATE INDEX IF NOT EXISTS idx_fecha_revision ON computadores(fecha_revision);
+
+ALTER TABLE computadores ENABLE ROW LEVEL SECURITY;
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_policies
+        WHERE tablename = 'computadores' AND policyname = 'Permitir todo acceso'
+    ) THEN
+        CREATE POLICY "Permitir todo acceso" ON computadores FOR ALL USING (true);
+    END IF;
+END $$;
+ALTER TABLE computadores REPLICA IDENTITY FULL;
@@ -0,0 +1,16 @@
+-- Usuarios de la API y su rol. Sin políticas RLS: en Supabase solo la
+-- service role key (SUPABASE_SERVICE_ROLE_KEY) puede leer la tabla.
+CREATE TABLE usuarios (
+    id SERIAL PRIMARY KEY,
+    email VARCHAR(200) UNIQUE NOT NULL,
+    nombre VARCHAR(100) NOT NULL,
+    rol VARCHAR(20) NOT NULL CHECK (rol IN ('tecnico', 'supervisor', 'administrador')),
+    password_hash TEXT NOT NULL,
+    activo BOOLEAN NOT NULL DEFAULT TRUE,
+    fecha_creacion TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    fecha_actualizacion TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_usuarios_email ON usuarios(email);
+
+ALTER TABLE usuarios ENABLE ROW LEVEL SECURITY;
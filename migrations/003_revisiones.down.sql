@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS revisiones;
+DROP FUNCTION IF EXISTS revisiones_inmutables();
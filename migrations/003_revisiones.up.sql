@@ -0,0 +1,50 @@
+-- Historial de inspecciones. Cada revisión es una copia inmutable del estado
+-- del equipo al momento de revisarlo; computadores conserva el estado actual.
+CREATE TABLE revisiones (
+    id SERIAL PRIMARY KEY,
+    computador_id INTEGER NOT NULL REFERENCES computadores(id) ON DELETE CASCADE,
+    fecha_revision TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    revisor VARCHAR(100),
+    revisor_id INTEGER REFERENCES usuarios(id) ON DELETE SET NULL,
+    estado VARCHAR(20) NOT NULL CHECK (estado IN ('operativo', 'mantenimiento', 'dañado')),
+    windows_update VARCHAR(5) NOT NULL CHECK (windows_update IN ('si', 'no')),
+    problemas_detectados TEXT,
+    observaciones TEXT,
+    responsable VARCHAR(200),
+    cargo VARCHAR(100),
+    latitud DECIMAL(10, 8),
+    longitud DECIMAL(11, 8),
+    direccion_automatica TEXT,
+    ubicacion_manual TEXT,
+    imagenes JSONB NOT NULL DEFAULT '[]'::jsonb
+);
+
+CREATE INDEX idx_revisiones_computador ON revisiones(computador_id, fecha_revision);
+
+CREATE FUNCTION revisiones_inmutables() RETURNS trigger AS $$
+BEGIN
+    RAISE EXCEPTION 'Las revisiones no se pueden modificar' USING ERRCODE = 'P0001';
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER revisiones_sin_update
+    BEFORE UPDATE ON revisiones
+    FOR EACH ROW EXECUTE FUNCTION revisiones_inmutables();
+
+-- La inspección vigente de cada equipo existente pasa a ser su primera revisión
+INSERT INTO revisiones (
+    computador_id, fecha_revision, revisor, estado, windows_update,
+    problemas_detectados, observaciones, responsable, cargo,
+    latitud, longitud, direccion_automatica, ubicacion_manual, imagenes
+)
+SELECT
+    id, COALESCE(fecha_revision, CURRENT_TIMESTAMP), revisor, estado, windows_update,
+    problemas_detectados, observaciones, responsable, cargo,
+    latitud, longitud, direccion_automatica, ubicacion_manual, COALESCE(imagenes, '[]'::jsonb)
+FROM computadores;
+
+-- Se pueden leer y agregar revisiones, no editarlas ni borrarlas (el borrado
+-- solo ocurre en cascada al eliminar el equipo)
+ALTER TABLE revisiones ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Leer revisiones" ON revisiones FOR SELECT USING (true);
+CREATE POLICY "Agregar revisiones" ON revisiones FOR INSERT WITH CHECK (true);
@@ -0,0 +1,8 @@
+-- pg_trgm se conserva: otras tablas o consultas pueden usarla
+DROP FUNCTION IF EXISTS buscar_computadores(TEXT);
+DROP INDEX IF EXISTS idx_fecha_actualizacion;
+DROP INDEX IF EXISTS idx_placa_ml_trgm;
+DROP INDEX IF EXISTS idx_serial_number_trgm;
+DROP INDEX IF EXISTS idx_equipo_id_trgm;
+DROP INDEX IF EXISTS idx_computadores_busqueda;
+DROP FUNCTION IF EXISTS computadores_documento(TEXT, TEXT, TEXT, TEXT, TEXT, TEXT, TEXT);
@@ -0,0 +1,52 @@
+-- Búsqueda de texto en computadores. El documento se calcula con una función
+-- inmutable para indexarlo sin agregar columnas a la tabla (select('*') no
+-- devuelve el tsvector a los clientes).
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+CREATE FUNCTION computadores_documento(
+    equipo_id TEXT, serial_number TEXT, placa_ml TEXT, responsable TEXT,
+    ubicacion_manual TEXT, observaciones TEXT, problemas_detectados TEXT
+) RETURNS tsvector
+LANGUAGE sql IMMUTABLE
+AS $$
+    SELECT
+        setweight(to_tsvector('simple', coalesce(equipo_id, '') || ' ' || coalesce(serial_number, '') || ' ' || coalesce(placa_ml, '')), 'A') ||
+        setweight(to_tsvector('spanish', coalesce(responsable, '') || ' ' || coalesce(ubicacion_manual, '')), 'B') ||
+        setweight(to_tsvector('spanish', coalesce(problemas_detectados, '') || ' ' || coalesce(observaciones, '')), 'C')
+$$;
+
+CREATE INDEX idx_computadores_busqueda ON computadores USING GIN (
+    computadores_documento(equipo_id, serial_number, placa_ml, responsable,
+        ubicacion_manual, observaciones, problemas_detectados)
+);
+
+-- Coincidencia parcial de identificadores (ILIKE '%...%')
+CREATE INDEX idx_equipo_id_trgm ON computadores USING GIN (equipo_id gin_trgm_ops);
+CREATE INDEX idx_serial_number_trgm ON computadores USING GIN (serial_number gin_trgm_ops);
+CREATE INDEX idx_placa_ml_trgm ON computadores USING GIN (placa_ml gin_trgm_ops);
+
+CREATE INDEX idx_fecha_actualizacion ON computadores(fecha_actualizacion);
+
+-- Computadores que coinciden con `consulta`, del más al menos relevante.
+-- Los identificadores (equipo, serial, placa) también coinciden por texto
+-- parcial y una coincidencia exacta con ellos va primero. Devuelve filas de
+-- computadores para poder filtrar y paginar sobre el resultado.
+CREATE FUNCTION buscar_computadores(consulta TEXT)
+RETURNS SETOF computadores
+LANGUAGE sql STABLE
+AS $$
+    SELECT c.*
+    FROM computadores c, websearch_to_tsquery('spanish', consulta) AS q
+    WHERE computadores_documento(c.equipo_id, c.serial_number, c.placa_ml, c.responsable,
+              c.ubicacion_manual, c.observaciones, c.problemas_detectados) @@ q
+       OR c.equipo_id ILIKE '%' || consulta || '%'
+       OR c.serial_number ILIKE '%' || consulta || '%'
+       OR c.placa_ml ILIKE '%' || consulta || '%'
+    ORDER BY
+        (lower(c.equipo_id) = lower(consulta) OR lower(c.serial_number) = lower(consulta)
+            OR lower(c.placa_ml) = lower(consulta)) IS TRUE DESC,
+        ts_rank(computadores_documento(c.equipo_id, c.serial_number, c.placa_ml, c.responsable,
+            c.ubicacion_manual, c.observaciones, c.problemas_detectados), q) DESC,
+        c.fecha_revision DESC,
+        c.id DESC
+$$;
@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS webhook_entregas;
+DROP TABLE IF EXISTS webhooks;
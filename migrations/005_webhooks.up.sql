@@ -0,0 +1,38 @@
+-- Suscripciones a webhooks y registro de entregas. Sin políticas RLS: como
+-- usuarios, solo la service role key puede leerlas (guardan el secreto).
+CREATE TABLE webhooks (
+    id SERIAL PRIMARY KEY,
+    url TEXT NOT NULL,
+    secreto VARCHAR(200) NOT NULL,
+    eventos JSONB NOT NULL DEFAULT '[]'::jsonb,
+    descripcion TEXT,
+    activo BOOLEAN NOT NULL DEFAULT TRUE,
+    creado_por INTEGER REFERENCES usuarios(id) ON DELETE SET NULL,
+    fecha_creacion TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    fecha_actualizacion TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Cada intento de envío de un evento a un webhook. `payload` es el cuerpo
+-- exacto que se firma y se envía; un reenvío crea una entrega nueva.
+CREATE TABLE webhook_entregas (
+    id BIGSERIAL PRIMARY KEY,
+    webhook_id INTEGER NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+    evento VARCHAR(50) NOT NULL,
+    payload JSONB NOT NULL,
+    estado VARCHAR(20) NOT NULL DEFAULT 'pendiente'
+        CHECK (estado IN ('pendiente', 'entregada', 'fallida')),
+    intentos INTEGER NOT NULL DEFAULT 0,
+    proximo_intento TIMESTAMPTZ DEFAULT NOW(),
+    respuesta_status INTEGER,
+    respuesta_cuerpo TEXT,
+    ultimo_error TEXT,
+    reenvio_de BIGINT REFERENCES webhook_entregas(id) ON DELETE SET NULL,
+    fecha_creacion TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    fecha_entrega TIMESTAMPTZ
+);
+
+CREATE INDEX idx_webhook_entregas_webhook ON webhook_entregas(webhook_id, fecha_creacion DESC);
+CREATE INDEX idx_webhook_entregas_pendientes ON webhook_entregas(proximo_intento) WHERE estado = 'pendiente';
+
+ALTER TABLE webhooks ENABLE ROW LEVEL SECURITY;
+ALTER TABLE webhook_entregas ENABLE ROW LEVEL SECURITY;
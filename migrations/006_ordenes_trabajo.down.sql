@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS orden_comentarios;
+DROP TABLE IF EXISTS ordenes_trabajo;
@@ -0,0 +1,50 @@
+-- Órdenes de trabajo de mantenimiento de un equipo. El estado sigue el flujo
+-- abierta → en_progreso → resuelta → cerrada (ver lib/ordenes.js).
+CREATE TABLE ordenes_trabajo (
+    id SERIAL PRIMARY KEY,
+    computador_id INTEGER NOT NULL REFERENCES computadores(id) ON DELETE CASCADE,
+    titulo VARCHAR(200) NOT NULL,
+    descripcion TEXT,
+    prioridad VARCHAR(20) NOT NULL DEFAULT 'media'
+        CHECK (prioridad IN ('baja', 'media', 'alta', 'urgente')),
+    estado VARCHAR(20) NOT NULL DEFAULT 'abierta'
+        CHECK (estado IN ('abierta', 'en_progreso', 'resuelta', 'cerrada')),
+    origen VARCHAR(20) NOT NULL DEFAULT 'manual' CHECK (origen IN ('manual', 'automatica')),
+    asignado_a INTEGER REFERENCES usuarios(id) ON DELETE SET NULL,
+    creado_por INTEGER REFERENCES usuarios(id) ON DELETE SET NULL,
+    -- Suma de los minutos registrados en los comentarios
+    minutos_invertidos INTEGER NOT NULL DEFAULT 0 CHECK (minutos_invertidos >= 0),
+    -- Fotos con `momento` antes o despues, mismo formato que computadores.imagenes
+    imagenes JSONB NOT NULL DEFAULT '[]'::jsonb,
+    fecha_creacion TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    fecha_actualizacion TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    fecha_resolucion TIMESTAMPTZ,
+    fecha_cierre TIMESTAMPTZ
+);
+
+CREATE INDEX idx_ordenes_computador ON ordenes_trabajo(computador_id, estado);
+CREATE INDEX idx_ordenes_estado ON ordenes_trabajo(estado, prioridad);
+CREATE INDEX idx_ordenes_asignado ON ordenes_trabajo(asignado_a) WHERE estado <> 'cerrada';
+
+-- Comentarios y cambios de estado de una orden, con el tiempo invertido
+CREATE TABLE orden_comentarios (
+    id SERIAL PRIMARY KEY,
+    orden_id INTEGER NOT NULL REFERENCES ordenes_trabajo(id) ON DELETE CASCADE,
+    usuario_id INTEGER REFERENCES usuarios(id) ON DELETE SET NULL,
+    autor VARCHAR(100),
+    texto TEXT,
+    minutos INTEGER NOT NULL DEFAULT 0 CHECK (minutos >= 0),
+    estado_anterior VARCHAR(20),
+    estado_nuevo VARCHAR(20),
+    fecha TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_orden_comentarios_orden ON orden_comentarios(orden_id, fecha);
+
+ALTER TABLE ordenes_trabajo ENABLE ROW LEVEL SECURITY;
+ALTER TABLE orden_comentarios ENABLE ROW LEVEL SECURITY;
+
+-- Mismo acceso que computadores y revisiones (la API controla los roles)
+CREATE POLICY "Gestionar ordenes" ON ordenes_trabajo FOR ALL USING (true);
+CREATE POLICY "Leer comentarios de ordenes" ON orden_comentarios FOR SELECT USING (true);
+CREATE POLICY "Agregar comentarios de ordenes" ON orden_comentarios FOR INSERT WITH CHECK (true);
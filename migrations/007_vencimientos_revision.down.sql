@@ -0,0 +1,3 @@
+DROP TABLE IF EXISTS revision_transiciones;
+DROP TABLE IF EXISTS revision_estado;
+DROP TABLE IF EXISTS intervalos_revision;
@@ -0,0 +1,44 @@
+-- Intervalos de revisión periódica. `ambito` global (valor vacío), por cargo
+-- o por ubicación (texto contenido en ubicacion_manual o direccion_automatica).
+-- Sin fila global se usa REVISION_INTERVALO_DIAS.
+CREATE TABLE intervalos_revision (
+    id SERIAL PRIMARY KEY,
+    ambito VARCHAR(20) NOT NULL CHECK (ambito IN ('global', 'cargo', 'ubicacion')),
+    valor VARCHAR(200) NOT NULL DEFAULT '',
+    dias INTEGER NOT NULL CHECK (dias > 0),
+    fecha_actualizacion TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    UNIQUE (ambito, valor)
+);
+
+-- Último estado de revisión calculado por el programador para cada equipo
+CREATE TABLE revision_estado (
+    computador_id INTEGER PRIMARY KEY REFERENCES computadores(id) ON DELETE CASCADE,
+    estado VARCHAR(20) NOT NULL CHECK (estado IN ('al_dia', 'por_vencer', 'vencido')),
+    proxima_revision TIMESTAMPTZ,
+    fecha_cambio TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Cambios de estado de revisión (al_dia → por_vencer → vencido y vuelta)
+CREATE TABLE revision_transiciones (
+    id BIGSERIAL PRIMARY KEY,
+    computador_id INTEGER NOT NULL REFERENCES computadores(id) ON DELETE CASCADE,
+    equipo_id VARCHAR(100) NOT NULL,
+    responsable VARCHAR(200),
+    estado_anterior VARCHAR(20),
+    estado_nuevo VARCHAR(20) NOT NULL,
+    proxima_revision TIMESTAMPTZ,
+    intervalo_dias INTEGER NOT NULL,
+    fecha TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_revision_transiciones_fecha ON revision_transiciones(fecha DESC);
+CREATE INDEX idx_revision_transiciones_computador ON revision_transiciones(computador_id, fecha DESC);
+
+ALTER TABLE intervalos_revision ENABLE ROW LEVEL SECURITY;
+ALTER TABLE revision_estado ENABLE ROW LEVEL SECURITY;
+ALTER TABLE revision_transiciones ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Gestionar intervalos de revision" ON intervalos_revision FOR ALL USING (true);
+CREATE POLICY "Gestionar estado de revision" ON revision_estado FOR ALL USING (true);
+CREATE POLICY "Leer transiciones de revision" ON revision_transiciones FOR SELECT USING (true);
+CREATE POLICY "Agregar transiciones de revision" ON revision_transiciones FOR INSERT WITH CHECK (true);
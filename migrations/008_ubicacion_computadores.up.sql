@@ -0,0 +1,4 @@
+-- Búsqueda por cercanía y por bbox (GET /api/computadores/cerca y ?bbox=):
+-- se filtra primero por rango de latitud y longitud
+CREATE INDEX idx_computadores_ubicacion ON computadores(latitud, longitud)
+    WHERE latitud IS NOT NULL AND longitud IS NOT NULL;
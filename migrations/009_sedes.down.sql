@@ -0,0 +1,8 @@
+DROP INDEX IF EXISTS idx_computadores_sede;
+
+ALTER TABLE computadores
+    DROP COLUMN IF EXISTS area,
+    DROP COLUMN IF EXISTS sede_manual,
+    DROP COLUMN IF EXISTS sede_id;
+
+DROP TABLE IF EXISTS sedes;
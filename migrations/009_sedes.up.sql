@@ -0,0 +1,30 @@
+-- Sedes: edificios o instalaciones donde están los equipos. La zona de la
+-- sede es un polígono (`poligono`, lista de [longitud, latitud]) o un
+-- centro con radio en metros; `areas` son los pisos o áreas de la sede.
+CREATE TABLE sedes (
+    id SERIAL PRIMARY KEY,
+    nombre VARCHAR(200) NOT NULL UNIQUE,
+    direccion TEXT,
+    latitud DECIMAL(10, 8),
+    longitud DECIMAL(11, 8),
+    radio_m INTEGER CHECK (radio_m > 0),
+    poligono JSONB,
+    areas JSONB NOT NULL DEFAULT '[]'::jsonb,
+    fecha_creacion TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    fecha_actualizacion TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    CHECK (poligono IS NOT NULL OR (latitud IS NOT NULL AND longitud IS NOT NULL AND radio_m IS NOT NULL))
+);
+
+-- Sede de cada equipo. Se asigna por coordenadas salvo que sede_manual
+-- indique que se eligió a mano.
+ALTER TABLE computadores
+    ADD COLUMN sede_id INTEGER REFERENCES sedes(id) ON DELETE SET NULL,
+    ADD COLUMN sede_manual BOOLEAN NOT NULL DEFAULT FALSE,
+    ADD COLUMN area VARCHAR(100);
+
+CREATE INDEX idx_computadores_sede ON computadores(sede_id);
+
+ALTER TABLE sedes ENABLE ROW LEVEL SECURITY;
+
+-- Mismo acceso que computadores (la API controla los roles)
+CREATE POLICY "Gestionar sedes" ON sedes FOR ALL USING (true);
@@ -0,0 +1,4 @@
+DROP INDEX IF EXISTS idx_revisiones_fecha;
+DROP FUNCTION IF EXISTS estadisticas_serie(TEXT, DATE, DATE, TEXT);
+DROP FUNCTION IF EXISTS estadisticas_agrupadas(TEXT);
+DROP FUNCTION IF EXISTS estadisticas_resumen(TEXT);
@@ -0,0 +1,5 @@
+DROP INDEX IF EXISTS idx_computadores_sync;
+DROP TRIGGER IF EXISTS computadores_registrar_eliminado ON computadores;
+DROP FUNCTION IF EXISTS registrar_computador_eliminado();
+DROP TABLE IF EXISTS computadores_eliminados;
+DROP TABLE IF EXISTS sync_operaciones;
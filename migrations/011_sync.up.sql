@@ -0,0 +1,40 @@
+-- Sincronización por lotes (POST /api/sync). Cada cambio enviado por un
+-- cliente lleva un id generado en el dispositivo; la fila se reserva antes
+-- de aplicarlo para que un reintento del mismo lote no lo aplique dos veces.
+CREATE TABLE sync_operaciones (
+    id BIGSERIAL PRIMARY KEY,
+    usuario_id INTEGER NOT NULL REFERENCES usuarios(id) ON DELETE CASCADE,
+    id_cliente VARCHAR(100) NOT NULL,
+    computador_id INTEGER REFERENCES computadores(id) ON DELETE SET NULL,
+    resultado JSONB,
+    fecha TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    UNIQUE (usuario_id, id_cliente)
+);
+
+-- Equipos borrados, para que los clientes los quiten de su copia local.
+-- Lo llena un trigger para cubrir cualquier ruta que borre equipos; es
+-- SECURITY DEFINER para que funcione aunque el rol no pueda escribir la tabla.
+CREATE TABLE computadores_eliminados (
+    id BIGSERIAL PRIMARY KEY,
+    computador_id INTEGER NOT NULL,
+    equipo_id VARCHAR(100) NOT NULL,
+    fecha TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE FUNCTION registrar_computador_eliminado() RETURNS trigger AS $$
+BEGIN
+    INSERT INTO computadores_eliminados (computador_id, equipo_id) VALUES (OLD.id, OLD.equipo_id);
+    RETURN OLD;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE TRIGGER computadores_registrar_eliminado
+    AFTER DELETE ON computadores
+    FOR EACH ROW EXECUTE FUNCTION registrar_computador_eliminado();
+
+-- Los cambios del servidor se leen en orden (fecha_actualizacion, id)
+CREATE INDEX idx_computadores_sync ON computadores(fecha_actualizacion, id);
+
+ALTER TABLE sync_operaciones ENABLE ROW LEVEL SECURITY;
+ALTER TABLE computadores_eliminados ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Leer computadores eliminados" ON computadores_eliminados FOR SELECT USING (true);
@@ -0,0 +1,3 @@
+DROP TRIGGER IF EXISTS computadores_incrementar_version ON computadores;
+DROP FUNCTION IF EXISTS incrementar_version_computador();
+ALTER TABLE computadores DROP COLUMN IF EXISTS version;
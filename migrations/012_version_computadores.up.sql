@@ -0,0 +1,15 @@
+-- Control de concurrencia optimista: cada UPDATE de un equipo incrementa
+-- `version`, que se expone como ETag y se compara con If-Match. Lo hace un
+-- trigger para que cuente cualquier escritura (rutas, importación, sedes).
+ALTER TABLE computadores ADD COLUMN version INTEGER NOT NULL DEFAULT 1;
+
+CREATE FUNCTION incrementar_version_computador() RETURNS trigger AS $$
+BEGIN
+    NEW.version := OLD.version + 1;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER computadores_incrementar_version
+    BEFORE UPDATE ON computadores
+    FOR EACH ROW EXECUTE FUNCTION incrementar_version_computador();
@@ -0,0 +1,165 @@
+-- Papelera: DELETE /api/computadores/:id marca el equipo como eliminado
+-- (quién, cuándo y por qué) y conserva sus datos e imágenes. Se puede
+-- restaurar hasta que el trabajo de retención lo purga definitivamente.
+ALTER TABLE computadores
+    ADD COLUMN eliminado_en TIMESTAMPTZ,
+    ADD COLUMN eliminado_por INTEGER REFERENCES usuarios(id) ON DELETE SET NULL,
+    ADD COLUMN eliminado_por_nombre VARCHAR(100),
+    ADD COLUMN motivo_eliminacion TEXT;
+
+CREATE INDEX idx_computadores_papelera ON computadores(eliminado_en) WHERE eliminado_en IS NOT NULL;
+
+-- Los clientes de /api/sync quitan el equipo al pasar a la papelera; al
+-- purgarlo ya no hace falta registrarlo otra vez
+CREATE OR REPLACE FUNCTION registrar_computador_eliminado() RETURNS trigger AS $$
+BEGIN
+    IF TG_OP = 'DELETE' AND OLD.eliminado_en IS NOT NULL THEN
+        RETURN OLD;
+    END IF;
+    INSERT INTO computadores_eliminados (computador_id, equipo_id) VALUES (OLD.id, OLD.equipo_id);
+    RETURN OLD;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE TRIGGER computadores_registrar_papelera
+    AFTER UPDATE OF eliminado_en ON computadores
+    FOR EACH ROW WHEN (OLD.eliminado_en IS NULL AND NEW.eliminado_en IS NOT NULL)
+    EXECUTE FUNCTION registrar_computador_eliminado();
+
+-- Las estadísticas (migración 010) no cuentan los equipos en la papelera
+
+-- Contadores generales. revisiones_hoy cuenta los equipos revisados hoy en `zona`.
+CREATE OR REPLACE FUNCTION estadisticas_resumen(zona TEXT)
+RETURNS TABLE (
+    total INTEGER,
+    operativos INTEGER,
+    mantenimiento INTEGER,
+    danados INTEGER,
+    windows_si INTEGER,
+    windows_no INTEGER,
+    revisiones_hoy INTEGER,
+    con_problemas INTEGER,
+    con_ubicacion INTEGER,
+    con_imagenes INTEGER,
+    total_imagenes INTEGER
+)
+LANGUAGE sql STABLE
+AS $$
+    SELECT
+        COUNT(*)::int,
+        COUNT(*) FILTER (WHERE estado = 'operativo')::int,
+        COUNT(*) FILTER (WHERE estado = 'mantenimiento')::int,
+        COUNT(*) FILTER (WHERE estado = 'dañado')::int,
+        COUNT(*) FILTER (WHERE windows_update = 'si')::int,
+        COUNT(*) FILTER (WHERE windows_update = 'no')::int,
+        COUNT(*) FILTER (WHERE (fecha_revision AT TIME ZONE 'UTC' AT TIME ZONE zona)::date
+            = (NOW() AT TIME ZONE zona)::date)::int,
+        COUNT(*) FILTER (WHERE btrim(COALESCE(problemas_detectados, '')) <> '')::int,
+        COUNT(*) FILTER (WHERE latitud IS NOT NULL AND longitud IS NOT NULL)::int,
+        COUNT(*) FILTER (WHERE jsonb_typeof(imagenes) = 'array' AND jsonb_array_length(imagenes) > 0)::int,
+        COALESCE(SUM(CASE WHEN jsonb_typeof(imagenes) = 'array' THEN jsonb_array_length(imagenes) ELSE 0 END), 0)::int
+    FROM computadores
+    WHERE eliminado_en IS NULL
+$$;
+
+-- Equipos agrupados por `campo`: estado, revisor, cargo, sede o ubicacion.
+-- Cargo, revisor y ubicación se agrupan sin distinguir mayúsculas ni
+-- espacios sobrantes; `etiqueta` es una de las escrituras encontradas. Para
+-- sede, `clave` es el id y `etiqueta` el nombre. Sin valor, clave es NULL.
+CREATE OR REPLACE FUNCTION estadisticas_agrupadas(campo TEXT)
+RETURNS TABLE (
+    clave TEXT,
+    etiqueta TEXT,
+    total INTEGER,
+    operativos INTEGER,
+    mantenimiento INTEGER,
+    danados INTEGER,
+    windows_no INTEGER,
+    con_problemas INTEGER
+)
+LANGUAGE sql STABLE
+AS $$
+    SELECT
+        g.clave,
+        CASE WHEN campo = 'sede' THEN MIN(s.nombre) ELSE MIN(v.valor) END,
+        COUNT(*)::int,
+        COUNT(*) FILTER (WHERE c.estado = 'operativo')::int,
+        COUNT(*) FILTER (WHERE c.estado = 'mantenimiento')::int,
+        COUNT(*) FILTER (WHERE c.estado = 'dañado')::int,
+        COUNT(*) FILTER (WHERE c.windows_update = 'no')::int,
+        COUNT(*) FILTER (WHERE btrim(COALESCE(c.problemas_detectados, '')) <> '')::int
+    FROM computadores c
+    LEFT JOIN sedes s ON s.id = c.sede_id
+    CROSS JOIN LATERAL (
+        SELECT NULLIF(btrim(CASE campo
+            WHEN 'estado' THEN c.estado
+            WHEN 'revisor' THEN c.revisor
+            WHEN 'cargo' THEN c.cargo
+            WHEN 'sede' THEN c.sede_id::text
+            WHEN 'ubicacion' THEN COALESCE(NULLIF(btrim(c.ubicacion_manual), ''), c.direccion_automatica)
+        END), '') AS valor
+    ) v
+    CROSS JOIN LATERAL (
+        SELECT CASE WHEN campo IN ('revisor', 'cargo', 'ubicacion')
+            THEN lower(regexp_replace(v.valor, '\s+', ' ', 'g'))
+            ELSE v.valor
+        END AS clave
+    ) g
+    WHERE c.eliminado_en IS NULL
+    GROUP BY g.clave
+    ORDER BY COUNT(*) DESC, g.clave NULLS LAST
+$$;
+
+-- Serie de revisiones por período (`intervalo` day, week o month, en
+-- `zona`) entre las fechas locales `desde` y `hasta`, ambas incluidas. Los
+-- períodos sin revisiones aparecen con ceros. Un cambio de estado es una
+-- revisión con estado distinto al de la revisión anterior del mismo equipo.
+CREATE OR REPLACE FUNCTION estadisticas_serie(intervalo TEXT, desde DATE, hasta DATE, zona TEXT)
+RETURNS TABLE (
+    periodo DATE,
+    revisiones INTEGER,
+    equipos_revisados INTEGER,
+    cambios_estado INTEGER,
+    a_operativo INTEGER,
+    a_mantenimiento INTEGER,
+    a_danado INTEGER
+)
+LANGUAGE sql STABLE
+AS $$
+    WITH historial AS (
+        SELECT
+            r.computador_id,
+            r.estado,
+            LAG(r.estado) OVER (PARTITION BY r.computador_id ORDER BY r.fecha_revision, r.id) AS estado_anterior,
+            r.fecha_revision AT TIME ZONE 'UTC' AT TIME ZONE zona AS fecha_local
+        FROM revisiones r
+        JOIN computadores c ON c.id = r.computador_id AND c.eliminado_en IS NULL
+    ),
+    en_rango AS (
+        SELECT
+            h.*,
+            h.estado_anterior IS NOT NULL AND h.estado <> h.estado_anterior AS cambio,
+            date_trunc(intervalo, h.fecha_local)::date AS periodo
+        FROM historial h
+        WHERE h.fecha_local >= desde AND h.fecha_local < hasta + 1
+    ),
+    periodos AS (
+        SELECT generate_series(
+            date_trunc(intervalo, desde::timestamp),
+            date_trunc(intervalo, hasta::timestamp),
+            ('1 ' || intervalo)::interval
+        )::date AS periodo
+    )
+    SELECT
+        p.periodo,
+        COUNT(e.computador_id)::int,
+        COUNT(DISTINCT e.computador_id)::int,
+        COUNT(*) FILTER (WHERE e.cambio)::int,
+        COUNT(*) FILTER (WHERE e.cambio AND e.estado = 'operativo')::int,
+        COUNT(*) FILTER (WHERE e.cambio AND e.estado = 'mantenimiento')::int,
+        COUNT(*) FILTER (WHERE e.cambio AND e.estado = 'dañado')::int
+    FROM periodos p
+    LEFT JOIN en_rango e ON e.periodo = p.periodo
+    GROUP BY p.periodo
+    ORDER BY p.periodo
+$$;
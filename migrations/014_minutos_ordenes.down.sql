@@ -0,0 +1,2 @@
+DROP TRIGGER IF EXISTS orden_comentarios_sumar_minutos ON orden_comentarios;
+DROP FUNCTION IF EXISTS sumar_minutos_orden();
@@ -0,0 +1,23 @@
+-- minutos_invertidos de una orden lo suma la base al insertar cada
+-- comentario: el incremento es atómico (dos comentarios simultáneos no
+-- pierden minutos) y ocurre en la misma sentencia que el INSERT.
+CREATE FUNCTION sumar_minutos_orden() RETURNS trigger AS $$
+BEGIN
+    IF NEW.minutos > 0 THEN
+        UPDATE ordenes_trabajo
+        SET minutos_invertidos = minutos_invertidos + NEW.minutos
+        WHERE id = NEW.orden_id;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER orden_comentarios_sumar_minutos
+    AFTER INSERT ON orden_comentarios
+    FOR EACH ROW EXECUTE FUNCTION sumar_minutos_orden();
+
+-- Corrige los totales que pudo desajustar la suma hecha desde el servidor
+UPDATE ordenes_trabajo o
+SET minutos_invertidos = COALESCE((
+    SELECT SUM(c.minutos) FROM orden_comentarios c WHERE c.orden_id = o.id
+), 0);
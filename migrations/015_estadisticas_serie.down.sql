@@ -0,0 +1,50 @@
+-- Versión de 013_papelera
+CREATE OR REPLACE FUNCTION estadisticas_serie(intervalo TEXT, desde DATE, hasta DATE, zona TEXT)
+RETURNS TABLE (
+    periodo DATE,
+    revisiones INTEGER,
+    equipos_revisados INTEGER,
+    cambios_estado INTEGER,
+    a_operativo INTEGER,
+    a_mantenimiento INTEGER,
+    a_danado INTEGER
+)
+LANGUAGE sql STABLE
+AS $$
+    WITH historial AS (
+        SELECT
+            r.computador_id,
+            r.estado,
+            LAG(r.estado) OVER (PARTITION BY r.computador_id ORDER BY r.fecha_revision, r.id) AS estado_anterior,
+            r.fecha_revision AT TIME ZONE 'UTC' AT TIME ZONE zona AS fecha_local
+        FROM revisiones r
+        JOIN computadores c ON c.id = r.computador_id AND c.eliminado_en IS NULL
+    ),
+    en_rango AS (
+        SELECT
+            h.*,
+            h.estado_anterior IS NOT NULL AND h.estado <> h.estado_anterior AS cambio,
+            date_trunc(intervalo, h.fecha_local)::date AS periodo
+        FROM historial h
+        WHERE h.fecha_local >= desde AND h.fecha_local < hasta + 1
+    ),
+    periodos AS (
+        SELECT generate_series(
+            date_trunc(intervalo, desde::timestamp),
+            date_trunc(intervalo, hasta::timestamp),
+            ('1 ' || intervalo)::interval
+        )::date AS periodo
+    )
+    SELECT
+        p.periodo,
+        COUNT(e.computador_id)::int,
+        COUNT(DISTINCT e.computador_id)::int,
+        COUNT(*) FILTER (WHERE e.cambio)::int,
+        COUNT(*) FILTER (WHERE e.cambio AND e.estado = 'operativo')::int,
+        COUNT(*) FILTER (WHERE e.cambio AND e.estado = 'mantenimiento')::int,
+        COUNT(*) FILTER (WHERE e.cambio AND e.estado = 'dañado')::int
+    FROM periodos p
+    LEFT JOIN en_rango e ON e.periodo = p.periodo
+    GROUP BY p.periodo
+    ORDER BY p.periodo
+$$;
@@ -0,0 +1,56 @@
+-- estadisticas_serie filtra por fecha_revision antes de buscar el estado
+-- anterior de cada revisión: con LAG sobre toda la tabla cada consulta
+-- recorría todas las revisiones y no usaba idx_revisiones_fecha.
+CREATE OR REPLACE FUNCTION estadisticas_serie(intervalo TEXT, desde DATE, hasta DATE, zona TEXT)
+RETURNS TABLE (
+    periodo DATE,
+    revisiones INTEGER,
+    equipos_revisados INTEGER,
+    cambios_estado INTEGER,
+    a_operativo INTEGER,
+    a_mantenimiento INTEGER,
+    a_danado INTEGER
+)
+LANGUAGE sql STABLE
+AS $$
+    WITH en_rango AS (
+        SELECT
+            r.computador_id,
+            r.estado,
+            anterior.estado IS NOT NULL AND r.estado <> anterior.estado AS cambio,
+            date_trunc(intervalo, r.fecha_revision AT TIME ZONE 'UTC' AT TIME ZONE zona)::date AS periodo
+        FROM revisiones r
+        JOIN computadores c ON c.id = r.computador_id AND c.eliminado_en IS NULL
+        -- Revisión anterior del mismo equipo (idx_revisiones_computador)
+        LEFT JOIN LATERAL (
+            SELECT p.estado
+            FROM revisiones p
+            WHERE p.computador_id = r.computador_id
+              AND (p.fecha_revision, p.id) < (r.fecha_revision, r.id)
+            ORDER BY p.fecha_revision DESC, p.id DESC
+            LIMIT 1
+        ) anterior ON TRUE
+        -- Límites del rango en hora local pasados a UTC, como se guarda fecha_revision
+        WHERE r.fecha_revision >= desde::timestamp AT TIME ZONE zona AT TIME ZONE 'UTC'
+          AND r.fecha_revision < (hasta + 1)::timestamp AT TIME ZONE zona AT TIME ZONE 'UTC'
+    ),
+    periodos AS (
+        SELECT generate_series(
+            date_trunc(intervalo, desde::timestamp),
+            date_trunc(intervalo, hasta::timestamp),
+            ('1 ' || intervalo)::interval
+        )::date AS periodo
+    )
+    SELECT
+        p.periodo,
+        COUNT(e.computador_id)::int,
+        COUNT(DISTINCT e.computador_id)::int,
+        COUNT(*) FILTER (WHERE e.cambio)::int,
+        COUNT(*) FILTER (WHERE e.cambio AND e.estado = 'operativo')::int,
+        COUNT(*) FILTER (WHERE e.cambio AND e.estado = 'mantenimiento')::int,
+        COUNT(*) FILTER (WHERE e.cambio AND e.estado = 'dañado')::int
+    FROM periodos p
+    LEFT JOIN en_rango e ON e.periodo = p.periodo
+    GROUP BY p.periodo
+    ORDER BY p.periodo
+$$;
@@ -0,0 +1,83 @@
+const express = require('express');
+const { handleSupabaseError, httpError } = require('../lib/errors');
+const { requireRol } = require('../middleware/auth');
+const { verificarAlmacenamiento, limpiarHuerfanos, informeCsv } = require('../lib/almacenamiento');
+
+const FORMATOS = ['json', 'csv'];
+
+// backends=local,supabase (por defecto los que correspondan) y format=json|csv
+function leerOpciones(query, storage) {
+    const backends = query.backends ? String(query.backends).split(',').map(b => b.trim()).filter(Boolean) : null;
+    const desconocidos = (backends || []).filter(backend => !storage.backends.includes(backend));
+    if (desconocidos.length > 0) {
+        throw httpError(400, 'INVALID_QUERY', `Backend no válido: ${desconocidos.join(', ')}`,
+            `Use backends=${storage.backends.join(',')}`);
+    }
+    const format = query.format || 'json';
+    if (!FORMATOS.includes(format)) {
+        throw httpError(400, 'INVALID_QUERY', 'Formato no válido', 'Use format=json o format=csv');
+    }
+    return { backends: backends && backends.length > 0 ? backends : undefined, format };
+}
+
+// JSON o CSV descargable con una fila por archivo faltante o huérfano
+function responder(res, informe, format, nombre) {
+    if (format === 'csv') {
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="${nombre}-${informe.fecha.slice(0, 10)}.csv"`);
+        return res.send(informeCsv(informe));
+    }
+    res.json(informe);
+}
+
+/**
+ * Rutas /api/almacenamiento: consistencia entre las imágenes que referencia
+ * la base y los archivos de uploads/ y los buckets, y limpieza de archivos
+ * huérfanos (ver lib/almacenamiento.js).
+ */
+function createAlmacenamientoRouter({ storage, computadoresRepo, revisionesRepo, ordenesRepo, checkDatabase }) {
+    const router = express.Router();
+
+    router.use(checkDatabase, requireRol('administrador'));
+
+    const verificar = backends => verificarAlmacenamiento({
+        storage, computadoresRepo, revisionesRepo, ordenesRepo, backends
+    });
+
+    // INFORME DE CONSISTENCIA (archivos faltantes, huérfanos y totales)
+    router.get('/verificacion', async (req, res) => {
+        try {
+            const { backends, format } = leerOpciones(req.query, storage);
+            const informe = await verificar(backends);
+
+            console.log(`Verificación de almacenamiento: ${informe.resumen.faltantes} faltantes, ` +
+                `${informe.resumen.huerfanos} huérfanos (${informe.resumen.bytes_huerfanos} bytes)`);
+            responder(res, informe, format, 'verificacion-almacenamiento');
+        } catch (error) {
+            handleSupabaseError(error, res, 'verificar almacenamiento');
+        }
+    });
+
+    // LIMPIEZA DE HUÉRFANOS
+    // Por defecto solo simula; con dry_run=false borra los archivos huérfanos.
+    router.post('/limpieza', async (req, res) => {
+        try {
+            const { backends, format } = leerOpciones(req.query, storage);
+            const dryRun = String(req.query.dry_run !== undefined ? req.query.dry_run : (req.body || {}).dry_run);
+            const aplicar = ['false', '0'].includes(dryRun);
+
+            const informe = await verificar(backends);
+            informe.limpieza = await limpiarHuerfanos({ storage, informe, aplicar });
+            if (aplicar) {
+                console.log(`Limpieza de almacenamiento aplicada por ${req.usuario.email}`);
+            }
+            responder(res, informe, format, 'limpieza-almacenamiento');
+        } catch (error) {
+            handleSupabaseError(error, res, 'limpiar almacenamiento');
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createAlmacenamientoRouter };
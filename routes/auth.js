@@ -0,0 +1,58 @@
+const express = require('express');
+const { handleSupabaseError } = require('../lib/errors');
+const { verifyPassword } = require('../lib/passwords');
+const { autenticar, firmarToken } = require('../middleware/auth');
+
+// Rutas /api/auth: inicio de sesión y datos del usuario autenticado
+function createAuthRouter({ usuariosRepo, checkDatabase }) {
+    const router = express.Router();
+
+    // INICIAR SESIÓN
+    router.post('/login', checkDatabase, async (req, res) => {
+        try {
+            const { email, password } = req.body;
+
+            if (!email || !password) {
+                return res.status(400).json({
+                    error: 'Campos requeridos faltantes',
+                    required: ['email', 'password']
+                });
+            }
+
+            const usuario = await usuariosRepo.findByEmailWithPassword(email);
+            const valida = usuario && usuario.activo && await verifyPassword(password, usuario.password_hash);
+
+            if (!valida) {
+                console.log(`Inicio de sesión rechazado: ${email}`);
+                return res.status(401).json({
+                    error: 'Credenciales inválidas',
+                    code: 'INVALID_CREDENTIALS'
+                });
+            }
+
+            console.log(`Sesión iniciada: ${usuario.email} (${usuario.rol})`);
+
+            res.json({
+                token: firmarToken(usuario),
+                usuario: {
+                    id: usuario.id,
+                    email: usuario.email,
+                    nombre: usuario.nombre,
+                    rol: usuario.rol
+                }
+            });
+
+        } catch (error) {
+            handleSupabaseError(error, res, 'iniciar sesión');
+        }
+    });
+
+    // USUARIO AUTENTICADO
+    router.get('/me', autenticar, (req, res) => {
+        res.json(req.usuario);
+    });
+
+    return router;
+}
+
+module.exports = { createAuthRouter };
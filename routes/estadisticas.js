@@ -0,0 +1,81 @@
+const express = require('express');
+const { handleSupabaseError, httpError } = require('../lib/errors');
+const { requireRol } = require('../middleware/auth');
+const { leerZona, leerSerie, AGRUPACIONES } = require('../lib/estadisticas');
+
+/**
+ * Rutas /api/estadisticas: contadores generales, equipos agrupados por un
+ * campo y series de revisiones por día, semana o mes. Todo se agrega en la
+ * base (migración 010); `zona` es la zona horaria IANA de las fechas.
+ */
+function createEstadisticasRouter({ estadisticasRepo, checkDatabase }) {
+    const router = express.Router();
+
+    router.use(checkDatabase, requireRol('supervisor'));
+
+    // CONTADORES GENERALES
+    // totalEquipos y windowsActualizados repiten total y windows_si para
+    // los clientes anteriores.
+    router.get('/', async (req, res) => {
+        try {
+            const zona = leerZona(req.query.zona);
+            const stats = await estadisticasRepo.resumen(zona);
+
+            res.json({ ...stats, zona, totalEquipos: stats.total, windowsActualizados: stats.windows_si });
+        } catch (error) {
+            handleSupabaseError(error, res, 'obtener estadísticas');
+        }
+    });
+
+    // EQUIPOS AGRUPADOS (por=estado|revisor|cargo|sede|ubicacion)
+    // `valor` es null para los equipos sin dato; por sede va también sede_id.
+    router.get('/agrupadas', async (req, res) => {
+        try {
+            const { por } = req.query;
+            if (!AGRUPACIONES.includes(por)) {
+                throw httpError(400, 'INVALID_QUERY', 'Agrupación no válida', `Use por=${AGRUPACIONES.join(', por=')}`);
+            }
+
+            const grupos = (await estadisticasRepo.agrupadas(por)).map(({ clave, etiqueta, ...grupo }) => ({
+                valor: etiqueta,
+                ...(por === 'sede' ? { sede_id: clave === null ? null : Number(clave) } : {}),
+                ...grupo
+            }));
+
+            res.json({
+                por,
+                total: grupos.reduce((suma, grupo) => suma + grupo.total, 0),
+                grupos
+            });
+        } catch (error) {
+            handleSupabaseError(error, res, 'agrupar estadísticas');
+        }
+    });
+
+    // SERIE DE REVISIONES Y CAMBIOS DE ESTADO
+    // intervalo=dia|semana|mes, desde y hasta (AAAA-MM-DD en la zona), zona.
+    router.get('/series', async (req, res) => {
+        try {
+            const { intervalo, unidad, desde, hasta, zona } = leerSerie(req.query);
+            const datos = await estadisticasRepo.serie({ intervalo: unidad, desde, hasta, zona });
+
+            res.json({
+                intervalo,
+                zona,
+                desde,
+                hasta,
+                totales: {
+                    revisiones: datos.reduce((suma, periodo) => suma + periodo.revisiones, 0),
+                    cambios_estado: datos.reduce((suma, periodo) => suma + periodo.cambios_estado, 0)
+                },
+                datos
+            });
+        } catch (error) {
+            handleSupabaseError(error, res, 'obtener series de estadísticas');
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createEstadisticasRouter };
@@ -0,0 +1,286 @@
+const express = require('express');
+const { handleSupabaseError, httpError } = require('../lib/errors');
+const { autenticar, requireRol } = require('../middleware/auth');
+const { subirImagenes } = require('../middleware/upload');
+const { validar, validarOFallar, errorValidacion, errorCampo } = require('../lib/validacion');
+const { leerPaginacion, responderPagina } = require('../lib/paginacion');
+const { puedeCambiar, fechasDeEstado, TRANSICIONES } = require('../lib/ordenes');
+const { PRIORIDADES, ESTADOS_ORDEN } = require('../db/ordenes');
+const ESQUEMAS = require('../lib/esquemas');
+
+// Filtros de GET /api/ordenes (mismas reglas que los campos de la orden)
+const FILTROS_ORDEN = {
+    estado: { tipo: 'enum', valores: ESTADOS_ORDEN },
+    prioridad: { tipo: 'enum', valores: PRIORIDADES },
+    asignado_a: { tipo: 'entero', min: 1 },
+    computador_id: { tipo: 'entero', min: 1 }
+};
+
+/**
+ * Rutas /api/ordenes: órdenes de trabajo de mantenimiento de un equipo, con
+ * comentarios, tiempo invertido y fotos de antes y después.
+ *
+ * `fotos` viene de server.js para usar el mismo pipeline y almacenamiento
+ * que las imágenes de los equipos: { guardar(req, equipoId, inicio), presentar(imagenes) }.
+ */
+function createOrdenesRouter({
+    ordenesRepo, computadoresRepo, revisionesRepo, usuariosRepo, eventos, fotos, checkDatabase
+}) {
+    const router = express.Router();
+
+    router.use(checkDatabase);
+
+    async function cargarOrden(req, res) {
+        const orden = await ordenesRepo.get(req.params.id);
+        if (!orden) {
+            res.status(404).json({ error: 'Orden de trabajo no encontrada' });
+        }
+        return orden;
+    }
+
+    // El asignado debe ser un usuario activo
+    async function verificarAsignado(asignadoA) {
+        if (asignadoA === undefined || asignadoA === null) return;
+        const usuario = await usuariosRepo.get(asignadoA);
+        if (!usuario || !usuario.activo) {
+            throw errorValidacion([errorCampo('asignado_a', 'referencia', 'Usuario no encontrado o inactivo')]);
+        }
+    }
+
+    async function presentarOrden(orden) {
+        return {
+            ...orden,
+            imagenes: await fotos.presentar(Array.isArray(orden.imagenes) ? orden.imagenes : [])
+        };
+    }
+
+    /**
+     * Tras cerrar una orden: si el equipo sigue en mantenimiento y no le
+     * quedan órdenes abiertas, lo devuelve a operativo con `marcarOperativo`
+     * o lo sugiere en la respuesta.
+     */
+    async function resolverCierre(orden, marcarOperativo, usuario) {
+        const computador = await computadoresRepo.get(orden.computador_id);
+        // El equipo está en la papelera: no hay estado que resolver
+        if (!computador) return null;
+        const pendientes = await ordenesRepo.pendientesDe(orden.computador_id);
+        const cierre = {
+            equipo_id: computador.equipo_id,
+            estado_equipo: computador.estado,
+            ordenes_pendientes: pendientes.length,
+            marcado_operativo: false
+        };
+        if (pendientes.length > 0 || computador.estado !== 'mantenimiento') {
+            return cierre;
+        }
+
+        if (!marcarOperativo) {
+            cierre.sugerencia = 'No quedan órdenes abiertas para este equipo: envíe marcar_operativo: true ' +
+                'al cerrar, o actualice el equipo, para devolverlo a operativo';
+            return cierre;
+        }
+
+        const ahora = new Date().toISOString();
+        const data = await computadoresRepo.update(computador.id, {
+            estado: 'operativo',
+            revisor: usuario.nombre,
+            fecha_revision: ahora,
+            fecha_actualizacion: ahora
+        });
+        await revisionesRepo.create(data, usuario);
+        eventos.publicar('actualizado', data, usuario, computador);
+        console.log(`Equipo ${computador.equipo_id} devuelto a operativo al cerrar la orden ${orden.id}`);
+
+        return { ...cierre, estado_equipo: 'operativo', marcado_operativo: true };
+    }
+
+    // LISTAR ÓRDENES (filtros: estado, prioridad, asignado_a, computador_id; paginado)
+    router.get('/', autenticar, async (req, res) => {
+        try {
+            const { valores: filtros, errores } = validar(FILTROS_ORDEN, req.query, { parcial: true });
+            if (errores.length > 0) {
+                throw httpError(400, 'INVALID_QUERY', 'Filtros no válidos',
+                    errores.map(e => `${e.campo}: ${e.mensaje}`).join('; '));
+            }
+            const pagina = leerPaginacion(req.query);
+
+            const { rows, total } = await ordenesRepo.list(filtros, pagina);
+            responderPagina(res, rows, total, pagina);
+        } catch (error) {
+            handleSupabaseError(error, res, 'listar órdenes de trabajo');
+        }
+    });
+
+    // CREAR ORDEN
+    router.post('/', requireRol('tecnico'), async (req, res) => {
+        try {
+            const datos = validarOFallar(ESQUEMAS.ORDEN, req.body || {}, { estricto: true });
+
+            const computador = await computadoresRepo.get(datos.computador_id, 'id, equipo_id');
+            if (!computador) {
+                throw errorValidacion([errorCampo('computador_id', 'referencia', 'Equipo no encontrado')]);
+            }
+            await verificarAsignado(datos.asignado_a);
+
+            const orden = await ordenesRepo.create({
+                ...datos,
+                prioridad: datos.prioridad || undefined,
+                creado_por: req.usuario.id
+            });
+            console.log(`Orden de trabajo ${orden.id} creada para ${computador.equipo_id}`);
+
+            res.status(201).json(await presentarOrden(orden));
+        } catch (error) {
+            handleSupabaseError(error, res, 'crear orden de trabajo');
+        }
+    });
+
+    // OBTENER ORDEN (con comentarios y fotos)
+    router.get('/:id', autenticar, async (req, res) => {
+        try {
+            const orden = await cargarOrden(req, res);
+            if (!orden) return;
+
+            const computador = await computadoresRepo.get(orden.computador_id, 'id, equipo_id, estado, responsable');
+            res.json({
+                ...await presentarOrden(orden),
+                computador,
+                transiciones: TRANSICIONES[orden.estado],
+                comentarios: await ordenesRepo.comentarios(orden.id)
+            });
+        } catch (error) {
+            handleSupabaseError(error, res, 'obtener orden de trabajo');
+        }
+    });
+
+    // ACTUALIZAR ORDEN (datos y/o estado; el cambio de estado queda en comentarios)
+    router.patch('/:id', requireRol('tecnico'), async (req, res) => {
+        try {
+            const { comentario, minutos, marcar_operativo: marcarOperativo, ...cambios } =
+                validarOFallar(ESQUEMAS.ORDEN_CAMBIOS, req.body || {}, { parcial: true, estricto: true });
+            if (Object.keys(cambios).length === 0) {
+                return res.status(400).json({ error: 'No se enviaron campos para actualizar', code: 'NO_CHANGES' });
+            }
+
+            const orden = await cargarOrden(req, res);
+            if (!orden) return;
+
+            const cambiaEstado = cambios.estado !== undefined && cambios.estado !== orden.estado;
+            if (cambiaEstado && !puedeCambiar(orden.estado, cambios.estado)) {
+                throw httpError(409, 'INVALID_TRANSITION',
+                    `No se puede pasar de ${orden.estado} a ${cambios.estado}`,
+                    TRANSICIONES[orden.estado].length > 0
+                        ? `Desde ${orden.estado} se puede pasar a: ${TRANSICIONES[orden.estado].join(', ')}`
+                        : 'Una orden cerrada no se puede modificar');
+            }
+            if (!cambiaEstado && orden.estado === 'cerrada') {
+                throw httpError(409, 'ORDER_CLOSED', 'Una orden cerrada no se puede modificar');
+            }
+            await verificarAsignado(cambios.asignado_a);
+
+            const ahora = new Date().toISOString();
+            if (cambiaEstado) {
+                Object.assign(cambios, fechasDeEstado(cambios.estado, ahora));
+            }
+            // Solo si nadie cambió el estado desde que se leyó la orden; el
+            // comentario (y sus minutos) se registra después del cambio
+            let data = await ordenesRepo.update(orden.id, cambios, { estado: orden.estado });
+            if (!data) {
+                const vigente = await ordenesRepo.get(orden.id);
+                if (!vigente) {
+                    return res.status(404).json({ error: 'Orden de trabajo no encontrada' });
+                }
+                throw httpError(409, 'INVALID_TRANSITION',
+                    `La orden cambió de estado mientras se actualizaba (ahora está ${vigente.estado})`,
+                    'Vuelva a cargar la orden y repita el cambio');
+            }
+            if (cambiaEstado || comentario || minutos) {
+                await ordenesRepo.addComentario({
+                    orden_id: orden.id,
+                    usuario_id: req.usuario.id,
+                    autor: req.usuario.nombre,
+                    texto: comentario || null,
+                    minutos: minutos || 0,
+                    estado_anterior: cambiaEstado ? orden.estado : null,
+                    estado_nuevo: cambiaEstado ? cambios.estado : null
+                });
+                // minutos_invertidos lo suma la base al insertar el comentario
+                if (minutos) data = await ordenesRepo.get(orden.id) || data;
+            }
+            console.log(`Orden de trabajo ${orden.id} actualizada${cambiaEstado ? `: ${orden.estado} → ${data.estado}` : ''}`);
+
+            const respuesta = await presentarOrden(data);
+            if (cambiaEstado && data.estado === 'cerrada') {
+                respuesta.cierre = await resolverCierre(data, marcarOperativo, req.usuario);
+            }
+            res.json(respuesta);
+        } catch (error) {
+            handleSupabaseError(error, res, 'actualizar orden de trabajo');
+        }
+    });
+
+    // AGREGAR COMENTARIO (con minutos invertidos opcionales)
+    router.post('/:id/comentarios', requireRol('tecnico'), async (req, res) => {
+        try {
+            const { texto, minutos } = validarOFallar(ESQUEMAS.COMENTARIO_ORDEN, req.body || {}, { estricto: true });
+
+            const orden = await cargarOrden(req, res);
+            if (!orden) return;
+            if (orden.estado === 'cerrada') {
+                throw httpError(409, 'ORDER_CLOSED', 'Una orden cerrada no admite comentarios');
+            }
+
+            // La base suma los minutos a la orden (migrations/014_minutos_ordenes)
+            const nuevo = await ordenesRepo.addComentario({
+                orden_id: orden.id,
+                usuario_id: req.usuario.id,
+                autor: req.usuario.nombre,
+                texto,
+                minutos: minutos || 0
+            });
+
+            res.status(201).json(nuevo);
+        } catch (error) {
+            handleSupabaseError(error, res, 'agregar comentario');
+        }
+    });
+
+    // SUBIR FOTOS DE ANTES O DESPUÉS (multipart: `imagenes` y `momento`)
+    router.post('/:id/imagenes', requireRol('tecnico'), subirImagenes(), async (req, res) => {
+        try {
+            const { momento } = validarOFallar(ESQUEMAS.FOTO_ORDEN, req.body || {});
+            if (!req.files || req.files.length === 0) {
+                return res.status(400).json({
+                    error: 'No se recibieron imágenes',
+                    details: 'Envíe los archivos como multipart/form-data en el campo "imagenes"'
+                });
+            }
+
+            const orden = await cargarOrden(req, res);
+            if (!orden) return;
+            if (orden.estado === 'cerrada') {
+                throw httpError(409, 'ORDER_CLOSED', 'Una orden cerrada no admite fotos');
+            }
+
+            const computador = await computadoresRepo.get(orden.computador_id, 'id, equipo_id');
+            if (!computador) {
+                throw httpError(409, 'IN_TRASH', 'El equipo de la orden está en la papelera',
+                    `Restáurelo con POST /api/computadores/${orden.computador_id}/restaurar`);
+            }
+            const actuales = Array.isArray(orden.imagenes) ? orden.imagenes : [];
+            const nuevas = (await fotos.guardar(req, computador.equipo_id, actuales.length))
+                .map(imagen => ({ ...imagen, momento, orden_trabajo_id: orden.id }));
+
+            const data = await ordenesRepo.update(orden.id, { imagenes: [...actuales, ...nuevas] });
+            console.log(`${nuevas.length} fotos (${momento}) agregadas a la orden ${orden.id}`);
+
+            res.status(201).json(await presentarOrden(data));
+        } catch (error) {
+            handleSupabaseError(error, res, 'subir fotos de la orden');
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createOrdenesRouter };
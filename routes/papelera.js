@@ -0,0 +1,47 @@
+const express = require('express');
+const { handleSupabaseError } = require('../lib/errors');
+const { requireRol } = require('../middleware/auth');
+const { leerPaginacion, responderPagina } = require('../lib/paginacion');
+const { fechaPurga } = require('../lib/papelera');
+
+/**
+ * Rutas /api/papelera: equipos eliminados que aún se pueden restaurar con
+ * POST /api/computadores/:id/restaurar. `purga` es el trabajo de retención
+ * de lib/papelera.js.
+ */
+function createPapeleraRouter({ computadoresRepo, purga, presentar, checkDatabase }) {
+    const router = express.Router();
+
+    router.use(checkDatabase, requireRol('administrador'));
+
+    // EQUIPOS EN LA PAPELERA (paginado, los eliminados más recientes primero)
+    // Cada equipo trae quién, cuándo y por qué se eliminó y purga_en.
+    router.get('/', async (req, res) => {
+        try {
+            const pagina = leerPaginacion(req.query);
+            const { rows, total } = await computadoresRepo.listPapelera(pagina);
+
+            const equipos = await Promise.all(rows.map(async computador => ({
+                ...await presentar(computador),
+                purga_en: fechaPurga(computador.eliminado_en, purga.retencionDias)
+            })));
+            responderPagina(res, equipos, total, pagina);
+        } catch (error) {
+            handleSupabaseError(error, res, 'listar papelera');
+        }
+    });
+
+    // PURGAR AHORA los equipos que superaron la retención (también corre periódicamente)
+    router.post('/purgar', async (req, res) => {
+        try {
+            console.log(`Purga de la papelera solicitada por ${req.usuario.email}`);
+            res.json(await purga.ejecutar());
+        } catch (error) {
+            handleSupabaseError(error, res, 'purgar papelera');
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createPapeleraRouter };
@@ -0,0 +1,172 @@
+const express = require('express');
+const { handleSupabaseError } = require('../lib/errors');
+const { autenticar, requireRol } = require('../middleware/auth');
+const { validar, errorValidacion, errorCampo } = require('../lib/validacion');
+const { reasignarSedes, normalizar } = require('../lib/sedes');
+const ESQUEMAS = require('../lib/esquemas');
+
+const CAMPOS_ZONA = ['poligono', 'latitud', 'longitud', 'radio_m'];
+
+// Lista de [longitud, latitud] sin repetir el primer punto al final
+function leerPoligono(puntos, errores) {
+    const validos = puntos.every(punto => Array.isArray(punto) && punto.length === 2 &&
+        punto.every(Number.isFinite) && Math.abs(punto[0]) <= 180 && Math.abs(punto[1]) <= 90);
+    if (!validos) {
+        errores.push(errorCampo('poligono', 'formato', 'Cada punto debe ser [longitud, latitud]'));
+        return undefined;
+    }
+
+    const anillo = puntos.map(([lng, lat]) => [lng, lat]);
+    const [primero] = anillo;
+    const ultimo = anillo[anillo.length - 1];
+    if (anillo.length > 1 && primero[0] === ultimo[0] && primero[1] === ultimo[1]) anillo.pop();
+    if (anillo.length < 3) {
+        errores.push(errorCampo('poligono', 'corto', 'El polígono necesita al menos 3 puntos'));
+        return undefined;
+    }
+    return anillo;
+}
+
+// Nombres de piso o área, sin vacíos ni repetidos (sin distinguir mayúsculas)
+function leerAreas(areas, errores) {
+    const resultado = [];
+    for (const area of areas) {
+        if (typeof area !== 'string' || !area.trim() || area.trim().length > 100) {
+            errores.push(errorCampo('areas', 'formato', 'Cada área debe ser un texto de 1 a 100 caracteres'));
+            return undefined;
+        }
+        if (!resultado.some(a => normalizar(a) === normalizar(area))) resultado.push(area.trim());
+    }
+    return resultado;
+}
+
+/**
+ * Valida el cuerpo de POST (parcial = false) o PATCH de una sede. `actual`
+ * es la sede guardada: la zona resultante debe seguir siendo un polígono o
+ * un centro con radio.
+ */
+function leerSede(body, { parcial = false, actual = {}, sedes = [] } = {}) {
+    const { valores, errores } = validar(ESQUEMAS.SEDE, body, { parcial, estricto: true });
+
+    if (valores.poligono) valores.poligono = leerPoligono(valores.poligono, errores);
+    if (valores.areas) valores.areas = leerAreas(valores.areas, errores);
+    if (valores.areas === null) valores.areas = [];
+
+    if (valores.nombre && sedes.some(sede => sede.id !== actual.id && normalizar(sede.nombre) === normalizar(valores.nombre))) {
+        errores.push(errorCampo('nombre', 'unico', `Ya existe la sede ${valores.nombre}`));
+    }
+
+    const zona = { ...actual, ...valores };
+    const conCentro = [zona.latitud, zona.longitud, zona.radio_m].every(v => v !== null && v !== undefined);
+    if (!zona.poligono && !conCentro && !errores.some(e => CAMPOS_ZONA.includes(e.campo))) {
+        errores.push(errorCampo('poligono', 'requerido', 'Indique un polígono o latitud, longitud y radio_m'));
+    }
+
+    if (errores.length > 0) {
+        throw errorValidacion(errores);
+    }
+    return valores;
+}
+
+/**
+ * Rutas /api/sedes: registro de sedes con su zona (polígono o centro y
+ * radio) y sus áreas. Al cambiar la zona de una sede se reasignan los
+ * equipos con sede automática.
+ */
+function createSedesRouter({ sedesRepo, computadoresRepo, eventos, checkDatabase }) {
+    const router = express.Router();
+
+    router.use(checkDatabase);
+
+    const reasignar = (usuario, excluirSede) => reasignarSedes({ computadoresRepo, sedesRepo, eventos, usuario, excluirSede });
+
+    // LISTAR SEDES
+    router.get('/', autenticar, async (req, res) => {
+        try {
+            res.json(await sedesRepo.list());
+        } catch (error) {
+            handleSupabaseError(error, res, 'listar sedes');
+        }
+    });
+
+    // CREAR SEDE
+    router.post('/', requireRol('administrador'), async (req, res) => {
+        try {
+            const datos = leerSede(req.body || {}, { sedes: await sedesRepo.list() });
+
+            const sede = await sedesRepo.create(datos);
+            const reasignados = await reasignar(req.usuario);
+            console.log(`Sede ${sede.id} (${sede.nombre}) creada por ${req.usuario.email}`);
+
+            res.status(201).json({ ...sede, equipos_reasignados: reasignados });
+        } catch (error) {
+            handleSupabaseError(error, res, 'crear sede');
+        }
+    });
+
+    // OBTENER SEDE (con el número de equipos asignados)
+    router.get('/:id', autenticar, async (req, res) => {
+        try {
+            const sede = await sedesRepo.get(req.params.id);
+            if (!sede) {
+                return res.status(404).json({ error: 'Sede no encontrada' });
+            }
+
+            const { total } = await computadoresRepo.list({ sede_id: sede.id }, { limit: 1 });
+            res.json({ ...sede, total_equipos: total });
+        } catch (error) {
+            handleSupabaseError(error, res, 'obtener sede');
+        }
+    });
+
+    // ACTUALIZAR SEDE (nombre, dirección, zona, áreas)
+    router.patch('/:id', requireRol('administrador'), async (req, res) => {
+        try {
+            const actual = await sedesRepo.get(req.params.id);
+            if (!actual) {
+                return res.status(404).json({ error: 'Sede no encontrada' });
+            }
+
+            const cambios = leerSede(req.body || {}, { parcial: true, actual, sedes: await sedesRepo.list() });
+            if (Object.keys(cambios).length === 0) {
+                return res.status(400).json({ error: 'No se enviaron campos para actualizar', code: 'NO_CHANGES' });
+            }
+
+            const sede = await sedesRepo.update(actual.id, cambios);
+            if (!sede) {
+                return res.status(404).json({ error: 'Sede no encontrada' });
+            }
+            const reasignados = CAMPOS_ZONA.some(campo => campo in cambios) ? await reasignar(req.usuario) : 0;
+            console.log(`Sede ${sede.id} actualizada por ${req.usuario.email}: ${Object.keys(cambios).join(', ')}`);
+
+            res.json({ ...sede, equipos_reasignados: reasignados });
+        } catch (error) {
+            handleSupabaseError(error, res, 'actualizar sede');
+        }
+    });
+
+    // ELIMINAR SEDE: sus equipos vuelven a la asignación automática
+    router.delete('/:id', requireRol('administrador'), async (req, res) => {
+        try {
+            const sede = await sedesRepo.get(req.params.id);
+            if (!sede) {
+                return res.status(404).json({ error: 'Sede no encontrada' });
+            }
+
+            // Se reasignan antes de borrarla: así sus equipos quedan sin sede
+            // con un cambio registrado y no por el ON DELETE SET NULL
+            await computadoresRepo.liberarSede(sede.id);
+            const reasignados = await reasignar(req.usuario, sede.id);
+            await sedesRepo.remove(sede.id);
+            console.log(`Sede ${sede.id} (${sede.nombre}) eliminada por ${req.usuario.email}`);
+
+            res.json({ message: 'Sede eliminada', id: sede.id, equipos_reasignados: reasignados });
+        } catch (error) {
+            handleSupabaseError(error, res, 'eliminar sede');
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createSedesRouter };
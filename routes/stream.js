@@ -0,0 +1,99 @@
+const express = require('express');
+const { autenticar } = require('../middleware/auth');
+
+// Comentario periódico para que proxies y balanceadores no corten la conexión
+const HEARTBEAT_MS = parseInt(process.env.STREAM_HEARTBEAT_MS, 10) || 25000;
+// Espera sugerida al navegador antes de reconectar
+const RETRY_MS = 5000;
+
+// Valor de filtro como lista: ?estado=operativo,dañado o ?estado=a&estado=b
+function leerLista(valor) {
+    if (valor === undefined) return null;
+    const lista = (Array.isArray(valor) ? valor : String(valor).split(','))
+        .map(item => String(item).trim())
+        .filter(Boolean);
+    return lista.length > 0 ? lista : null;
+}
+
+function escribirEvento(res, nombre, datos, id) {
+    if (id !== undefined) res.write(`id: ${id}\n`);
+    res.write(`event: ${nombre}\n`);
+    res.write(`data: ${JSON.stringify(datos)}\n\n`);
+}
+
+// EventSource no permite cabeceras propias: el token puede ir en ?access_token
+function tokenDesdeQuery(req, res, next) {
+    if (!req.get('Authorization') && req.query.access_token) {
+        req.headers.authorization = `Bearer ${req.query.access_token}`;
+    }
+    next();
+}
+
+/**
+ * Rutas /api/stream: cambios de computadores como Server-Sent Events.
+ * Cada evento se llama computador.<tipo> (creado, actualizado, eliminado,
+ * revision_por_vencer o revision_vencida). Los filtros estado y revisor se
+ * aplican al registro tal como quedó (o como estaba al eliminarse); estado
+ * coincide también con el estado anterior, así se ve a los equipos que salen
+ * de él. Al reconectar, el navegador envía Last-Event-ID (o el cliente
+ * ?last_event_id) y se reenvían los eventos perdidos; si ya no están
+ * disponibles se envía `reset` para recargar la lista.
+ */
+function createStreamRouter({ eventos }) {
+    const router = express.Router();
+
+    router.get('/', tokenDesdeQuery, autenticar, (req, res) => {
+        const estados = leerLista(req.query.estado);
+        const revisores = leerLista(req.query.revisor);
+        // Con estado también coincide el equipo que sale de ese estado
+        const coincide = ({ computador, estado_anterior: estadoAnterior }) =>
+            (!estados || estados.includes(computador.estado) || estados.includes(estadoAnterior)) &&
+            (!revisores || revisores.includes(computador.revisor));
+
+        res.set({
+            'Content-Type': 'text/event-stream; charset=utf-8',
+            'Cache-Control': 'no-cache, no-transform',
+            Connection: 'keep-alive',
+            // nginx: no acumular la respuesta
+            'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+        res.write(`retry: ${RETRY_MS}\n\n`);
+
+        const enviar = evento => {
+            if (coincide(evento)) {
+                escribirEvento(res, `computador.${evento.tipo}`, evento, evento.id);
+            }
+        };
+
+        // El reenvío es síncrono: ningún evento nuevo puede colarse en medio
+        const ultimo = req.get('Last-Event-ID') || req.query.last_event_id;
+        if (ultimo !== undefined) {
+            const id = Number(ultimo);
+            const { eventos: perdidos, completo } = Number.isInteger(id)
+                ? eventos.desde(id)
+                : { eventos: [], completo: false };
+            if (completo) {
+                perdidos.forEach(enviar);
+            } else {
+                escribirEvento(res, 'reset', {
+                    motivo: 'Los eventos desde el ID indicado ya no están disponibles; recargue los datos'
+                }, eventos.ultimoId);
+            }
+        }
+        const cancelar = eventos.suscribir(enviar);
+
+        const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+        console.log(`Stream abierto por ${req.usuario.email} (${eventos.suscriptores} conexiones)`);
+
+        req.on('close', () => {
+            clearInterval(heartbeat);
+            cancelar();
+            console.log(`Stream cerrado por ${req.usuario.email}`);
+        });
+    });
+
+    return router;
+}
+
+module.exports = { createStreamRouter };
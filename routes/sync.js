@@ -0,0 +1,293 @@
+const express = require('express');
+const { handleSupabaseError, httpError } = require('../lib/errors');
+const { requireRol } = require('../middleware/auth');
+const { validar, validarOFallar } = require('../lib/validacion');
+const { CAMPOS_REVISION } = require('../db/revisiones');
+const { crearToken, leerToken, mismaVersion, MAX_CAMBIOS_LOTE, MAX_CAMBIOS_SERVIDOR } = require('../lib/sync');
+const ESQUEMAS = require('../lib/esquemas');
+
+// Resultado de un cambio que no se aplicó por un error de datos
+function resultadoError(idCliente, error) {
+    return {
+        id_cliente: idCliente,
+        estado: 'error',
+        code: error.code || 'SYNC_ERROR',
+        mensaje: error.status ? error.message : 'No se pudo aplicar el cambio',
+        ...(error.details ? { details: error.details } : {}),
+        ...(error.errores ? { errores: error.errores } : {})
+    };
+}
+
+/**
+ * POST /api/sync: sincronización por lotes para clientes sin conexión.
+ *
+ * Cuerpo: { token, cambios: [{ id_cliente, operacion, computador_id |
+ * computador_cliente, version_base, datos, imagenes }] }. Cada cambio se
+ * aplica una sola vez por id_cliente (un reenvío devuelve el resultado
+ * guardado) y una actualización cuya version_base ya no es la
+ * fecha_actualizacion del equipo se rechaza como conflicto. La respuesta
+ * trae el resultado de cada cambio, los equipos modificados y borrados
+ * desde `token` y el token para la próxima sincronización.
+ */
+function createSyncRouter({ computadoresRepo, revisionesRepo, syncRepo, eventos, asignarSede, imagenes, presentar, checkDatabase }) {
+    const router = express.Router();
+
+    router.use(checkDatabase, requireRol('tecnico'));
+
+    // Borra las imágenes guardadas para un cambio que no llegó a escribirse
+    async function descartarImagenes(guardadas) {
+        await Promise.all(guardadas.map(imagen => imagenes.borrar(imagen)));
+    }
+
+    // Guarda las imágenes ya procesadas a continuación de `inicio`; si una
+    // falla, borra las que alcanzaron a guardarse
+    async function guardarImagenes(procesadas, equipoId, inicio) {
+        const guardadas = [];
+        try {
+            for (const procesada of procesadas) {
+                guardadas.push(await imagenes.guardar(procesada, equipoId, inicio + guardadas.length + 1));
+            }
+        } catch (error) {
+            await descartarImagenes(guardadas);
+            throw error;
+        }
+        return guardadas;
+    }
+
+    // Escribe con `escribir(guardadas)`; si no se escribe (conflicto o error) las imágenes no quedan huérfanas
+    async function conImagenes(procesadas, equipoId, inicio, escribir) {
+        const guardadas = await guardarImagenes(procesadas, equipoId, inicio);
+        try {
+            const data = await escribir(guardadas);
+            if (!data) await descartarImagenes(guardadas);
+            return data;
+        } catch (error) {
+            await descartarImagenes(guardadas);
+            throw error;
+        }
+    }
+
+    // Conflicto al crear un equipo_id que ya existe (o está en la papelera)
+    function conflictoExistente(existente) {
+        return {
+            estado: 'conflicto',
+            motivo: existente.eliminado_en ? 'EN_PAPELERA' : 'EQUIPO_EXISTS',
+            computador_id: existente.id,
+            servidor: existente
+        };
+    }
+
+    async function crear(cambio, usuario) {
+        const datos = validarOFallar(ESQUEMAS.COMPUTADOR, cambio.datos, { estricto: true });
+        // Validar las imágenes antes de escribir nada
+        const procesadas = await imagenes.procesar(Array.isArray(cambio.imagenes) ? cambio.imagenes : []);
+
+        const [existente] = await computadoresRepo.findByEquipoIds([datos.equipo_id]);
+        if (existente) {
+            return conflictoExistente(existente);
+        }
+
+        const sede = await asignarSede(datos);
+        let data;
+        try {
+            data = await conImagenes(procesadas, datos.equipo_id, 0, guardadas => computadoresRepo.create({
+                ...datos,
+                ...sede,
+                imagenes: guardadas,
+                revisor: usuario.nombre
+            }));
+        } catch (error) {
+            // Otro dispositivo creó el mismo equipo_id entre la consulta y el INSERT
+            const [creado] = error.code === '23505' ? await computadoresRepo.findByEquipoIds([datos.equipo_id]) : [];
+            if (creado) return conflictoExistente(creado);
+            throw error;
+        }
+        await revisionesRepo.create(data, usuario);
+        eventos.publicar('creado', data, usuario);
+
+        return { estado: 'aplicado', computador: data, imagenes_guardadas: procesadas.length };
+    }
+
+    async function actualizar(cambio, usuario, computadorId) {
+        const cambios = validarOFallar(ESQUEMAS.COMPUTADOR, cambio.datos, { parcial: true, estricto: true });
+
+        const actual = await computadoresRepo.get(computadorId);
+        if (!actual) {
+            return { estado: 'conflicto', motivo: 'NOT_FOUND', computador_id: computadorId, servidor: null };
+        }
+        if (!mismaVersion(cambio.version_base, actual.fecha_actualizacion)) {
+            return { estado: 'conflicto', motivo: 'VERSION_CONFLICT', computador_id: actual.id, servidor: actual };
+        }
+
+        // Se validan ahora pero se guardan justo antes de escribir el equipo
+        const procesadas = await imagenes.procesar(Array.isArray(cambio.imagenes) ? cambio.imagenes : []);
+        if (Object.keys(cambios).length === 0 && procesadas.length === 0) {
+            return { estado: 'aplicado', computador: actual, imagenes_guardadas: 0 };
+        }
+
+        if (['sede_id', 'area', 'latitud', 'longitud'].some(campo => campo in cambios)) {
+            Object.assign(cambios, await asignarSede(cambios, actual));
+        }
+        const ahora = new Date().toISOString();
+        const esRevision = CAMPOS_REVISION.some(campo => campo in cambios && String(cambios[campo]) !== String(actual[campo]));
+        if (esRevision) {
+            cambios.revisor = usuario.nombre;
+            cambios.fecha_revision = ahora;
+        }
+
+        // Solo si nadie lo modificó desde que se comparó la versión
+        const actuales = Array.isArray(actual.imagenes) ? actual.imagenes : [];
+        const data = await conImagenes(procesadas, cambios.equipo_id || actual.equipo_id, actuales.length,
+            nuevas => computadoresRepo.update(actual.id, {
+                ...cambios,
+                ...(nuevas.length > 0 ? { imagenes: [...actuales, ...nuevas] } : {}),
+                fecha_actualizacion: ahora
+            }, { version: actual.version }));
+        if (!data) {
+            const vigente = await computadoresRepo.get(actual.id);
+            return { estado: 'conflicto', motivo: vigente ? 'VERSION_CONFLICT' : 'NOT_FOUND', computador_id: actual.id, servidor: vigente };
+        }
+        if (esRevision) {
+            await revisionesRepo.create(data, usuario);
+        }
+        eventos.publicar('actualizado', data, usuario, actual);
+
+        return { estado: 'aplicado', computador: data, imagenes_guardadas: procesadas.length };
+    }
+
+    // Aplica un cambio y devuelve su resultado; nunca lanza por un error de datos
+    async function aplicar(entrada, usuario, creadosEnLote) {
+        const idCliente = entrada && typeof entrada.id_cliente === 'string' ? entrada.id_cliente : null;
+        const { valores: cambio, errores } = validar(ESQUEMAS.CAMBIO_SYNC, entrada || {}, { estricto: true });
+        if (errores.length > 0) {
+            return { id_cliente: idCliente, estado: 'error', code: 'VALIDATION_ERROR', mensaje: 'Cambio no válido', errores };
+        }
+
+        const reserva = await syncRepo.reservar(usuario.id, cambio.id_cliente);
+        if (!reserva) {
+            const previa = await syncRepo.buscar(usuario.id, cambio.id_cliente);
+            if (previa && previa.resultado) {
+                if (previa.resultado.operacion === 'crear') {
+                    creadosEnLote.set(cambio.id_cliente, { id: previa.computador_id, version: previa.resultado.version });
+                }
+                return { ...previa.resultado, estado: 'duplicado' };
+            }
+            return resultadoError(cambio.id_cliente, httpError(409, 'SYNC_IN_PROGRESS', 'El cambio se está aplicando en otra petición'));
+        }
+
+        try {
+            let resultado;
+            if (cambio.operacion === 'crear') {
+                resultado = await crear(cambio, usuario);
+            } else {
+                let computadorId = cambio.computador_id;
+                if (!computadorId && cambio.computador_cliente) {
+                    // Sin version_base, la de un equipo creado en este mismo lote
+                    const creado = creadosEnLote.get(cambio.computador_cliente);
+                    if (creado) {
+                        computadorId = creado.id;
+                        if (!('version_base' in cambio)) cambio.version_base = creado.version;
+                    } else {
+                        computadorId = ((await syncRepo.buscar(usuario.id, cambio.computador_cliente)) || {}).computador_id;
+                    }
+                }
+                if (!computadorId) {
+                    throw httpError(400, 'VALIDATION_ERROR', 'Indique computador_id o el computador_cliente de un cambio aplicado');
+                }
+                resultado = await actualizar(cambio, usuario, computadorId);
+            }
+
+            if (resultado.estado !== 'aplicado') {
+                await syncRepo.liberar(reserva.id);
+                return {
+                    id_cliente: cambio.id_cliente,
+                    operacion: cambio.operacion,
+                    ...resultado,
+                    servidor: resultado.servidor && await presentar(resultado.servidor)
+                };
+            }
+
+            const { computador } = resultado;
+            const aplicado = {
+                id_cliente: cambio.id_cliente,
+                operacion: cambio.operacion,
+                estado: 'aplicado',
+                computador_id: computador.id,
+                version: computador.fecha_actualizacion,
+                imagenes_guardadas: resultado.imagenes_guardadas
+            };
+            await syncRepo.completar(reserva.id, computador.id, aplicado);
+            if (cambio.operacion === 'crear') {
+                creadosEnLote.set(cambio.id_cliente, { id: computador.id, version: aplicado.version });
+            }
+            return aplicado;
+
+        } catch (error) {
+            await syncRepo.liberar(reserva.id);
+            if (!error.status) {
+                console.error(`Error aplicando el cambio ${cambio.id_cliente} de ${usuario.email}:`, error);
+            }
+            return resultadoError(cambio.id_cliente, error);
+        }
+    }
+
+    router.post('/', async (req, res) => {
+        try {
+            const { token, cambios = [] } = req.body || {};
+            const cursor = leerToken(token);
+            if (!Array.isArray(cambios)) {
+                throw httpError(400, 'VALIDATION_ERROR', 'cambios debe ser una lista');
+            }
+            if (cambios.length > MAX_CAMBIOS_LOTE) {
+                throw httpError(413, 'TOO_MANY_CHANGES', 'Demasiados cambios en un lote', `Máximo ${MAX_CAMBIOS_LOTE} por petición`);
+            }
+
+            // En orden: un cambio puede referirse a un equipo creado antes en el lote
+            const creadosEnLote = new Map();
+            const resultados = [];
+            for (const cambio of cambios) {
+                resultados.push(await aplicar(cambio, req.usuario, creadosEnLote));
+            }
+
+            // Cambios del servidor desde el token, incluidos los recién aplicados
+            const computadores = await computadoresRepo.cambiosDesde(cursor, MAX_CAMBIOS_SERVIDOR + 1);
+            const hayMas = computadores.length > MAX_CAMBIOS_SERVIDOR;
+            if (hayMas) computadores.pop();
+            const eliminados = cursor
+                ? await syncRepo.eliminadosDesde(cursor.eliminado, MAX_CAMBIOS_SERVIDOR)
+                : [];
+
+            const ultimo = computadores[computadores.length - 1];
+            const siguiente = crearToken({
+                fecha: ultimo ? ultimo.fecha_actualizacion : (cursor ? cursor.fecha : null),
+                id: ultimo ? ultimo.id : (cursor ? cursor.id : 0),
+                eliminado: eliminados.length > 0
+                    ? eliminados[eliminados.length - 1].id
+                    : (cursor ? cursor.eliminado : await syncRepo.ultimoEliminado())
+            });
+
+            // Un equipo restaurado de la papelera vuelve en computadores: su baja ya no aplica
+            const activos = new Set(computadores.map(computador => computador.id));
+            const bajas = eliminados.filter(eliminado => !activos.has(eliminado.computador_id));
+
+            const aplicados = resultados.filter(r => r.estado === 'aplicado').length;
+            const conflictos = resultados.filter(r => r.estado === 'conflicto').length;
+            console.log(`Sync de ${req.usuario.email}: ${cambios.length} cambios (${aplicados} aplicados, ` +
+                `${conflictos} conflictos), ${computadores.length} del servidor, ${bajas.length} eliminados`);
+
+            res.json({
+                resultados,
+                computadores: await Promise.all(computadores.map(presentar)),
+                eliminados: bajas,
+                token: siguiente,
+                hay_mas: hayMas || eliminados.length === MAX_CAMBIOS_SERVIDOR
+            });
+        } catch (error) {
+            handleSupabaseError(error, res, 'sincronizar');
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createSyncRouter };
@@ -0,0 +1,69 @@
+const express = require('express');
+const { handleSupabaseError } = require('../lib/errors');
+const { hashPassword, MIN_PASSWORD_LENGTH } = require('../lib/passwords');
+const { requireRol } = require('../middleware/auth');
+const { validarOFallar } = require('../lib/validacion');
+const ESQUEMAS = require('../lib/esquemas');
+
+// Rutas /api/usuarios: administración de usuarios (solo administradores)
+function createUsuariosRouter({ usuariosRepo, checkDatabase }) {
+    const router = express.Router();
+
+    router.use(checkDatabase, requireRol('administrador'));
+
+    // LISTAR USUARIOS
+    router.get('/', async (req, res) => {
+        try {
+            res.json(await usuariosRepo.list());
+        } catch (error) {
+            handleSupabaseError(error, res, 'listar usuarios');
+        }
+    });
+
+    // CREAR USUARIO
+    router.post('/', async (req, res) => {
+        try {
+            const { email, nombre, rol, password } = validarOFallar(ESQUEMAS.USUARIO, req.body || {}, { estricto: true });
+
+            if (await usuariosRepo.findByEmailWithPassword(email)) {
+                return res.status(409).json({ error: 'Ya existe un usuario con ese email', code: 'EMAIL_EXISTS' });
+            }
+
+            const usuario = await usuariosRepo.create({
+                email, nombre, rol,
+                password_hash: await hashPassword(password)
+            });
+
+            console.log(`Usuario creado: ${usuario.email} (${usuario.rol}) por ${req.usuario.email}`);
+            res.status(201).json(usuario);
+
+        } catch (error) {
+            handleSupabaseError(error, res, 'crear usuario');
+        }
+    });
+
+    // ACTUALIZAR USUARIO (nombre, rol, activo, password)
+    router.patch('/:id', async (req, res) => {
+        try {
+            const { password, ...changes } = validarOFallar(ESQUEMAS.USUARIO_CAMBIOS, req.body || {}, { parcial: true, estricto: true });
+            if (password !== undefined) {
+                changes.password_hash = await hashPassword(password);
+            }
+
+            const usuario = await usuariosRepo.update(req.params.id, changes);
+            if (!usuario) {
+                return res.status(404).json({ error: 'Usuario no encontrado' });
+            }
+
+            console.log(`Usuario ${usuario.email} actualizado por ${req.usuario.email}`);
+            res.json(usuario);
+
+        } catch (error) {
+            handleSupabaseError(error, res, 'actualizar usuario');
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createUsuariosRouter };
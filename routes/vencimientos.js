@@ -0,0 +1,143 @@
+const express = require('express');
+const { handleSupabaseError, httpError } = require('../lib/errors');
+const { autenticar, requireRol } = require('../middleware/auth');
+const { validar, errorValidacion, errorCampo } = require('../lib/validacion');
+const { leerPaginacion, responderPagina } = require('../lib/paginacion');
+const { normalizar, ESTADOS_REVISION, INTERVALO_GLOBAL_DIAS, AVISO_DIAS } = require('../lib/vencimientos');
+
+const REGLA_DIAS = { tipo: 'entero', requerido: true, min: 1, max: 3650 };
+const FILTROS_TRANSICION = {
+    estado_nuevo: { tipo: 'enum', valores: ESTADOS_REVISION },
+    computador_id: { tipo: 'entero', min: 1 }
+};
+
+// Filas de intervalos_revision → { global_dias, por_cargo, por_ubicacion }
+function presentarIntervalos(intervalos) {
+    const global = intervalos.find(intervalo => intervalo.ambito === 'global');
+    const porAmbito = ambito => Object.fromEntries(intervalos
+        .filter(intervalo => intervalo.ambito === ambito)
+        .map(intervalo => [intervalo.valor, intervalo.dias]));
+
+    return {
+        global_dias: global ? global.dias : INTERVALO_GLOBAL_DIAS,
+        global_configurado: Boolean(global),
+        aviso_dias: AVISO_DIAS,
+        por_cargo: porAmbito('cargo'),
+        por_ubicacion: porAmbito('ubicacion')
+    };
+}
+
+// Cuerpo de PUT /intervalos → filas para reemplazarIntervalos, o errores por campo
+function leerIntervalos(body) {
+    const errores = [];
+    const filas = [];
+
+    if (body.global_dias !== undefined && body.global_dias !== null) {
+        const { valores, errores: erroresGlobal } = validar({ global_dias: REGLA_DIAS }, body);
+        errores.push(...erroresGlobal);
+        if (valores.global_dias) filas.push({ ambito: 'global', valor: '', dias: valores.global_dias });
+    }
+
+    for (const [campo, ambito] of [['por_cargo', 'cargo'], ['por_ubicacion', 'ubicacion']]) {
+        const mapa = body[campo];
+        if (mapa === undefined || mapa === null) continue;
+        if (typeof mapa !== 'object' || Array.isArray(mapa)) {
+            errores.push(errorCampo(campo, 'tipo', 'Debe ser un objeto { valor: dias }'));
+            continue;
+        }
+        // Las reglas se comparan normalizadas: "Contador " y "contador" son la misma
+        const vistos = new Map();
+        for (const [valor, dias] of Object.entries(mapa)) {
+            const clave = `${campo}.${valor}`;
+            if (!valor.trim() || valor.length > 200) {
+                errores.push(errorCampo(clave, 'longitud', 'El valor debe tener entre 1 y 200 caracteres'));
+                continue;
+            }
+            if (vistos.has(normalizar(valor))) {
+                errores.push(errorCampo(clave, 'unico', `Repite el valor "${vistos.get(normalizar(valor))}"`));
+                continue;
+            }
+            vistos.set(normalizar(valor), valor);
+            const resultado = validar({ [clave]: REGLA_DIAS }, { [clave]: dias });
+            errores.push(...resultado.errores);
+            if (resultado.valores[clave]) filas.push({ ambito, valor: valor.trim(), dias: resultado.valores[clave] });
+        }
+    }
+
+    return { filas, errores };
+}
+
+/**
+ * Rutas /api/vencimientos: intervalos de revisión periódica y registro de
+ * cambios de estado que guarda el programador (ver lib/vencimientos.js).
+ * La lista de equipos vencidos está en GET /api/computadores/vencidos.
+ */
+function createVencimientosRouter({ vencimientosRepo, programador, checkDatabase }) {
+    const router = express.Router();
+
+    router.use(checkDatabase);
+
+    // INTERVALOS CONFIGURADOS (global, por cargo y por ubicación)
+    router.get('/intervalos', autenticar, async (req, res) => {
+        try {
+            res.json(presentarIntervalos(await vencimientosRepo.listIntervalos()));
+        } catch (error) {
+            handleSupabaseError(error, res, 'obtener intervalos de revisión');
+        }
+    });
+
+    // REEMPLAZAR INTERVALOS
+    // { global_dias, por_cargo: { "Contador": 30 }, por_ubicacion: { "Sede Norte": 60 } }.
+    // Sin global_dias se usa REVISION_INTERVALO_DIAS.
+    router.put('/intervalos', requireRol('administrador'), async (req, res) => {
+        try {
+            const { filas, errores } = leerIntervalos(req.body || {});
+            if (errores.length > 0) {
+                throw errorValidacion(errores);
+            }
+
+            const intervalos = await vencimientosRepo.reemplazarIntervalos(filas);
+            console.log(`Intervalos de revisión actualizados por ${req.usuario.email}: ${filas.length} reglas`);
+
+            res.json(presentarIntervalos(intervalos));
+        } catch (error) {
+            handleSupabaseError(error, res, 'actualizar intervalos de revisión');
+        }
+    });
+
+    // CAMBIOS DE ESTADO REGISTRADOS (filtros: estado_nuevo, computador_id, desde; paginado)
+    router.get('/transiciones', requireRol('supervisor'), async (req, res) => {
+        try {
+            const { valores: filtros, errores } = validar(FILTROS_TRANSICION, req.query, { parcial: true });
+            if (errores.length > 0) {
+                throw httpError(400, 'INVALID_QUERY', 'Filtros no válidos',
+                    errores.map(e => `${e.campo}: ${e.mensaje}`).join('; '));
+            }
+            if (req.query.desde) {
+                if (Number.isNaN(Date.parse(req.query.desde))) {
+                    throw httpError(400, 'INVALID_QUERY', 'Fecha no válida en desde', 'Use formato ISO (AAAA-MM-DD)');
+                }
+                filtros.desde = req.query.desde;
+            }
+            const pagina = leerPaginacion(req.query);
+
+            const { rows, total } = await vencimientosRepo.listTransiciones(filtros, pagina);
+            responderPagina(res, rows, total, pagina);
+        } catch (error) {
+            handleSupabaseError(error, res, 'listar transiciones de revisión');
+        }
+    });
+
+    // EJECUTAR EL PROGRAMADOR AHORA (p. ej. tras cambiar los intervalos)
+    router.post('/ejecutar', requireRol('administrador'), async (req, res) => {
+        try {
+            res.json(await programador.ejecutar());
+        } catch (error) {
+            handleSupabaseError(error, res, 'ejecutar programador de revisiones');
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createVencimientosRouter };
@@ -0,0 +1,171 @@
+const express = require('express');
+const { handleSupabaseError, httpError } = require('../lib/errors');
+const { requireRol } = require('../middleware/auth');
+const { validarOFallar, errorValidacion, errorCampo } = require('../lib/validacion');
+const { generarSecreto } = require('../lib/webhooks');
+const { ESTADOS_ENTREGA } = require('../db/webhooks');
+const { leerPaginacion, responderPagina } = require('../lib/paginacion');
+const ESQUEMAS = require('../lib/esquemas');
+
+/**
+ * Rutas /api/webhooks: suscripciones, registro de entregas y reenvíos
+ * (solo administradores). El secreto solo se devuelve al crear el webhook.
+ */
+function createWebhooksRouter({ webhooksRepo, webhooks, checkDatabase }) {
+    const router = express.Router();
+
+    router.use(checkDatabase, requireRol('administrador'));
+
+    // Carga el webhook de :id o responde 404
+    async function cargarWebhook(req, res) {
+        const webhook = await webhooksRepo.get(req.params.id);
+        if (!webhook) {
+            res.status(404).json({ error: 'Webhook no encontrado' });
+        }
+        return webhook;
+    }
+
+    // LISTAR WEBHOOKS
+    router.get('/', async (req, res) => {
+        try {
+            res.json(await webhooksRepo.list());
+        } catch (error) {
+            handleSupabaseError(error, res, 'listar webhooks');
+        }
+    });
+
+    // CREAR WEBHOOK
+    router.post('/', async (req, res) => {
+        try {
+            const datos = validarOFallar(ESQUEMAS.WEBHOOK, req.body || {}, { estricto: true });
+            const secreto = datos.secreto || generarSecreto();
+
+            const webhook = await webhooksRepo.create({
+                ...datos,
+                activo: datos.activo === null ? undefined : datos.activo,
+                secreto,
+                creado_por: req.usuario.id
+            });
+            console.log(`Webhook ${webhook.id} creado por ${req.usuario.email}: ${webhook.url}`);
+
+            // El secreto no se vuelve a mostrar
+            res.status(201).json({ ...webhook, secreto });
+        } catch (error) {
+            handleSupabaseError(error, res, 'crear webhook');
+        }
+    });
+
+    // OBTENER WEBHOOK
+    router.get('/:id', async (req, res) => {
+        try {
+            const webhook = await cargarWebhook(req, res);
+            if (webhook) res.json(webhook);
+        } catch (error) {
+            handleSupabaseError(error, res, 'obtener webhook');
+        }
+    });
+
+    // ACTUALIZAR WEBHOOK (url, eventos, secreto, descripcion, activo)
+    router.patch('/:id', async (req, res) => {
+        try {
+            const cambios = validarOFallar(ESQUEMAS.WEBHOOK, req.body || {}, { parcial: true, estricto: true });
+            if (cambios.activo === null) {
+                throw errorValidacion([errorCampo('activo', 'tipo', 'Debe ser true o false')]);
+            }
+            if (Object.keys(cambios).length === 0) {
+                return res.status(400).json({ error: 'No se enviaron campos para actualizar', code: 'NO_CHANGES' });
+            }
+
+            const webhook = await webhooksRepo.update(req.params.id, cambios);
+            if (!webhook) {
+                return res.status(404).json({ error: 'Webhook no encontrado' });
+            }
+            console.log(`Webhook ${webhook.id} actualizado: ${Object.keys(cambios).join(', ')}`);
+
+            res.json(webhook);
+        } catch (error) {
+            handleSupabaseError(error, res, 'actualizar webhook');
+        }
+    });
+
+    // ELIMINAR WEBHOOK (y su registro de entregas)
+    router.delete('/:id', async (req, res) => {
+        try {
+            const webhook = await webhooksRepo.remove(req.params.id);
+            if (!webhook) {
+                return res.status(404).json({ error: 'Webhook no encontrado' });
+            }
+            console.log(`Webhook ${webhook.id} eliminado`);
+
+            res.json({ message: 'Webhook eliminado exitosamente' });
+        } catch (error) {
+            handleSupabaseError(error, res, 'eliminar webhook');
+        }
+    });
+
+    // REGISTRO DE ENTREGAS (filtros: estado, evento; paginado con page y limit)
+    router.get('/:id/entregas', async (req, res) => {
+        try {
+            const { estado, evento } = req.query;
+            if (estado !== undefined && !ESTADOS_ENTREGA.includes(estado)) {
+                throw httpError(400, 'INVALID_QUERY', `Estado de entrega no válido: ${estado}`,
+                    `Use ${ESTADOS_ENTREGA.join(', ')}`);
+            }
+            const pagina = leerPaginacion(req.query);
+
+            const webhook = await cargarWebhook(req, res);
+            if (!webhook) return;
+
+            const { rows, total } = await webhooksRepo.listEntregas(webhook.id, {
+                estado,
+                evento,
+                limit: pagina.limit,
+                offset: pagina.offset
+            });
+            responderPagina(res, rows, total, pagina);
+        } catch (error) {
+            handleSupabaseError(error, res, 'listar entregas');
+        }
+    });
+
+    // DETALLE DE UNA ENTREGA (cuerpo enviado y respuesta recibida)
+    router.get('/:id/entregas/:entregaId', async (req, res) => {
+        try {
+            const entrega = await webhooksRepo.getEntrega(req.params.id, req.params.entregaId);
+            if (!entrega) {
+                return res.status(404).json({ error: 'Entrega no encontrada' });
+            }
+            res.json(entrega);
+        } catch (error) {
+            handleSupabaseError(error, res, 'obtener entrega');
+        }
+    });
+
+    // REENVIAR UNA ENTREGA (crea una entrega nueva con el mismo cuerpo)
+    router.post('/:id/entregas/:entregaId/reenviar', async (req, res) => {
+        try {
+            const webhook = await cargarWebhook(req, res);
+            if (!webhook) return;
+            if (!webhook.activo) {
+                throw httpError(409, 'WEBHOOK_INACTIVE', 'El webhook está desactivado',
+                    'Actívelo con PATCH antes de reenviar');
+            }
+
+            const entrega = await webhooksRepo.getEntrega(webhook.id, req.params.entregaId);
+            if (!entrega) {
+                return res.status(404).json({ error: 'Entrega no encontrada' });
+            }
+
+            const nueva = await webhooks.reenviar(entrega);
+            console.log(`Entrega ${entrega.id} del webhook ${webhook.id} reenviada como ${nueva.id}`);
+
+            res.status(201).json(nueva);
+        } catch (error) {
+            handleSupabaseError(error, res, 'reenviar entrega');
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createWebhooksRouter };
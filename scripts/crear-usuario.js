@@ -0,0 +1,45 @@
+// Uso: npm run crear-usuario -- <email> <nombre> <rol> <contraseña>
+// Crea el primer administrador (o cualquier usuario) sin pasar por la API.
+require('dotenv').config();
+const { getSupabase } = require('../lib/supabase');
+const { createDatabase } = require('../db');
+const { ROLES } = require('../db/usuarios');
+const { hashPassword, MIN_PASSWORD_LENGTH } = require('../lib/passwords');
+
+async function main() {
+    const [email, nombre, rol, password] = process.argv.slice(2);
+
+    if (!email || !nombre || !rol || !password) {
+        throw new Error('Uso: npm run crear-usuario -- <email> <nombre> <rol> <contraseña>');
+    }
+    if (!ROLES.includes(rol)) {
+        throw new Error(`Rol no válido: ${rol} (use ${ROLES.join(', ')})`);
+    }
+    if (password.length < MIN_PASSWORD_LENGTH) {
+        throw new Error(`La contraseña debe tener al menos ${MIN_PASSWORD_LENGTH} caracteres`);
+    }
+
+    const database = createDatabase({
+        driver: process.env.DB_DRIVER || 'supabase',
+        getSupabase,
+        postgres: { connectionString: process.env.DATABASE_URL }
+    });
+
+    try {
+        if (await database.usuarios.findByEmailWithPassword(email)) {
+            throw new Error(`Ya existe un usuario con el email ${email}`);
+        }
+        const usuario = await database.usuarios.create({
+            email, nombre, rol,
+            password_hash: await hashPassword(password)
+        });
+        console.log(`✅ Usuario creado: ${usuario.email} (${usuario.rol}), ID ${usuario.id}`);
+    } finally {
+        await database.close();
+    }
+}
+
+main().catch(error => {
+    console.error('❌ Error al crear usuario:', error.message);
+    process.exit(1);
+});
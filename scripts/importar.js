@@ -0,0 +1,74 @@
+// Uso: npm run importar -- <archivo.csv|xlsx> --usuario <email> [--dry-run]
+// Importa computadores con las mismas reglas que POST /api/computadores/importar.
+require('dotenv').config();
+const fs = require('fs');
+const { getSupabase } = require('../lib/supabase');
+const { createDatabase } = require('../db');
+const { importarComputadores } = require('../lib/importacion');
+
+function leerArgumentos(argv) {
+    const opciones = { dryRun: false };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--dry-run') opciones.dryRun = true;
+        else if (argv[i] === '--usuario') opciones.email = argv[++i];
+        else opciones.archivo = argv[i];
+    }
+    return opciones;
+}
+
+async function main() {
+    const { archivo, email, dryRun } = leerArgumentos(process.argv.slice(2));
+    if (!archivo || !email) {
+        throw new Error('Uso: npm run importar -- <archivo.csv|xlsx> --usuario <email> [--dry-run]');
+    }
+
+    const database = createDatabase({
+        driver: process.env.DB_DRIVER || 'supabase',
+        getSupabase,
+        postgres: { connectionString: process.env.DATABASE_URL }
+    });
+
+    try {
+        // Las revisiones importadas quedan a nombre de un usuario existente
+        const usuario = await database.usuarios.findByEmailWithPassword(email);
+        if (!usuario || !usuario.activo) {
+            throw new Error(`No existe un usuario activo con el email ${email}`);
+        }
+
+        const resultado = await importarComputadores({
+            computadoresRepo: database.computadores,
+            revisionesRepo: database.revisiones,
+            // Sede por columna sede_id o por coordenadas, como en la importación HTTP
+            sedesRepo: database.sedes,
+            buffer: fs.readFileSync(archivo),
+            usuario,
+            dryRun
+        });
+
+        for (const fila of resultado.filas.filter(f => f.accion === 'error')) {
+            const detalle = fila.errores.map(e => `${e.campo}: ${e.mensaje}`).join('; ');
+            console.log(`   ❌ Fila ${fila.fila} (${fila.equipo_id || 'sin equipo_id'}): ${detalle}`);
+        }
+        if (resultado.columnas_ignoradas.length > 0) {
+            console.log(`Columnas ignoradas: ${resultado.columnas_ignoradas.join(', ')}`);
+        }
+
+        const { resumen } = resultado;
+        console.log(`${dryRun ? 'Simulación' : 'Importación'}: ${resumen.crear} nuevos, ${resumen.actualizar} actualizados, ` +
+            `${resumen.sin_cambios} sin cambios, ${resumen.con_errores} con errores`);
+
+        if (resumen.con_errores > 0) {
+            console.log(dryRun ? 'Corrija los errores antes de importar' : 'No se importó ningún registro');
+            process.exitCode = 1;
+        } else if (resultado.aplicado) {
+            console.log('✅ Importación aplicada');
+        }
+    } finally {
+        await database.close();
+    }
+}
+
+main().catch(error => {
+    console.error('❌ Error en la importación:', error.message);
+    process.exit(1);
+});
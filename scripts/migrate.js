@@ -0,0 +1,44 @@
+// Uso: npm run migrate -- status | up [versión] | down [pasos]
+require('dotenv').config();
+const { createMigrator } = require('../db/migrator');
+
+async function main() {
+    const [comando = 'status', argumento] = process.argv.slice(2);
+    const migrator = createMigrator({ connectionString: process.env.DATABASE_URL });
+
+    try {
+        if (comando === 'status') {
+            const estado = await migrator.status();
+            console.log('ESTADO DE MIGRACIONES:');
+            for (const migracion of estado) {
+                const marca = migracion.aplicada ? '✅' : '⏳';
+                const fecha = migracion.aplicada_el ? ` (${new Date(migracion.aplicada_el).toISOString()})` : '';
+                const aviso = migracion.desconocida ? ' ⚠️ sin archivo en migrations/' : '';
+                console.log(`   ${marca} ${migracion.version}_${migracion.nombre}${fecha}${aviso}`);
+            }
+            const pendientes = estado.filter(migracion => !migracion.aplicada).length;
+            console.log(pendientes > 0 ? `${pendientes} migraciones pendientes` : 'Esquema al día');
+        } else if (comando === 'up') {
+            const aplicadas = await migrator.up({ to: argumento });
+            aplicadas.forEach(migracion => console.log(`   ⬆️  ${migracion.version}_${migracion.nombre}`));
+            console.log(aplicadas.length > 0 ? `${aplicadas.length} migraciones aplicadas` : 'No hay migraciones pendientes');
+        } else if (comando === 'down') {
+            const steps = argumento ? parseInt(argumento, 10) : 1;
+            if (!Number.isInteger(steps) || steps < 1) {
+                throw new Error(`Número de pasos no válido: ${argumento}`);
+            }
+            const revertidas = await migrator.down({ steps });
+            revertidas.forEach(migracion => console.log(`   ⬇️  ${migracion.version}_${migracion.nombre}`));
+            console.log(revertidas.length > 0 ? `${revertidas.length} migraciones revertidas` : 'No hay migraciones aplicadas');
+        } else {
+            throw new Error(`Comando desconocido: ${comando} (use status, up o down)`);
+        }
+    } finally {
+        await migrator.close();
+    }
+}
+
+main().catch(error => {
+    console.error('❌ Error en migraciones:', error.message);
+    process.exit(1);
+});
@@ -1,92 +1,234 @@
 require('dotenv').config();
 const express = require('express');
-const { createClient } = require('@supabase/supabase-js');
 const path = require('path');
 const cors = require('cors');
 const fs = require('fs');
+const crypto = require('crypto');
 const multer = require('multer');
+const { createStorage, safeFolder } = require('./storage');
+const { subirImagenes, subirHoja, validarImagen } = require('./middleware/upload');
+const { httpError, handleSupabaseError } = require('./lib/errors');
+const { procesarImagen, VARIANTES } = require('./lib/image-pipeline');
+const { getSupabase } = require('./lib/supabase');
+const { createDatabase } = require('./db');
+const { SORT_COLUMNS, FILTROS_FECHA } = require('./db/computadores');
+const { CAMPOS_REVISION } = require('./db/revisiones');
+const { pendingMigrations } = require('./db/migrator');
+const { autenticar, requireRol, getSecret, configurarAutenticacion } = require('./middleware/auth');
+const { createAuthRouter } = require('./routes/auth');
+const { createUsuariosRouter } = require('./routes/usuarios');
+const { createStreamRouter } = require('./routes/stream');
+const { createWebhooksRouter } = require('./routes/webhooks');
+const { createOrdenesRouter } = require('./routes/ordenes');
+const { createVencimientosRouter } = require('./routes/vencimientos');
+const { createSedesRouter } = require('./routes/sedes');
+const { createEstadisticasRouter } = require('./routes/estadisticas');
+const { createSyncRouter } = require('./routes/sync');
+const { createPapeleraRouter } = require('./routes/papelera');
+const { createAlmacenamientoRouter } = require('./routes/almacenamiento');
+const { construirHistorial } = require('./lib/historial');
+const { exportarXlsx, exportarCsv } = require('./lib/export');
+const { importarComputadores } = require('./lib/importacion');
+const { generarReporte } = require('./lib/reporte-pdf');
+const { validar, validarOFallar, errorValidacion, errorCampo } = require('./lib/validacion');
+const ESQUEMAS = require('./lib/esquemas');
+const { createEventos } = require('./lib/eventos');
+const { createWebhooks } = require('./lib/webhooks');
+const { createOrdenesAutomaticas } = require('./lib/ordenes');
+const { calcularVencimientos, agruparPorResponsable, createProgramadorRevisiones } = require('./lib/vencimientos');
+const { distanciaMetros, cajaAlrededor, leerBbox, aFeature } = require('./lib/geo');
+const { resolverSede } = require('./lib/sedes');
+const { leerZona } = require('./lib/estadisticas');
+const { etagComputador, cumpleIfMatch, noModificado, errorVersion } = require('./lib/etag');
+const { createPurgaPapelera, fechaPurga } = require('./lib/papelera');
+const { leerPaginacion, responderPagina, MAX_PAGE_SIZE, DEFAULT_PAGE_SIZE } = require('./lib/paginacion');
 
 const app = express();
 const PORT = process.env.PORT || 4000;
 
-// Configuración Supabase (solo para base de datos)
-const supabaseUrl = process.env.SUPABASE_URL;
-const supabaseKey = process.env.SUPABASE_ANON_KEY;
-const supabase = createClient(supabaseUrl, supabaseKey);
+// Base de datos (driver seleccionado con DB_DRIVER: supabase o postgres)
+const database = createDatabase({
+    driver: process.env.DB_DRIVER || 'supabase',
+    getSupabase,
+    postgres: { connectionString: process.env.DATABASE_URL }
+});
+const {
+    computadores: computadoresRepo,
+    usuarios: usuariosRepo,
+    revisiones: revisionesRepo,
+    webhooks: webhooksRepo,
+    ordenes: ordenesRepo,
+    vencimientos: vencimientosRepo,
+    sedes: sedesRepo,
+    estadisticas: estadisticasRepo,
+    sync: syncRepo
+} = database;
+
+// Cada petición autenticada carga su usuario (activo y rol vigentes)
+configurarAutenticacion({ usuariosRepo });
+
+// Cambios de computadores emitidos por las rutas de escritura (ver /api/stream)
+const eventos = createEventos();
+// Entrega de esos eventos a los webhooks suscritos (se inicia con la base)
+const webhooks = createWebhooks({ webhooksRepo, eventos });
+// Orden de trabajo automática al pasar un equipo a mantenimiento
+const ordenesAutomaticas = createOrdenesAutomaticas({ ordenesRepo, eventos });
+// Registro periódico de revisiones por vencer y vencidas
+const programadorRevisiones = createProgramadorRevisiones({ computadoresRepo, vencimientosRepo, eventos });
+// Purga definitiva de los equipos que superaron la retención de la papelera
+const purgaPapelera = createPurgaPapelera({ computadoresRepo, revisionesRepo, ordenesRepo, borrarImagen: deleteImage });
 
 // Variable para controlar inicialización de DB
 let dbInitialized = false;
 
-// Crear directorio para imágenes si no existe
+// Almacenamiento de imágenes (driver seleccionado con STORAGE_DRIVER)
 const UPLOADS_DIR = path.join(__dirname, 'uploads');
-if (!fs.existsSync(UPLOADS_DIR)) {
-    fs.mkdirSync(UPLOADS_DIR, { recursive: true });
-    console.log('Directorio uploads creado:', UPLOADS_DIR);
+const storage = createStorage({
+    driver: process.env.STORAGE_DRIVER || 'local',
+    local: { dir: UPLOADS_DIR },
+    supabase: {
+        getClient: getSupabase,
+        bucket: process.env.SUPABASE_STORAGE_BUCKET || 'imagenes-soporte'
+    },
+    s3: {
+        bucket: process.env.S3_BUCKET,
+        region: process.env.S3_REGION,
+        endpoint: process.env.S3_ENDPOINT,
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        publicUrl: process.env.S3_PUBLIC_URL
+    }
+});
+// El directorio local se crea siempre: /uploads sigue sirviendo imágenes antiguas
+storage.get('local');
+
+// Decodifica una imagen enviada como data URL base64 (clientes anteriores a multipart)
+function decodificarBase64(base64Data) {
+    if (!base64Data || !base64Data.includes(',')) {
+        console.error('Datos base64 inválidos');
+        return null;
+    }
+    
+    const matches = base64Data.match(/^data:image\/([a-zA-Z]*);base64,(.*)$/);
+    if (!matches || matches.length !== 3) {
+        console.error('Formato base64 inválido');
+        return null;
+    }
+    
+    return Buffer.from(matches[2], 'base64');
 }
 
-// Función para guardar imagen localmente
-function saveImageLocally(base64Data, equipoId, imageIndex) {
-    try {
-        if (!base64Data || !base64Data.includes(',')) {
-            console.error('Datos base64 inválidos');
+// Valida las imágenes base64 de un arreglo `imagenes` JSON antes de guardar
+// nada. Devuelve un arreglo paralelo con null donde no hay imagen nueva.
+function prepararImagenesBase64(imagenes) {
+    return imagenes.map((imagen, i) => {
+        if (!imagen || !imagen.base64 || !imagen.base64.startsWith('data:image')) {
             return null;
         }
-        
-        const matches = base64Data.match(/^data:image\/([a-zA-Z]*);base64,(.*)$/);
-        if (!matches || matches.length !== 3) {
-            throw new Error('Formato base64 inválido');
-        }
-        
-        const imageType = matches[1];
-        const imageData = matches[2];
-        const buffer = Buffer.from(imageData, 'base64');
-        
-        // Crear directorio para el equipo si no existe (sin espacios)
-        const safeEquipoId = equipoId.replace(/[^a-zA-Z0-9]/g, '');
-        const equipoDir = path.join(UPLOADS_DIR, safeEquipoId);
-        if (!fs.existsSync(equipoDir)) {
-            fs.mkdirSync(equipoDir, { recursive: true });
+        const buffer = decodificarBase64(imagen.base64);
+        if (!buffer) {
+            return null;
         }
-        
-        const timestamp = Date.now();
-        const fileName = `${timestamp}-${imageIndex}.${imageType}`;
-        const relativeFilePath = `${safeEquipoId}/${fileName}`;
-        const fullFilePath = path.join(UPLOADS_DIR, relativeFilePath);
-        
-        // Guardar archivo
-        fs.writeFileSync(fullFilePath, buffer);
-        
-        console.log(`Imagen guardada localmente: ${relativeFilePath}`);
-        
         return {
-            filename: relativeFilePath,
-            url: `/uploads/${relativeFilePath}`,
-            size: buffer.length
+            buffer,
+            tipo: validarImagen(buffer, imagen.title || `Imagen ${i + 1}`),
+            title: imagen.title,
+            tag: imagen.tag
         };
-        
+    });
+}
+
+// Campo multipart que transporta JSON (p. ej. titulos, imagenes_existentes)
+function parseCampoJson(valor, campo) {
+    try {
+        return JSON.parse(valor);
     } catch (error) {
-        console.error('Error guardando imagen localmente:', error);
-        return null;
+        throw httpError(400, 'INVALID_FORM_FIELD', `El campo ${campo} debe ser JSON válido`, error.message);
     }
 }
 
-// Función para eliminar imagen local
-function deleteImageLocally(filename) {
-    try {
-        // Solo eliminar si no es URL de Supabase
-        if (filename.startsWith('http')) {
-            console.log(`Imagen de Supabase, no eliminar localmente: ${filename}`);
-            return true;
-        }
-        
-        const fullPath = path.join(UPLOADS_DIR, filename);
-        if (fs.existsSync(fullPath)) {
-            fs.unlinkSync(fullPath);
-            console.log(`Imagen local eliminada: ${filename}`);
-            return true;
+// Campo multipart con un valor por archivo: repetido, JSON o un solo valor
+function leerListaCampo(body, campo) {
+    const valor = body[campo];
+    if (valor === undefined || valor === null) return [];
+    if (Array.isArray(valor)) return valor;
+    return valor.trim().startsWith('[') ? parseCampoJson(valor, campo) : [valor];
+}
+
+// Imágenes recibidas como archivos multipart (ya validadas por subirImagenes)
+function prepararArchivos(req, body) {
+    const titulos = leerListaCampo(body, 'titulos');
+    const tags = leerListaCampo(body, 'tags');
+    return (req.files || []).map((file, i) => ({
+        buffer: file.buffer,
+        tipo: file.tipo,
+        nombre: file.originalname,
+        title: titulos[i],
+        tag: tags[i]
+    }));
+}
+
+// Pasa las imágenes por el pipeline (formato real, EXIF, rotación, WebP y
+// tamaños) antes de guardar ninguna; acepta huecos null de prepararImagenesBase64
+async function procesarImagenes(preparadas) {
+    for (const preparada of preparadas) {
+        if (preparada) {
+            preparada.procesada = await procesarImagen(preparada.buffer, preparada.nombre || preparada.title || 'imagen');
         }
-        console.log(`Imagen local no encontrada: ${filename}`);
-        return false;
+    }
+    return preparadas;
+}
+
+// Guarda una imagen ya procesada, con sus variantes, en el backend configurado
+async function saveImage(preparada, equipoId, imageIndex) {
+    const { procesada } = preparada;
+    const resultado = await storage.saveImage(procesada.buffer, {
+        equipoId,
+        imageIndex,
+        extension: procesada.extension,
+        contentType: procesada.contentType,
+        variantes: procesada.variantes
+    });
+    
+    console.log(`Imagen guardada en ${resultado.backend}: ${resultado.filename}`);
+    
+    return {
+        id: crypto.randomUUID(),
+        title: preparada.title || `Imagen ${imageIndex}`,
+        tag: preparada.tag || null,
+        ...resultado,
+        mime: procesada.contentType,
+        width: procesada.width,
+        height: procesada.height,
+        formato_original: preparada.tipo.mime,
+        fecha_subida: new Date().toISOString()
+    };
+}
+
+// En multipart todos los campos llegan como texto: los vacíos pasan a null
+// y los campos estructurados se envían como JSON
+function leerCuerpo(req) {
+    if (!req.is('multipart/form-data')) {
+        return req.body;
+    }
+    const body = {};
+    for (const [campo, valor] of Object.entries(req.body)) {
+        body[campo] = valor === '' ? null : valor;
+    }
+    if (typeof body.imagenes_existentes === 'string') {
+        body.imagenes_existentes = parseCampoJson(body.imagenes_existentes, 'imagenes_existentes');
+    }
+    return body;
+}
+
+// Función para eliminar una imagen de su backend
+async function deleteImage(imagen) {
+    try {
+        const eliminada = await storage.removeImage(imagen);
+        console.log(eliminada
+            ? `Imagen eliminada de ${imagen.backend}: ${imagen.filename}`
+            : `Imagen no encontrada en ${imagen.backend}: ${imagen.filename}`);
+        return eliminada;
     } catch (error) {
         console.error('Error eliminando imagen:', error);
         return false;
@@ -94,18 +236,40 @@ function deleteImageLocally(filename) {
 }
 
 // Middleware
+// CORS_ORIGINS: lista separada por comas de orígenes permitidos
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '')
+    .split(',')
+    .map(origen => origen.trim())
+    .filter(Boolean);
 app.use(cors({
-    origin: '*',
-    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+    origin: CORS_ORIGINS.length > 0 ? CORS_ORIGINS : '*',
+    methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Last-Event-ID', 'If-Match', 'If-None-Match'],
+    exposedHeaders: ['X-Total-Count', 'ETag'],
     credentials: false
 }));
 
-app.use(express.json({ limit: '50mb' }));
-app.use(express.urlencoded({ extended: true, limit: '50mb' }));
+// El límite alto solo es necesario para clientes que aún envían imágenes en
+// base64 dentro del JSON; las subidas multipart no pasan por aquí
+const JSON_BODY_LIMIT = process.env.JSON_BODY_LIMIT || '50mb';
+app.use(express.json({ limit: JSON_BODY_LIMIT }));
+app.use(express.urlencoded({ extended: true, limit: JSON_BODY_LIMIT }));
 
 // Servir imágenes estáticamente
+// ?size=thumb|medium sirve la variante guardada junto a la imagen original
 app.use('/uploads', (req, res, next) => {
+    const { size } = req.query;
+    if (size && size !== 'original') {
+        if (!VARIANTES[size]) {
+            return res.status(400).json({
+                error: 'Tamaño no válido',
+                details: `Use original, ${Object.keys(VARIANTES).join(', ')}`
+            });
+        }
+        req.url = req.path.replace(/(\.[^./]+)$/, `.${size}$1`);
+    }
+    next();
+}, (req, res, next) => {
     console.log(`Petición de archivo: ${req.method} ${req.url}`);
     console.log(`Ruta completa solicitada: ${req.path}`);
     
@@ -154,57 +318,36 @@ app.use('/uploads', (req, res, next) => {
     }
 }));
 
-// Inicializar Supabase (solo base de datos)
-async function initializeSupabase() {
+// Inicializar base de datos
+async function initializeDatabase() {
     try {
-        console.log('Inicializando Supabase (solo base de datos)...');
-        
-        const { data, error } = await supabase.from('computadores').select('count', { count: 'exact' });
-        
-        if (error && error.code === '42P01') {
-            console.log('TABLA NO EXISTE - Ejecuta este SQL en Supabase:');
-            console.log(`
-CREATE TABLE IF NOT EXISTS computadores (
-    id SERIAL PRIMARY KEY,
-    equipo_id VARCHAR(100) UNIQUE NOT NULL,
-    serial_number VARCHAR(100) NOT NULL,
-    placa_ml VARCHAR(100),
-    latitud DECIMAL(10, 8),
-    longitud DECIMAL(11, 8),
-    direccion_automatica TEXT,
-    ubicacion_manual TEXT,
-    responsable VARCHAR(200) NOT NULL,
-    cargo VARCHAR(100) NOT NULL,
-    estado VARCHAR(20) NOT NULL CHECK (estado IN ('operativo', 'mantenimiento', 'dañado')),
-    windows_update VARCHAR(5) NOT NULL CHECK (windows_update IN ('si', 'no')),
-    imagenes JSONB DEFAULT '[]'::jsonb,
-    observaciones TEXT,
-    problemas_detectados TEXT,
-    fecha_revision TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    fecha_actualizacion TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    revisor VARCHAR(100)
-);
-
-CREATE INDEX IF NOT EXISTS idx_serial_number ON computadores(serial_number);
-CREATE INDEX IF NOT EXISTS idx_equipo_id ON computadores(equipo_id);
-CREATE INDEX IF NOT EXISTS idx_estado ON computadores(estado);
-CREATE INDEX IF NOT EXISTS idx_fecha_revision ON computadores(fecha_revision);
-
-ALTER TABLE computadores ENABLE ROW LEVEL SECURITY;
-CREATE POLICY "Permitir todo acceso" ON computadores FOR ALL USING (true);
-ALTER TABLE computadores REPLICA IDENTITY FULL;
-            `);
-            throw new Error('Tabla no existe - ejecuta el SQL mostrado arriba');
-        } else if (error) {
-            throw error;
-        }
-        
-        console.log('Supabase (base de datos) conectado exitosamente');
-        console.log('Almacenamiento: HIBRIDO - Supabase Storage + Local');
+        console.log(`Inicializando base de datos (${database.driver})...`);
+        
+        // No servir con un esquema atrasado: las rutas fallarían con errores genéricos
+        const pendientes = await pendingMigrations(database.db);
+        if (pendientes.length > 0) {
+            console.error('ESQUEMA DESACTUALIZADO - migraciones pendientes:');
+            pendientes.forEach(migracion => console.error(`   ⏳ ${migracion.version}_${migracion.nombre}`));
+            console.error('Ejecuta: npm run migrate -- up   (requiere DATABASE_URL)');
+            throw new Error(`Esquema desactualizado: ${pendientes.length} migraciones pendientes`);
+        }
+        
+        console.log(`Base de datos (${database.driver}) conectada exitosamente`);
+        console.log(`Almacenamiento de imágenes: ${storage.driver}`);
+        
+        // Registros antiguos sin backend explícito
+        const { actualizados } = await normalizarImagenesAntiguas();
+        if (actualizados > 0) {
+            console.log(`Imágenes antiguas normalizadas en ${actualizados} equipos`);
+        }
         dbInitialized = true;
+        webhooks.iniciar();
+        ordenesAutomaticas.iniciar();
+        programadorRevisiones.iniciar();
+        purgaPapelera.iniciar();
         
     } catch (error) {
-        console.error('Error al inicializar Supabase:', error);
+        console.error('Error al inicializar base de datos:', error);
         throw error;
     }
 }
@@ -214,108 +357,88 @@ function checkDatabase(req, res, next) {
     if (!dbInitialized) {
         return res.status(500).json({
             error: 'Base de datos no disponible',
-            details: 'Supabase no se ha inicializado correctamente'
+            details: 'La base de datos no se ha inicializado correctamente'
         });
     }
     next();
 }
 
-// FUNCIÓN DE MANEJO DE ERRORES - MOVIDA AQUÍ ARRIBA
-function handleSupabaseError(error, res, operation = 'operación') {
-    console.error(`Error en ${operation}:`, error);
+// Completa las imágenes guardadas antes de que existieran `backend` e `id`.
+// Las URLs /uploads/ cuyo archivo ya no está en disco (servidor anterior en
+// Koyeb) se migraron a Supabase Storage y se apuntan allí.
+async function normalizarImagenesAntiguas() {
+    const computadores = [];
+    for await (const lote of computadoresRepo.iterarImagenes()) {
+        computadores.push(...lote);
+    }
     
-    let statusCode = 500;
-    let message = 'Error interno del servidor';
-    let details = error.message;
+    let actualizados = 0;
+    let totalImagenes = 0;
     
-    if (error.code === '23505') {
-        statusCode = 400;
-        message = 'El ID del equipo ya existe';
-        details = 'El identificador del equipo debe ser único';
-    } else if (error.code === '23514') {
-        statusCode = 400;
-        message = 'Valor no válido';
-        details = 'El valor proporcionado no cumple con las restricciones';
-    } else if (error.code === '23502') {
-        statusCode = 400;
-        message = 'Campo requerido faltante';
+    for (const computador of computadores) {
+        if (!Array.isArray(computador.imagenes)) continue;
+        
+        let necesitaActualizacion = false;
+        const imagenesCorregidas = [];
+        
+        for (const imagen of computador.imagenes) {
+            totalImagenes++;
+            
+            if (imagen.backend && imagen.id) {
+                imagenesCorregidas.push(imagen);
+                continue;
+            }
+            
+            necesitaActualizacion = true;
+            const backend = imagen.backend || storage.inferLegacyBackend(imagen);
+            const id = imagen.id || crypto.randomUUID();
+            
+            if (!imagen.backend && backend === 'local' && imagen.filename &&
+                !(await storage.get('local').exists(imagen.filename))) {
+                imagenesCorregidas.push({
+                    ...imagen,
+                    id,
+                    backend: 'supabase',
+                    url: storage.get('supabase').publicUrl(imagen.filename),
+                    url_anterior: imagen.url, // Guardar referencia
+                    corregida_el: new Date().toISOString()
+                });
+            } else {
+                imagenesCorregidas.push({ ...imagen, id, backend });
+            }
+        }
+        
+        // Actualizar solo si es necesario
+        if (necesitaActualizacion) {
+            try {
+                await computadoresRepo.update(computador.id, { imagenes: imagenesCorregidas });
+                actualizados++;
+                console.log(`✅ Imágenes corregidas para ${computador.equipo_id}: ${imagenesCorregidas.length} imágenes`);
+            } catch (updateError) {
+                console.error(`❌ Error actualizando ${computador.equipo_id}:`, updateError);
+            }
+        }
     }
     
-    res.status(statusCode).json({
-        error: message,
-        details: details,
-        code: error.code || 'SUPABASE_ERROR'
-    });
+    return { actualizados, totalImagenes };
 }
 
-// 🔧 ENDPOINT PARA CORREGIR IMÁGENES - AHORA EN LA POSICIÓN CORRECTA
-app.post('/api/fix-imagenes', checkDatabase, async (req, res) => {
+// 🔧 ENDPOINT PARA CORREGIR IMÁGENES
+app.post('/api/fix-imagenes', checkDatabase, requireRol('administrador'), async (req, res) => {
     try {
-        console.log('🔧 Iniciando corrección de URLs de imágenes...');
-        
-        // Obtener todos los computadores con imágenes
-        const { data: computadores, error } = await supabase
-            .from('computadores')
-            .select('*')
-            .not('imagenes', 'is', null);
-            
-        if (error) throw error;
+        console.log('🔧 Normalizando imágenes antiguas (backend e ID)...');
         
-        let actualizados = 0;
-        let totalImagenes = 0;
-        
-        for (const computador of computadores) {
-            if (computador.imagenes && Array.isArray(computador.imagenes)) {
-                let necesitaActualizacion = false;
-                
-                // Corregir URLs de cada imagen
-                const imagenesCorregidas = computador.imagenes.map(imagen => {
-                    totalImagenes++;
-                    
-                    if (imagen.filename && imagen.url && imagen.url.includes('/uploads/')) {
-                        // URL antigua de Koyeb - corregir a Supabase
-                        const nuevaURL = supabase.storage
-                            .from('imagenes-soporte')
-                            .getPublicUrl(imagen.filename).data.publicUrl;
-                            
-                        necesitaActualizacion = true;
-                        
-                        return {
-                            ...imagen,
-                            url: nuevaURL,
-                            url_anterior: imagen.url, // Guardar referencia
-                            corregida_el: new Date().toISOString()
-                        };
-                    }
-                    return imagen;
-                });
-                
-                // Actualizar solo si es necesario
-                if (necesitaActualizacion) {
-                    const { error: updateError } = await supabase
-                        .from('computadores')
-                        .update({ imagenes: imagenesCorregidas })
-                        .eq('id', computador.id);
-                        
-                    if (!updateError) {
-                        actualizados++;
-                        console.log(`✅ URLs corregidas para ${computador.equipo_id}: ${imagenesCorregidas.length} imágenes`);
-                    } else {
-                        console.error(`❌ Error actualizando ${computador.equipo_id}:`, updateError);
-                    }
-                }
-            }
-        }
+        const { actualizados, totalImagenes } = await normalizarImagenesAntiguas();
         
-        console.log(`🎉 RECUPERACIÓN COMPLETADA: ${actualizados} equipos con URLs corregidas`);
+        console.log(`🎉 RECUPERACIÓN COMPLETADA: ${actualizados} equipos corregidos`);
         console.log(`📊 Total de imágenes procesadas: ${totalImagenes}`);
         
         res.json({
             success: true,
-            message: 'URLs de imágenes corregidas exitosamente',
+            message: 'Imágenes corregidas exitosamente',
             equipos_actualizados: actualizados,
             total_imagenes_procesadas: totalImagenes,
-            accion: 'Las imágenes ahora deberían ser accesibles desde Supabase Storage',
+            accion: 'Todas las imágenes tienen ahora ID y backend de almacenamiento asignados',
             timestamp: new Date().toISOString()
         });
         
@@ -331,36 +454,29 @@ app.post('/api/fix-imagenes', checkDatabase, async (req, res) => {
 });
 
 // ENDPOINT PARA VERIFICAR STATUS DE IMÁGENES
-app.get('/api/imagenes-status', checkDatabase, async (req, res) => {
+app.get('/api/imagenes-status', checkDatabase, requireRol('administrador'), async (req, res) => {
     try {
-        const { data: computadores, error } = await supabase
-            .from('computadores')
-            .select('id, equipo_id, imagenes')
-            .not('imagenes', 'is', null);
-            
-        if (error) throw error;
+        const computadores = [];
+        for await (const lote of computadoresRepo.iterarImagenes()) {
+            computadores.push(...lote);
+        }
         
         let totalEquipos = computadores.length;
         let totalImagenes = 0;
-        let imagenesSupabase = 0;
-        let imagenesLocales = 0;
-        let imagenesBrotas = 0;
+        let imagenesSinBackend = 0;
+        const porBackend = Object.fromEntries(storage.backends.map(nombre => [nombre, 0]));
         
         const analisis = computadores.map(comp => {
             const imagenes = comp.imagenes || [];
             totalImagenes += imagenes.length;
             
             const imagenesInfo = imagenes.map(img => {
-                if (img.url && img.url.includes('supabase.co')) {
-                    imagenesSupabase++;
-                    return { ...img, tipo: 'supabase', estado: 'ok' };
-                } else if (img.url && img.url.includes('/uploads/')) {
-                    imagenesBrotas++;
-                    return { ...img, tipo: 'koyeb_rota', estado: 'rota' };
-                } else {
-                    imagenesLocales++;
-                    return { ...img, tipo: 'local', estado: 'ok' };
+                if (!img.backend) {
+                    imagenesSinBackend++;
+                    return { ...img, tipo: 'sin_backend', estado: 'pendiente' };
                 }
+                porBackend[img.backend] = (porBackend[img.backend] || 0) + 1;
+                return { ...img, tipo: img.backend, estado: 'ok' };
             });
             
             return {
@@ -375,11 +491,13 @@ app.get('/api/imagenes-status', checkDatabase, async (req, res) => {
             resumen: {
                 total_equipos: totalEquipos,
                 total_imagenes: totalImagenes,
-                imagenes_supabase: imagenesSupabase,
-                imagenes_locales: imagenesLocales,
-                imagenes_rotas: imagenesBrotas
+                imagenes_supabase: porBackend.supabase,
+                imagenes_locales: porBackend.local,
+                imagenes_s3: porBackend.s3,
+                imagenes_sin_backend: imagenesSinBackend
             },
-            necesita_fix: imagenesBrotas > 0,
+            backend_actual: storage.driver,
+            necesita_fix: imagenesSinBackend > 0,
             analisis_completo: analisis
         });
         
@@ -389,85 +507,24 @@ app.get('/api/imagenes-status', checkDatabase, async (req, res) => {
     }
 });
 
-// FUNCIÓN AUXILIAR PARA CORRECCIÓN (ya no se usa directamente pero la mantenemos)
-async function corregirURLsImagenes() {
-    try {
-        console.log('🔧 Corrigiendo URLs de imágenes de Supabase Storage...');
-        
-        // Obtener todos los computadores con imágenes
-        const { data: computadores, error } = await supabase
-            .from('computadores')
-            .select('*')
-            .not('imagenes', 'is', null);
-            
-        if (error) throw error;
-        
-        let actualizados = 0;
-        
-        for (const computador of computadores) {
-            if (computador.imagenes && Array.isArray(computador.imagenes)) {
-                let necesitaActualizacion = false;
-                
-                // Corregir URLs de cada imagen
-                const imagenesCorregidas = computador.imagenes.map(imagen => {
-                    if (imagen.filename && imagen.url && imagen.url.includes('/uploads/')) {
-                        // URL antigua de Koyeb - corregir a Supabase
-                        const nuevaURL = supabase.storage
-                            .from('imagenes-soporte')
-                            .getPublicUrl(imagen.filename).data.publicUrl;
-                            
-                        necesitaActualizacion = true;
-                        
-                        return {
-                            ...imagen,
-                            url: nuevaURL,
-                            url_anterior: imagen.url, // Guardar referencia
-                            corregida_el: new Date().toISOString()
-                        };
-                    }
-                    return imagen;
-                });
-                
-                // Actualizar solo si es necesario
-                if (necesitaActualizacion) {
-                    const { error: updateError } = await supabase
-                        .from('computadores')
-                        .update({ imagenes: imagenesCorregidas })
-                        .eq('id', computador.id);
-                        
-                    if (!updateError) {
-                        actualizados++;
-                        console.log(`✅ URLs corregidas para ${computador.equipo_id}: ${imagenesCorregidas.length} imágenes`);
-                    }
-                }
-            }
-        }
-        
-        console.log(`🎉 RECUPERACIÓN COMPLETADA: ${actualizados} equipos con URLs corregidas`);
-        return actualizados;
-        
-    } catch (error) {
-        console.error('❌ Error corrigiendo URLs:', error);
-        return 0;
-    }
-}
-
 // HEALTH CHECK
 app.get('/api/health', async (req, res) => {
     const health = {
         status: 'ok',
         timestamp: new Date().toISOString(),
         database: 'disconnected',
-        storage: 'hybrid',
+        database_driver: database.driver,
+        storage: storage.driver,
         uploadsDir: UPLOADS_DIR,
-        uptime: process.uptime(),
-        mode: 'supabase_storage + local_storage'
+        uptime: process.uptime()
     };
     
     try {
-        const { data, error } = await supabase.from('computadores').select('count', { count: 'exact' });
-        if (!error) {
+        try {
+            await computadoresRepo.ping();
             health.database = 'connected';
+        } catch (error) {
+            health.database_error = error.message;
         }
         
         health.uploadsExists = fs.existsSync(UPLOADS_DIR);
@@ -491,132 +548,547 @@ app.get('/api/health', async (req, res) => {
     res.json(health);
 });
 
-// OBTENER COMPUTADORES - CORREGIDO para manejar Supabase Storage + Local
-app.get('/api/computadores', checkDatabase, async (req, res) => {
+// Autenticación y administración de usuarios
+app.use('/api/auth', createAuthRouter({ usuariosRepo, checkDatabase }));
+app.use('/api/usuarios', createUsuariosRouter({ usuariosRepo, checkDatabase }));
+
+// Cambios en tiempo real (Server-Sent Events)
+app.use('/api/stream', createStreamRouter({ eventos }));
+
+// Webhooks salientes y su registro de entregas
+app.use('/api/webhooks', createWebhooksRouter({ webhooksRepo, webhooks, checkDatabase }));
+
+// Órdenes de trabajo: sus fotos usan el mismo pipeline y almacenamiento que las del equipo
+const fotosOrden = {
+    async guardar(req, equipoId, inicio) {
+        const archivos = await procesarImagenes(prepararArchivos(req, leerCuerpo(req)));
+        const guardadas = [];
+        for (const archivo of archivos) {
+            guardadas.push(await saveImage(archivo, equipoId, inicio + guardadas.length + 1));
+        }
+        return guardadas;
+    },
+    presentar: imagenes => presentarImagenes(imagenes)
+};
+app.use('/api/ordenes', createOrdenesRouter({
+    ordenesRepo,
+    computadoresRepo,
+    revisionesRepo,
+    usuariosRepo,
+    eventos,
+    fotos: fotosOrden,
+    checkDatabase
+}));
+
+// Intervalos de revisión y cambios de estado registrados por el programador
+app.use('/api/vencimientos', createVencimientosRouter({
+    vencimientosRepo,
+    programador: programadorRevisiones,
+    checkDatabase
+}));
+
+// Sedes y asignación de equipos por coordenadas
+app.use('/api/sedes', createSedesRouter({ sedesRepo, computadoresRepo, eventos, checkDatabase }));
+
+// Estadísticas agregadas en la base: resumen, agrupaciones y series
+app.use('/api/estadisticas', createEstadisticasRouter({ estadisticasRepo, checkDatabase }));
+
+// Sede y área de un equipo nuevo o modificado (ver resolverSede en lib/sedes.js)
+async function asignarSede(datos, actual) {
+    const { cambios, errores } = resolverSede(await sedesRepo.list(), datos, actual);
+    if (errores.length > 0) {
+        throw errorValidacion(errores);
+    }
+    return cambios;
+}
+
+// Versión que debe tener el equipo al escribir: con If-Match la leída por
+// el cliente (412 si ya cambió); sin el encabezado, undefined (sin condición)
+async function versionEsperada(req, actual) {
+    if (!cumpleIfMatch(req, actual)) {
+        throw await errorVersionComputador(actual.id);
+    }
+    return req.get('If-Match') ? actual.version : undefined;
+}
+
+// 412 con el registro vigente, o 404 si se borró mientras tanto
+async function errorVersionComputador(id) {
+    const vigente = await computadoresRepo.get(id);
+    if (!vigente) {
+        return httpError(404, 'NOT_FOUND', 'Registro no encontrado');
+    }
+    return errorVersion(vigente, await presentarComputador(vigente, { verificar: false }));
+}
+
+// Sincronización por lotes de clientes sin conexión; las imágenes llegan en base64
+const imagenesSync = {
+    procesar: async lista => (await procesarImagenes(prepararImagenesBase64(lista))).filter(Boolean),
+    guardar: saveImage,
+    borrar: deleteImage
+};
+app.use('/api/sync', createSyncRouter({
+    computadoresRepo,
+    revisionesRepo,
+    syncRepo,
+    eventos,
+    asignarSede,
+    imagenes: imagenesSync,
+    presentar: computador => presentarComputador(computador, { verificar: false }),
+    checkDatabase
+}));
+
+// Papelera de equipos eliminados y su purga
+app.use('/api/papelera', createPapeleraRouter({
+    computadoresRepo,
+    purga: purgaPapelera,
+    presentar: computador => presentarComputador(computador, { verificar: false }),
+    checkDatabase
+}));
+
+// Consistencia entre la base y los archivos de imágenes, y limpieza de huérfanos
+app.use('/api/almacenamiento', createAlmacenamientoRouter({
+    storage,
+    computadoresRepo,
+    revisionesRepo,
+    ordenesRepo,
+    checkDatabase
+}));
+
+// Prepara una imagen para el cliente: los clientes usan filename como URL
+// cuando es absoluta, así que las imágenes remotas la llevan ahí. Las
+// imágenes anteriores al pipeline no tienen miniatura y usan la original.
+// Con `verificar`, las locales que ya no están en disco se omiten.
+async function presentarImagen(imagen, { verificar = true } = {}) {
+    const driver = storage.forImage(imagen);
+    const thumbnail = imagen.variantes && imagen.variantes.thumb ? imagen.variantes.thumb.url : imagen.url;
+    if (driver.remote) {
+        return { ...imagen, filename: imagen.url, thumbnail };
+    }
+    // Para imágenes locales, verificar que existan
+    if (!verificar || await driver.exists(driver.keyOf(imagen))) {
+        return { ...imagen, thumbnail };
+    }
+    console.log(`Imagen local no encontrada: ${imagen.filename}`);
+    return null;
+}
+
+// Lista de imágenes para el cliente, con su posición (1..n) en `orden`
+async function presentarImagenes(imagenes) {
+    const presentadas = await Promise.all(imagenes.map(async (imagen, i) => {
+        const presentada = await presentarImagen(imagen);
+        return presentada && { ...presentada, orden: i + 1 };
+    }));
+    return presentadas.filter(img => img !== null);
+}
+
+// Revisiones copiadas antes de normalizar las imágenes antiguas pueden no
+// tener backend: se deduce igual que en normalizarImagenesAntiguas
+function conBackend(imagen) {
+    return imagen.backend ? imagen : { ...imagen, backend: storage.inferLegacyBackend(imagen) };
+}
+
+// Busca entre las imágenes guardadas la que un cliente devuelve en un PUT
+function buscarImagenGuardada(guardadas, imagen) {
+    return guardadas.find(guardada =>
+        (imagen.id && guardada.id === imagen.id) ||
+        guardada.filename === imagen.filename ||
+        (guardada.url && (guardada.url === imagen.filename || guardada.url === imagen.url))
+    );
+}
+
+// Computador con sus imágenes listas para el cliente
+async function presentarComputador(computador, opciones) {
+    if (!Array.isArray(computador.imagenes)) return computador;
+    
+    const imagenes = await Promise.all(computador.imagenes.map(imagen => presentarImagen(imagen, opciones)));
+    return {
+        ...computador,
+        imagenes: imagenes.filter(img => img !== null)
+    };
+}
+
+function leerFecha(valor, parametro, finDelDia = false) {
+    if (!valor) return undefined;
+    if (Number.isNaN(Date.parse(valor))) {
+        throw httpError(400, 'INVALID_QUERY', `Fecha no válida en ${parametro}`, 'Use formato ISO (AAAA-MM-DD)');
+    }
+    // Un _hasta con solo la fecha incluye todo ese día
+    return finDelDia && /^\d{4}-\d{2}-\d{2}$/.test(valor) ? `${valor}T23:59:59.999` : valor;
+}
+
+// Interpreta filtros, orden y paginación de GET /api/computadores
+function leerListado(query) {
+    const { estado, responsable, equipo_id, serial_number, revisor, q, sort, order, page, limit } = query;
+    
+    const filtros = { estado, responsable, equipo_id, serial_number, revisor };
+    if (q && q.trim()) filtros.q = q.trim();
+    if (query.sede_id !== undefined && query.sede_id !== '') {
+        filtros.sede_id = Number(query.sede_id);
+        if (!Number.isInteger(filtros.sede_id) || filtros.sede_id < 1) {
+            throw httpError(400, 'INVALID_QUERY', 'sede_id debe ser un entero positivo');
+        }
+    }
+    for (const campo of FILTROS_FECHA) {
+        filtros[`${campo}_desde`] = leerFecha(query[`${campo}_desde`], `${campo}_desde`);
+        filtros[`${campo}_hasta`] = leerFecha(query[`${campo}_hasta`], `${campo}_hasta`, true);
+    }
+    filtros.bbox = leerBbox(query.bbox);
+    
+    if (sort !== undefined && sort !== 'relevancia' && !SORT_COLUMNS.includes(sort)) {
+        throw httpError(400, 'INVALID_QUERY', `No se puede ordenar por ${sort}`,
+            `Use ${['relevancia', ...SORT_COLUMNS].join(', ')}`);
+    }
+    if (order !== undefined && order !== 'asc' && order !== 'desc') {
+        throw httpError(400, 'INVALID_QUERY', 'order debe ser asc o desc');
+    }
+    
+    // Sin page ni limit se devuelve la lista completa (clientes anteriores)
+    const paginado = page !== undefined || limit !== undefined;
+    const { pagina, tamano, offset } = leerPaginacion({ page, limit });
+    
+    return {
+        filtros,
+        paginado,
+        pagina,
+        tamano,
+        opciones: {
+            sort: sort === 'relevancia' ? undefined : sort,
+            order,
+            limit: paginado ? tamano : undefined,
+            offset: paginado ? offset : 0
+        }
+    };
+}
+
+// OBTENER COMPUTADORES
+// Filtros: estado, responsable, equipo_id, serial_number, revisor, sede_id, q
+// (búsqueda por relevancia), fecha_revision_desde/_hasta, fecha_actualizacion_desde/_hasta,
+// bbox=minLng,minLat,maxLng,maxLat (solo equipos con ubicación dentro).
+// Con page o limit responde { data, pagination }; sin ellos, el arreglo completo.
+// En ambos casos el total va en la cabecera X-Total-Count.
+app.get('/api/computadores', checkDatabase, autenticar, async (req, res) => {
     try {
         console.log('Obteniendo lista de computadores...');
-        const { estado, responsable, equipo_id, serial_number, revisor } = req.query;
-        
-        let query = supabase.from('computadores').select('*');
-        
-        if (estado) query = query.eq('estado', estado);
-        if (responsable) query = query.ilike('responsable', `%${responsable}%`);
-        if (equipo_id) query = query.ilike('equipo_id', `%${equipo_id}%`);
-        if (serial_number) query = query.ilike('serial_number', `%${serial_number}%`);
-        if (revisor) query = query.ilike('revisor', `%${revisor}%`);
-        
-        query = query.order('fecha_revision', { ascending: false });
-        
-        const { data, error } = await query;
-        if (error) throw error;
-        
-        // CORREGIDO: Procesar imágenes para compatibilidad híbrida
-        const computadoresConImagenes = data.map(computador => {
-            if (computador.imagenes && Array.isArray(computador.imagenes)) {
-                const imagenesProc = computador.imagenes.map(imagen => {
-                    // Si la imagen tiene URL de Supabase Storage, pasarla como filename
-                    if (imagen.url && imagen.url.includes('supabase.co')) {
-                        return {
-                            ...imagen,
-                            filename: imagen.url  // Pasar URL completa como filename
-                        };
-                    }
-                    
-                    // Para imágenes locales, verificar que existan
-                    if (imagen.filename && !imagen.filename.startsWith('http')) {
-                        const fullPath = path.join(UPLOADS_DIR, imagen.filename);
-                        if (fs.existsSync(fullPath)) {
-                            return imagen;
-                        } else {
-                            console.log(`Imagen local no encontrada: ${imagen.filename}`);
-                            return null;
-                        }
-                    }
-                    
-                    return imagen;
-                }).filter(img => img !== null);
-                
-                return {
-                    ...computador,
-                    imagenes: imagenesProc
-                };
+        const { filtros, paginado, pagina, tamano, opciones } = leerListado(req.query);
+        
+        const { rows, total } = await computadoresRepo.list(filtros, opciones);
+        
+        // En listados no se verifica en disco cada imagen local
+        const computadores = await Promise.all(rows.map(computador =>
+            presentarComputador(computador, { verificar: false })));
+        
+        console.log(`Se encontraron ${total} computadores (${computadores.length} en esta página)`);
+        
+        if (!paginado) {
+            res.set('X-Total-Count', String(total));
+            return res.json(computadores);
+        }
+        
+        responderPagina(res, computadores, total, { pagina, tamano });
+        
+    } catch (error) {
+        handleSupabaseError(error, res, 'obtener computadores');
+    }
+});
+
+// MAPA DE EQUIPOS EN GEOJSON (FeatureCollection de puntos)
+// Mismos filtros que el listado, incluido bbox; solo equipos con ubicación.
+// Propiedades: id, equipo_id, estado, responsable, cargo y fecha_revision.
+app.get('/api/computadores.geojson', checkDatabase, autenticar, async (req, res) => {
+    try {
+        const { filtros, opciones } = leerListado({ ...req.query, page: undefined, limit: undefined });
+        filtros.con_ubicacion = true;
+        
+        const features = [];
+        for await (const lote of computadoresRepo.iterate(filtros, opciones)) {
+            features.push(...lote.map(aFeature));
+        }
+        
+        console.log(`GeoJSON con ${features.length} equipos`);
+        res.set('X-Total-Count', String(features.length));
+        res.type('application/geo+json');
+        res.json({ type: 'FeatureCollection', features });
+        
+    } catch (error) {
+        handleSupabaseError(error, res, 'generar GeoJSON de computadores');
+    }
+});
+
+// REVISIONES VENCIDAS, agrupadas por responsable
+// Con incluir_por_vencer=true incluye las que vencen en REVISION_AVISO_DIAS.
+// Filtros opcionales: responsable y cargo (texto parcial). Va antes de
+// /api/computadores/:id para que "vencidos" no se lea como ID.
+app.get('/api/computadores/vencidos', checkDatabase, autenticar, async (req, res) => {
+    try {
+        const incluirPorVencer = ['true', '1'].includes(String(req.query.incluir_por_vencer));
+        const contiene = (valor, filtro) => !filtro || String(valor || '').toLowerCase().includes(String(filtro).toLowerCase());
+        
+        const [computadores, intervalos] = await Promise.all([
+            computadoresRepo.listParaRevision(),
+            vencimientosRepo.listIntervalos()
+        ]);
+        const pendientes = calcularVencimientos(computadores, intervalos)
+            .filter(c => c.estado_revision === 'vencido' || (incluirPorVencer && c.estado_revision === 'por_vencer'))
+            .filter(c => contiene(c.responsable, req.query.responsable) && contiene(c.cargo, req.query.cargo));
+        
+        res.set('X-Total-Count', String(pendientes.length));
+        res.json({
+            total: pendientes.length,
+            vencidos: pendientes.filter(c => c.estado_revision === 'vencido').length,
+            por_vencer: pendientes.filter(c => c.estado_revision === 'por_vencer').length,
+            fecha_calculo: new Date().toISOString(),
+            grupos: agruparPorResponsable(pendientes)
+        });
+        
+    } catch (error) {
+        handleSupabaseError(error, res, 'listar revisiones vencidas');
+    }
+});
+
+const CERCA_RADIO_DEFECTO_M = 1000;
+const CERCA_RADIO_MAX_M = parseInt(process.env.CERCA_RADIO_MAX_M, 10) || 100000;
+const PARAMETROS_CERCA = {
+    lat: { tipo: 'numero', requerido: true, min: -90, max: 90 },
+    lng: { tipo: 'numero', requerido: true, min: -180, max: 180 },
+    radio: { tipo: 'numero', min: 1, max: CERCA_RADIO_MAX_M },
+    limit: { tipo: 'entero', min: 1, max: MAX_PAGE_SIZE }
+};
+
+// EQUIPOS CERCANOS A UN PUNTO, del más cercano al más lejano
+// lat, lng (grados) y radio en metros (por defecto 1000). Admite los mismos
+// filtros que el listado salvo bbox; cada equipo lleva distancia_m.
+app.get('/api/computadores/cerca', checkDatabase, autenticar, async (req, res) => {
+    try {
+        const { lat, lng, radio, limit } = req.query;
+        const { valores, errores } = validar(PARAMETROS_CERCA, { lat, lng, radio, limit });
+        if (errores.length > 0) {
+            throw httpError(400, 'INVALID_QUERY', 'Parámetros no válidos',
+                errores.map(e => `${e.campo}: ${e.mensaje}`).join('; '));
+        }
+        const radioM = valores.radio || CERCA_RADIO_DEFECTO_M;
+        const limite = valores.limit || DEFAULT_PAGE_SIZE;
+        
+        // La base filtra por el rectángulo que contiene el círculo; la
+        // distancia exacta se calcula aquí
+        const { filtros, opciones } = leerListado({ ...req.query, bbox: undefined, page: undefined, limit: undefined });
+        filtros.bbox = cajaAlrededor(valores.lat, valores.lng, radioM);
+        
+        const cercanos = [];
+        for await (const lote of computadoresRepo.iterate(filtros, opciones)) {
+            for (const computador of lote) {
+                const distancia = distanciaMetros(valores.lat, valores.lng, Number(computador.latitud), Number(computador.longitud));
+                if (distancia <= radioM) {
+                    cercanos.push({ ...computador, distancia_m: Math.round(distancia) });
+                }
             }
-            return computador;
+        }
+        cercanos.sort((a, b) => a.distancia_m - b.distancia_m || a.id - b.id);
+        
+        const computadores = await Promise.all(cercanos.slice(0, limite).map(computador =>
+            presentarComputador(computador, { verificar: false })));
+        
+        console.log(`${cercanos.length} computadores a menos de ${radioM} m de (${valores.lat}, ${valores.lng})`);
+        res.set('X-Total-Count', String(cercanos.length));
+        res.json({
+            centro: { lat: valores.lat, lng: valores.lng },
+            radio_m: radioM,
+            total: cercanos.length,
+            data: computadores
         });
         
-        console.log(`Se encontraron ${computadoresConImagenes.length} computadores`);
-        res.json(computadoresConImagenes);
+    } catch (error) {
+        handleSupabaseError(error, res, 'buscar computadores cercanos');
+    }
+});
+
+const REPORT_MAX_EQUIPOS = parseInt(process.env.REPORT_MAX_EQUIPOS, 10) || 200;
+
+// Fotos del PDF: la variante medium basta para imprimir y pesa menos
+function leerImagenReporte(imagen) {
+    return storage.readImage(conBackend(imagen), 'medium');
+}
+
+// HOJAS DE VIDA EN PDF DE VARIOS EQUIPOS (mismos filtros que el listado)
+// Debe ir antes de /api/computadores/:id para que "reporte.pdf" no se lea como ID
+app.get('/api/computadores/reporte.pdf', checkDatabase, requireRol('supervisor'), async (req, res) => {
+    try {
+        const { filtros, opciones } = leerListado({ ...req.query, page: undefined, limit: undefined });
+        
+        const { total } = await computadoresRepo.list(filtros, { ...opciones, limit: 1 });
+        if (total > REPORT_MAX_EQUIPOS) {
+            return res.status(400).json({
+                error: 'Demasiados equipos para un solo reporte',
+                details: `Los filtros devuelven ${total} equipos; el máximo es ${REPORT_MAX_EQUIPOS}`,
+                code: 'REPORT_TOO_LARGE'
+            });
+        }
+        
+        console.log(`Generando reporte PDF de ${total} equipos...`);
+        await generarReporte(res, {
+            lotes: computadoresRepo.iterate(filtros, opciones, 50),
+            leerImagen: leerImagenReporte,
+            generadoPor: req.usuario.nombre,
+            nombreArchivo: `hojas-de-vida-${new Date().toISOString().slice(0, 10)}.pdf`
+        });
         
     } catch (error) {
-        handleSupabaseError(error, res, 'obtener computadores');
+        if (res.headersSent) {
+            console.error('Error generando el reporte PDF:', error);
+            return res.destroy(error);
+        }
+        handleSupabaseError(error, res, 'generar reporte');
+    }
+});
+
+// HOJA DE VIDA EN PDF DE UN EQUIPO
+app.get('/api/computadores/:id/reporte.pdf', checkDatabase, autenticar, async (req, res) => {
+    try {
+        const computador = await computadoresRepo.get(req.params.id);
+        
+        if (!computador) {
+            return res.status(404).json({ error: 'Registro no encontrado' });
+        }
+        
+        await generarReporte(res, {
+            lotes: [[computador]],
+            leerImagen: leerImagenReporte,
+            generadoPor: req.usuario.nombre,
+            nombreArchivo: `hoja-de-vida-${safeFolder(computador.equipo_id)}.pdf`
+        });
+        
+    } catch (error) {
+        if (res.headersSent) {
+            console.error('Error generando la hoja de vida:', error);
+            return res.destroy(error);
+        }
+        handleSupabaseError(error, res, 'generar hoja de vida');
+    }
+});
+
+// OBTENER UN COMPUTADOR
+app.get('/api/computadores/:id', checkDatabase, autenticar, async (req, res) => {
+    try {
+        const computador = await computadoresRepo.get(req.params.id);
+        
+        if (!computador) {
+            return res.status(404).json({ error: 'Registro no encontrado' });
+        }
+        
+        res.set('ETag', etagComputador(computador));
+        if (noModificado(req, computador)) {
+            return res.status(304).end();
+        }
+        res.json(await presentarComputador(computador));
+        
+    } catch (error) {
+        handleSupabaseError(error, res, 'obtener registro');
+    }
+});
+
+// ACTUALIZACIÓN PARCIAL (solo los campos enviados; sin imágenes)
+// Si cambia algún dato de la inspección se registra una revisión a nombre del
+// usuario autenticado; los demás cambios (p. ej. placa_ml) son correcciones.
+app.patch('/api/computadores/:id', checkDatabase, requireRol('tecnico'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const cambios = validarOFallar(ESQUEMAS.COMPUTADOR, req.body || {}, { parcial: true, estricto: true });
+        if (Object.keys(cambios).length === 0) {
+            return res.status(400).json({ error: 'No se enviaron campos para actualizar', code: 'NO_CHANGES' });
+        }
+        
+        const actual = await computadoresRepo.get(id);
+        if (!actual) {
+            return res.status(404).json({ error: 'Registro no encontrado' });
+        }
+        const version = await versionEsperada(req, actual);
+        if (['sede_id', 'area', 'latitud', 'longitud'].some(campo => campo in cambios)) {
+            Object.assign(cambios, await asignarSede(cambios, actual));
+        }
+        
+        const ahora = new Date().toISOString();
+        const esRevision = CAMPOS_REVISION.some(campo => campo in cambios && String(cambios[campo]) !== String(actual[campo]));
+        if (esRevision) {
+            cambios.revisor = req.usuario.nombre;
+            cambios.fecha_revision = ahora;
+        }
+        
+        const data = await computadoresRepo.update(id, { ...cambios, fecha_actualizacion: ahora }, { version });
+        if (!data) {
+            throw await errorVersionComputador(id);
+        }
+        if (esRevision) {
+            await revisionesRepo.create(data, req.usuario);
+        }
+        eventos.publicar('actualizado', data, req.usuario, actual);
+        
+        console.log(`Registro ID ${id} actualizado parcialmente: ${Object.keys(cambios).join(', ')}`);
+        
+        res.set('ETag', etagComputador(data));
+        res.json(await presentarComputador(data));
+        
+    } catch (error) {
+        handleSupabaseError(error, res, 'actualizar registro');
     }
 });
 
-// CREAR NUEVO COMPUTADOR
-app.post('/api/computadores', checkDatabase, async (req, res) => {
+// CREAR NUEVO COMPUTADOR (JSON o multipart/form-data con archivos en `imagenes`)
+app.post('/api/computadores', checkDatabase, requireRol('tecnico'), subirImagenes(), async (req, res) => {
     try {
         console.log('Creando nuevo registro...');
         
+        const body = leerCuerpo(req);
+        const { imagenes } = body;
         const {
             equipo_id, serial_number, placa_ml, latitud, longitud,
             direccion_automatica, ubicacion_manual, responsable, cargo,
-            estado, windows_update, observaciones, problemas_detectados,
-            revisor, imagenes
-        } = req.body;
-        
-        if (!equipo_id || !serial_number || !responsable || !cargo || !estado || !windows_update) {
-            return res.status(400).json({
-                error: 'Campos requeridos faltantes',
-                required: ['equipo_id', 'serial_number', 'responsable', 'cargo', 'estado', 'windows_update']
-            });
+            estado, windows_update, observaciones, problemas_detectados, sede_id, area
+        } = validarOFallar(ESQUEMAS.COMPUTADOR, body);
+        // El revisor es siempre el usuario autenticado, no un campo del cliente
+        const revisor = req.usuario.nombre;
+        const sede = await asignarSede({ sede_id, area, latitud, longitud });
+        
+        // Un equipo en la papelera conserva su equipo_id hasta que se purga
+        const [enPapelera] = (await computadoresRepo.findByEquipoIds([equipo_id])).filter(c => c.eliminado_en);
+        if (enPapelera) {
+            throw errorValidacion([errorCampo('equipo_id', 'unico',
+                `El equipo está en la papelera; restáurelo con POST /api/computadores/${enPapelera.id}/restaurar`)]);
         }
         
-        // Procesar imágenes localmente (nuevas imágenes se guardan en local)
+        // Validar todas las imágenes antes de guardar ninguna
+        const nuevas = await procesarImagenes([
+            ...(Array.isArray(imagenes) ? prepararImagenesBase64(imagenes) : []),
+            ...prepararArchivos(req, body)
+        ].filter(Boolean));
+        
         let imagenesGuardadas = [];
-        if (imagenes && Array.isArray(imagenes)) {
-            console.log(`Procesando ${imagenes.length} imágenes localmente...`);
+        if (nuevas.length > 0) {
+            console.log(`Procesando ${nuevas.length} imágenes (${storage.driver})...`);
             
-            for (let i = 0; i < imagenes.length; i++) {
-                const imagen = imagenes[i];
-                if (imagen.base64) {
-                    const resultado = saveImageLocally(imagen.base64, equipo_id, i + 1);
-                    
-                    if (resultado) {
-                        imagenesGuardadas.push({
-                            title: imagen.title || `Imagen ${i + 1}`,
-                            filename: resultado.filename,
-                            url: resultado.url,
-                            size: resultado.size,
-                            fecha_subida: new Date().toISOString()
-                        });
-                        console.log(`Imagen ${i + 1} guardada: ${resultado.filename}`);
-                    }
-                }
+            for (let i = 0; i < nuevas.length; i++) {
+                imagenesGuardadas.push(await saveImage(nuevas[i], equipo_id, i + 1));
             }
         }
         
-        const { data, error } = await supabase
-            .from('computadores')
-            .insert([{
-                equipo_id, serial_number, placa_ml, latitud, longitud,
-                direccion_automatica, ubicacion_manual, responsable, cargo,
-                estado, windows_update,
-                imagenes: imagenesGuardadas,
-                observaciones, problemas_detectados, revisor
-            }])
-            .select()
-            .single();
-            
-        if (error) throw error;
+        const data = await computadoresRepo.create({
+            equipo_id, serial_number, placa_ml, latitud, longitud,
+            direccion_automatica, ubicacion_manual, responsable, cargo,
+            estado, windows_update,
+            imagenes: imagenesGuardadas,
+            observaciones, problemas_detectados, revisor,
+            area, ...sede
+        });
+        await revisionesRepo.create(data, req.usuario);
+        eventos.publicar('creado', data, req.usuario);
         
-        console.log(`Registro creado con ID: ${data.id} y ${imagenesGuardadas.length} imágenes locales`);
+        console.log(`Registro creado con ID: ${data.id} y ${imagenesGuardadas.length} imágenes`);
         
+        res.set('ETag', etagComputador(data));
         res.status(201).json({
             id: data.id,
             equipo_id: data.equipo_id,
             serial_number: data.serial_number,
             imagenes_guardadas: imagenesGuardadas.length,
-            message: 'Registro creado exitosamente con almacenamiento local'
+            message: 'Registro creado exitosamente'
         });
         
     } catch (error) {
@@ -624,18 +1096,69 @@ app.post('/api/computadores', checkDatabase, async (req, res) => {
     }
 });
 
-// ACTUALIZAR COMPUTADOR
-app.put('/api/computadores/:id', checkDatabase, async (req, res) => {
+// IMPORTACIÓN MASIVA DESDE CSV/XLSX (multipart, campo `archivo`)
+// Con dry_run=true solo valida y describe lo que haría. Sin dry_run, si
+// alguna fila tiene errores responde 422 y no escribe nada.
+app.post('/api/computadores/importar', checkDatabase, requireRol('supervisor'), subirHoja(), async (req, res) => {
+    try {
+        const dryRun = ['true', '1'].includes(String(req.query.dry_run || req.body.dry_run));
+        console.log(`Importando ${req.file.originalname} (${req.file.formato}${dryRun ? ', simulación' : ''})...`);
+        
+        const resultado = await importarComputadores({
+            computadoresRepo,
+            revisionesRepo,
+            buffer: req.file.buffer,
+            formato: req.file.formato,
+            usuario: req.usuario,
+            dryRun,
+            eventos,
+            sedesRepo
+        });
+        
+        const { resumen } = resultado;
+        console.log(`Importación: ${resumen.crear} nuevos, ${resumen.actualizar} actualizados, ` +
+            `${resumen.sin_cambios} sin cambios, ${resumen.con_errores} con errores`);
+        
+        const status = !dryRun && resumen.con_errores > 0 ? 422 : resultado.aplicado && resumen.crear > 0 ? 201 : 200;
+        res.status(status).json(resultado);
+        
+    } catch (error) {
+        handleSupabaseError(error, res, 'importar computadores');
+    }
+});
+
+// ACTUALIZAR COMPUTADOR (registra una nueva revisión en el historial)
+// `imagenes` (o `imagenes_existentes` en multipart) solo ordena las imágenes
+// existentes y agrega nuevas; las omitidas se conservan al final. Para quitar
+// una imagen se usa DELETE /api/computadores/:id/imagenes/:imageId.
+app.put('/api/computadores/:id', checkDatabase, requireRol('tecnico'), subirImagenes(), async (req, res) => {
     try {
         const { id } = req.params;
         console.log(`Actualizando registro ID: ${id}`);
         
+        const body = leerCuerpo(req);
         const {
             equipo_id, serial_number, placa_ml, latitud, longitud,
             direccion_automatica, ubicacion_manual, responsable, cargo,
-            estado, windows_update, observaciones, problemas_detectados,
-            revisor, imagenes
-        } = req.body;
+            estado, windows_update, observaciones, problemas_detectados, sede_id, area
+        } = validarOFallar(ESQUEMAS.COMPUTADOR, body);
+        const revisor = req.usuario.nombre;
+        
+        const actual = await computadoresRepo.get(id, 'id, version, equipo_id, estado, imagenes, latitud, longitud, sede_id, sede_manual');
+        
+        if (!actual) {
+            return res.status(404).json({ error: 'Registro no encontrado' });
+        }
+        const version = await versionEsperada(req, actual);
+        const sede = await asignarSede({ sede_id, area, latitud, longitud }, actual);
+        
+        const imagenesActuales = Array.isArray(actual.imagenes) ? actual.imagenes : [];
+        const imagenes = req.is('multipart/form-data') ? body.imagenes_existentes : body.imagenes;
+        const carpeta = equipo_id || actual.equipo_id;
+        
+        // Validar todas las imágenes antes de guardar ninguna
+        const base64 = await procesarImagenes(Array.isArray(imagenes) ? prepararImagenesBase64(imagenes) : []);
+        const archivos = await procesarImagenes(prepararArchivos(req, body));
         
         // Procesar imágenes (nuevas y existentes)
         let imagenesFinales = [];
@@ -645,71 +1168,59 @@ app.put('/api/computadores/:id', checkDatabase, async (req, res) => {
             for (let i = 0; i < imagenes.length; i++) {
                 const imagen = imagenes[i];
                 
-                if (imagen.base64 && imagen.base64.startsWith('data:image')) {
-                    // Nueva imagen - guardar localmente
-                    const resultado = saveImageLocally(imagen.base64, `${equipo_id}-update`, i + 1);
-                    
-                    if (resultado) {
-                        imagenesFinales.push({
-                            title: imagen.title || `Imagen ${i + 1}`,
-                            filename: resultado.filename,
-                            url: resultado.url,
-                            size: resultado.size,
-                            fecha_subida: new Date().toISOString()
-                        });
-                    }
+                if (base64[i]) {
+                    // Nueva imagen - guardar en el backend configurado
+                    imagenesFinales.push(await saveImage(base64[i], carpeta, i + 1));
                 } else if (imagen.filename) {
-                    // Imagen existente - puede ser Supabase Storage o local
-                    if (imagen.filename.startsWith('http')) {
-                        // URL de Supabase Storage - mantener tal como está
+                    // Imagen existente - se conserva tal como está guardada
+                    const guardada = buscarImagenGuardada(imagenesActuales, imagen);
+                    if (guardada && !imagenesFinales.some(img => img.id === guardada.id)) {
                         imagenesFinales.push({
-                            title: imagen.title || `Imagen ${i + 1}`,
-                            filename: imagen.filename,  // URL completa
-                            url: imagen.filename,       // URL completa
-                            size: imagen.size || 0,
-                            fecha_subida: imagen.fecha_subida || new Date().toISOString()
+                            ...guardada,
+                            title: imagen.title || guardada.title || `Imagen ${i + 1}`
                         });
                     } else {
-                        // Imagen local - verificar que existe
-                        const fullPath = path.join(UPLOADS_DIR, imagen.filename);
-                        if (fs.existsSync(fullPath)) {
-                            imagenesFinales.push({
-                                title: imagen.title || `Imagen ${i + 1}`,
-                                filename: imagen.filename,
-                                url: imagen.url,
-                                size: imagen.size || 0,
-                                fecha_subida: imagen.fecha_subida || new Date().toISOString()
-                            });
-                        }
+                        console.log(`Imagen desconocida ignorada: ${imagen.filename}`);
                     }
                 }
             }
         }
         
-        const { data, error } = await supabase
-            .from('computadores')
-            .update({
-                equipo_id, serial_number, placa_ml, latitud, longitud,
-                direccion_automatica, ubicacion_manual, responsable, cargo,
-                estado, windows_update,
-                imagenes: imagenesFinales,
-                observaciones, problemas_detectados, revisor,
-                fecha_actualizacion: new Date().toISOString()
-            })
-            .eq('id', id)
-            .select();
-            
-        if (error) throw error;
+        // Las imágenes existentes que el cliente no envió no se pierden
+        const omitidas = imagenesActuales.filter(guardada => !imagenesFinales.some(img => img.id === guardada.id));
+        if (omitidas.length > 0) {
+            console.log(`Conservando ${omitidas.length} imágenes no incluidas en la petición`);
+            imagenesFinales.push(...omitidas);
+        }
         
-        if (!data || data.length === 0) {
-            return res.status(404).json({ error: 'Registro no encontrado' });
+        for (const archivo of archivos) {
+            imagenesFinales.push(await saveImage(archivo, carpeta, imagenesFinales.length + 1));
+        }
+        
+        const data = await computadoresRepo.update(id, {
+            equipo_id, serial_number, placa_ml, latitud, longitud,
+            direccion_automatica, ubicacion_manual, responsable, cargo,
+            estado, windows_update,
+            imagenes: imagenesFinales,
+            observaciones, problemas_detectados, revisor,
+            area, ...sede,
+            fecha_revision: new Date().toISOString(),
+            fecha_actualizacion: new Date().toISOString()
+        }, { version });
+        
+        if (!data) {
+            throw await errorVersionComputador(id);
         }
+        await revisionesRepo.create(data, req.usuario);
+        eventos.publicar('actualizado', data, req.usuario, actual);
         
         console.log(`Registro ID ${id} actualizado con ${imagenesFinales.length} imágenes`);
         
+        res.set('ETag', etagComputador(data));
         res.json({
             message: 'Registro actualizado exitosamente',
-            imagenes_guardadas: imagenesFinales.length
+            imagenes_guardadas: imagenesFinales.length,
+            version: data.version
         });
         
     } catch (error) {
@@ -717,43 +1228,232 @@ app.put('/api/computadores/:id', checkDatabase, async (req, res) => {
     }
 });
 
-// ELIMINAR COMPUTADOR
-app.delete('/api/computadores/:id', checkDatabase, async (req, res) => {
+// Carga un computador con sus imágenes; null si no existe
+async function obtenerImagenesComputador(id) {
+    const data = await computadoresRepo.get(id, 'id, version, equipo_id, imagenes');
+    if (!data) return null;
+    
+    return {
+        ...data,
+        imagenes: Array.isArray(data.imagenes) ? data.imagenes : []
+    };
+}
+
+// Con `version` (If-Match) falla con 412 si el equipo cambió desde que se leyó
+async function guardarImagenesComputador(id, imagenes, usuario, version) {
+    const data = await computadoresRepo.update(id, {
+        imagenes,
+        fecha_actualizacion: new Date().toISOString()
+    }, { version });
+    if (!data) {
+        throw await errorVersionComputador(id);
+    }
+    eventos.publicar('actualizado', data, usuario);
+    return data;
+}
+
+// LISTAR IMÁGENES DE UN COMPUTADOR
+app.get('/api/computadores/:id/imagenes', checkDatabase, autenticar, async (req, res) => {
+    try {
+        const computador = await obtenerImagenesComputador(req.params.id);
+        
+        if (!computador) {
+            return res.status(404).json({ error: 'Registro no encontrado' });
+        }
+        
+        res.json(await presentarImagenes(computador.imagenes));
+        
+    } catch (error) {
+        handleSupabaseError(error, res, 'listar imágenes');
+    }
+});
+
+// SUBIR IMÁGENES A UN COMPUTADOR EXISTENTE (multipart, campo `imagenes`)
+app.post('/api/computadores/:id/imagenes', checkDatabase, requireRol('tecnico'), subirImagenes(), async (req, res) => {
     try {
         const { id } = req.params;
-        console.log(`Eliminando registro ID: ${id}`);
+        const body = leerCuerpo(req);
+        const archivos = prepararArchivos(req, body);
         
-        const { data: computador } = await supabase
-            .from('computadores')
-            .select('imagenes')
-            .eq('id', id)
-            .single();
-        
-        const { data, error } = await supabase
-            .from('computadores')
-            .delete()
-            .eq('id', id)
-            .select();
-            
-        if (error) throw error;
+        if (archivos.length === 0) {
+            return res.status(400).json({
+                error: 'No se recibieron imágenes',
+                details: 'Envíe los archivos como multipart/form-data en el campo "imagenes"'
+            });
+        }
+        
+        const computador = await obtenerImagenesComputador(id);
         
-        if (!data || data.length === 0) {
+        if (!computador) {
             return res.status(404).json({ error: 'Registro no encontrado' });
         }
+        const version = await versionEsperada(req, computador);
         
-        // Eliminar solo imágenes locales (no las de Supabase Storage)
-        if (computador && computador.imagenes && Array.isArray(computador.imagenes)) {
-            for (const imagen of computador.imagenes) {
-                if (imagen.filename) {
-                    deleteImageLocally(imagen.filename);
-                }
-            }
+        await procesarImagenes(archivos);
+        const nuevas = [];
+        for (const archivo of archivos) {
+            nuevas.push(await saveImage(archivo, computador.equipo_id, computador.imagenes.length + nuevas.length + 1));
+        }
+        
+        const imagenes = [...computador.imagenes, ...nuevas];
+        await guardarImagenesComputador(id, imagenes, req.usuario, version);
+        
+        console.log(`${nuevas.length} imágenes agregadas al registro ID ${id}`);
+        
+        const presentadas = await presentarImagenes(imagenes);
+        res.status(201).json({
+            message: 'Imágenes agregadas exitosamente',
+            imagenes: presentadas.filter(img => nuevas.some(nueva => nueva.id === img.id)),
+            total_imagenes: imagenes.length
+        });
+        
+    } catch (error) {
+        handleSupabaseError(error, res, 'subir imágenes');
+    }
+});
+
+// ACTUALIZAR METADATOS DE UNA IMAGEN (title, tag, descripcion, orden)
+app.patch('/api/computadores/:id/imagenes/:imageId', checkDatabase, requireRol('tecnico'), async (req, res) => {
+    try {
+        const { id, imageId } = req.params;
+        const { title, tag, descripcion, orden } = validarOFallar(ESQUEMAS.IMAGEN, req.body || {}, { parcial: true, estricto: true });
+        
+        const computador = await obtenerImagenesComputador(id);
+        
+        if (!computador) {
+            return res.status(404).json({ error: 'Registro no encontrado' });
+        }
+        
+        const posicion = computador.imagenes.findIndex(img => img.id === imageId);
+        if (posicion === -1) {
+            return res.status(404).json({ error: 'Imagen no encontrada' });
+        }
+        const version = await versionEsperada(req, computador);
+        
+        if (orden !== undefined && (orden === null || orden > computador.imagenes.length)) {
+            throw errorValidacion([
+                errorCampo('orden', 'rango', `Debe ser un entero entre 1 y ${computador.imagenes.length}`)
+            ]);
+        }
+        
+        const imagen = { ...computador.imagenes[posicion] };
+        if (title !== undefined) imagen.title = title;
+        if (tag !== undefined) imagen.tag = tag;
+        if (descripcion !== undefined) imagen.descripcion = descripcion;
+        
+        const imagenes = computador.imagenes.filter(img => img.id !== imageId);
+        imagenes.splice(orden !== undefined ? orden - 1 : posicion, 0, imagen);
+        
+        await guardarImagenesComputador(id, imagenes, req.usuario, version);
+        
+        console.log(`Imagen ${imageId} del registro ID ${id} actualizada`);
+        
+        const presentadas = await presentarImagenes(imagenes);
+        res.json(presentadas.find(img => img.id === imageId) || imagen);
+        
+    } catch (error) {
+        handleSupabaseError(error, res, 'actualizar imagen');
+    }
+});
+
+// HISTORIAL DE REVISIONES (de la más reciente a la más antigua, con cambios)
+app.get('/api/computadores/:id/historial', checkDatabase, autenticar, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const computador = await computadoresRepo.get(id, 'id, equipo_id');
+        
+        if (!computador) {
+            return res.status(404).json({ error: 'Registro no encontrado' });
+        }
+        
+        const revisiones = await revisionesRepo.listByComputador(id);
+        const historial = [];
+        for (const revision of construirHistorial(revisiones)) {
+            historial.push({ ...revision, imagenes: await presentarImagenes(revision.imagenes.map(conBackend)) });
+        }
+        
+        res.json({
+            computador_id: computador.id,
+            equipo_id: computador.equipo_id,
+            total_revisiones: historial.length,
+            revisiones: historial
+        });
+        
+    } catch (error) {
+        handleSupabaseError(error, res, 'obtener historial');
+    }
+});
+
+// ELIMINAR UNA IMAGEN (registro y archivo)
+// El archivo se conserva si alguna revisión del historial lo referencia.
+app.delete('/api/computadores/:id/imagenes/:imageId', checkDatabase, requireRol('administrador'), async (req, res) => {
+    try {
+        const { id, imageId } = req.params;
+        
+        const computador = await obtenerImagenesComputador(id);
+        
+        if (!computador) {
+            return res.status(404).json({ error: 'Registro no encontrado' });
+        }
+        
+        const imagen = computador.imagenes.find(img => img.id === imageId);
+        if (!imagen) {
+            return res.status(404).json({ error: 'Imagen no encontrada' });
+        }
+        const version = await versionEsperada(req, computador);
+        
+        await guardarImagenesComputador(id, computador.imagenes.filter(img => img.id !== imageId), req.usuario, version);
+        
+        const enHistorial = (await revisionesRepo.imagenesDe(id)).some(img => img.id === imageId);
+        const archivoEliminado = enHistorial ? false : await deleteImage(imagen);
+        
+        console.log(`Imagen ${imageId} eliminada del registro ID ${id}${enHistorial ? ' (archivo conservado en el historial)' : ''}`);
+        
+        res.json({
+            message: 'Imagen eliminada exitosamente',
+            archivo_eliminado: archivoEliminado,
+            conservada_en_historial: enHistorial
+        });
+        
+    } catch (error) {
+        handleSupabaseError(error, res, 'eliminar imagen');
+    }
+});
+
+// ELIMINAR COMPUTADOR (lo pasa a la papelera)
+// Se guarda quién, cuándo y el motivo (cuerpo JSON o ?motivo=). Los datos
+// y las imágenes se conservan hasta que la purga lo borra definitivamente.
+app.delete('/api/computadores/:id', checkDatabase, requireRol('administrador'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { motivo } = validarOFallar(ESQUEMAS.ELIMINACION, {
+            motivo: req.body && req.body.motivo !== undefined ? req.body.motivo : req.query.motivo
+        });
+        console.log(`Eliminando registro ID: ${id}`);
+        
+        const actual = await computadoresRepo.get(id, 'id, version');
+        if (!actual) {
+            return res.status(404).json({ error: 'Registro no encontrado' });
         }
+        const version = await versionEsperada(req, actual);
+        
+        const computador = await computadoresRepo.moverAPapelera(id, {
+            eliminado_por: req.usuario.id,
+            eliminado_por_nombre: req.usuario.nombre,
+            motivo_eliminacion: motivo || null
+        }, { version });
         
-        console.log(`Registro ID ${id} eliminado exitosamente`);
+        if (!computador) {
+            throw await errorVersionComputador(id);
+        }
+        eventos.publicar('eliminado', computador, req.usuario);
+        
+        console.log(`Registro ID ${id} movido a la papelera por ${req.usuario.email}`);
         
         res.json({ 
-            message: 'Registro eliminado exitosamente'
+            message: 'Registro movido a la papelera',
+            eliminado_en: computador.eliminado_en,
+            purga_en: fechaPurga(computador.eliminado_en, purgaPapelera.retencionDias)
         });
         
     } catch (error) {
@@ -761,108 +1461,67 @@ app.delete('/api/computadores/:id', checkDatabase, async (req, res) => {
     }
 });
 
-// ESTADÍSTICAS
-app.get('/api/estadisticas', checkDatabase, async (req, res) => {
+// RESTAURAR COMPUTADOR DESDE LA PAPELERA
+app.post('/api/computadores/:id/restaurar', checkDatabase, requireRol('administrador'), async (req, res) => {
     try {
-        console.log('Generando estadísticas...');
+        const { id } = req.params;
+        const data = await computadoresRepo.restaurar(id);
         
-        const { data: computadores, error } = await supabase
-            .from('computadores')
-            .select('estado, windows_update, imagenes, problemas_detectados, latitud, longitud, fecha_revision');
-            
-        if (error) throw error;
-        
-        const total = computadores.length;
-        const operativos = computadores.filter(c => c.estado === 'operativo').length;
-        const mantenimiento = computadores.filter(c => c.estado === 'mantenimiento').length;
-        const dañados = computadores.filter(c => c.estado === 'dañado').length;
-        const windowsSi = computadores.filter(c => c.windows_update === 'si').length;
-        const windowsNo = computadores.filter(c => c.windows_update === 'no').length;
-        
-        const hoy = new Date().toDateString();
-        const revisionesHoy = computadores.filter(c => 
-            new Date(c.fecha_revision).toDateString() === hoy
-        ).length;
-        
-        const conProblemas = computadores.filter(c => 
-            c.problemas_detectados && c.problemas_detectados.trim() !== ''
-        ).length;
-        
-        const conUbicacion = computadores.filter(c => 
-            c.latitud && c.longitud
-        ).length;
-        
-        const conImagenes = computadores.filter(c => 
-            c.imagenes && Array.isArray(c.imagenes) && c.imagenes.length > 0
-        ).length;
-        
-        const totalImagenes = computadores.reduce((sum, c) => 
-            sum + (c.imagenes && Array.isArray(c.imagenes) ? c.imagenes.length : 0), 0
-        );
-        
-        const stats = {
-            total,
-            operativos,
-            mantenimiento,
-            dañados,
-            windows_si: windowsSi,
-            windows_no: windowsNo,
-            revisiones_hoy: revisionesHoy,
-            con_problemas: conProblemas,
-            con_ubicacion: conUbicacion,
-            con_imagenes: conImagenes,
-            total_imagenes: totalImagenes,
-            totalEquipos: total,
-            windowsActualizados: windowsSi
-        };
+        if (!data) {
+            if (await computadoresRepo.get(id, 'id')) {
+                throw httpError(409, 'NOT_IN_TRASH', 'El registro no está en la papelera');
+            }
+            return res.status(404).json({ error: 'Registro no encontrado' });
+        }
+        eventos.publicar('restaurado', data, req.usuario);
+        
+        console.log(`Registro ID ${id} restaurado de la papelera por ${req.usuario.email}`);
         
-        console.log('Estadísticas generadas:', stats);
-        res.json(stats);
+        res.set('ETag', etagComputador(data));
+        res.json(await presentarComputador(data));
         
     } catch (error) {
-        handleSupabaseError(error, res, 'obtener estadísticas');
+        handleSupabaseError(error, res, 'restaurar registro');
     }
 });
 
-// EXPORTAR PARA EXCEL
-app.get('/api/export/excel', checkDatabase, async (req, res) => {
+// EXPORTAR A EXCEL (format=xlsx, por defecto) O CSV (format=csv)
+// Acepta los mismos filtros y orden que GET /api/computadores; los registros
+// se leen por lotes y se escriben a la respuesta a medida que llegan.
+app.get('/api/export/excel', checkDatabase, requireRol('supervisor'), async (req, res) => {
     try {
-        console.log('Exportando datos para Excel...');
+        const { format = 'xlsx' } = req.query;
+        if (format !== 'xlsx' && format !== 'csv') {
+            return res.status(400).json({ error: 'Formato no válido', details: 'Use format=xlsx o format=csv' });
+        }
         
-        const { data: computadores, error } = await supabase
-            .from('computadores')
-            .select('*')
-            .order('fecha_revision', { ascending: false });
-            
-        if (error) throw error;
+        const { filtros, opciones } = leerListado({ ...req.query, page: undefined, limit: undefined });
+        const zona = leerZona(req.query.zona);
+        console.log(`Exportando datos (${format})...`);
         
-        const excelData = computadores.map(row => {
-            const imagenesInfo = row.imagenes && Array.isArray(row.imagenes) ? 
-                row.imagenes.map(img => img.title).join('; ') : 'Sin imágenes';
-            
-            return {
-                'ID EQUIPO': row.equipo_id,
-                'SERIAL': row.serial_number,
-                'PLACA/ML': row.placa_ml || 'NO ASIGNADO',
-                'RESPONSABLE': row.responsable,
-                'CARGO': row.cargo,
-                'ESTADO': row.estado.toUpperCase(),
-                'WINDOWS UPDATE': row.windows_update === 'si' ? 'SÍ' : 'NO',
-                'UBICACIÓN': row.direccion_automatica || row.ubicacion_manual || 'NO ESPECIFICADA',
-                'PROBLEMAS': row.problemas_detectados || 'NINGUNO',
-                'OBSERVACIONES': row.observaciones || 'SIN OBSERVACIONES',
-                'REVISOR': row.revisor || 'NO ESPECIFICADO',
-                'FECHA REVISIÓN': new Date(row.fecha_revision).toLocaleDateString('es-ES'),
-                'HORA REVISIÓN': new Date(row.fecha_revision).toLocaleTimeString('es-ES'),
-                'CANTIDAD IMÁGENES': row.imagenes ? row.imagenes.length : 0,
-                'DESCRIPCIÓN IMÁGENES': imagenesInfo
-            };
+        const sedes = new Map((await sedesRepo.list()).map(sede => [sede.id, sede.nombre]));
+        async function* conSede(lotes) {
+            for await (const lote of lotes) {
+                yield lote.map(row => ({ ...row, sede: sedes.get(row.sede_id) || null }));
+            }
+        }
+        
+        const exportar = format === 'csv' ? exportarCsv : exportarXlsx;
+        const exportados = await exportar(res, {
+            lotes: conSede(computadoresRepo.iterate(filtros, opciones)),
+            obtenerResumen: () => estadisticasRepo.resumen(zona),
+            // Detrás de un proxy req.protocol puede no ser el público
+            baseUrl: process.env.PUBLIC_URL || `${req.protocol}://${req.get('host')}`
         });
         
-        console.log(`Datos preparados para exportar: ${excelData.length} registros`);
-        res.json(excelData);
+        console.log(`Exportación ${format} completada: ${exportados} registros`);
         
     } catch (error) {
+        if (res.headersSent) {
+            // El archivo ya se está enviando: solo se puede cortar la descarga
+            console.error('Error durante la exportación:', error);
+            return res.destroy(error);
+        }
         handleSupabaseError(error, res, 'exportar datos');
     }
 });
@@ -870,24 +1529,37 @@ app.get('/api/export/excel', checkDatabase, async (req, res) => {
 // RUTA PRINCIPAL
 app.get('/', (req, res) => {
     res.json({
-        message: 'API de soporte técnico con almacenamiento híbrido funcionando',
+        message: 'API de soporte técnico funcionando',
         features: [
-            'Base de datos: Supabase PostgreSQL',
-            'Almacenamiento: Híbrido (Supabase Storage + Local)',
-            'Imágenes existentes: Supabase Storage',
-            'Imágenes nuevas: Servidor local'
+            `Base de datos: ${database.driver === 'supabase' ? 'Supabase PostgreSQL' : 'PostgreSQL directo'}`,
+            `Almacenamiento de imágenes nuevas: ${storage.driver}`,
+            'Cada imagen registra su backend (local, supabase o s3)'
         ],
         endpoints: {
             health: '/api/health',
+            login: '/api/auth/login',
+            usuarios: '/api/usuarios',
             computadores: '/api/computadores',
             estadisticas: '/api/estadisticas',
             export: '/api/export/excel',
+            stream: '/api/stream',
+            webhooks: '/api/webhooks',
+            ordenes: '/api/ordenes',
+            vencidos: '/api/computadores/vencidos',
+            cerca: '/api/computadores/cerca?lat=&lng=&radio=',
+            geojson: '/api/computadores.geojson',
+            vencimientos: '/api/vencimientos',
+            sedes: '/api/sedes',
+            sync: '/api/sync',
+            papelera: '/api/papelera',
             uploads: '/uploads',
             fix_imagenes: '/api/fix-imagenes',
-            imagenes_status: '/api/imagenes-status'
+            imagenes_status: '/api/imagenes-status',
+            almacenamiento: '/api/almacenamiento/verificacion'
         },
         storage: {
-            type: 'hybrid',
+            type: storage.driver,
+            backends: storage.backends,
             directory: UPLOADS_DIR,
             url: '/uploads'
         }
@@ -901,7 +1573,7 @@ app.use((err, req, res, next) => {
         error: 'Error interno del servidor',
         details: err.message,
         timestamp: new Date().toISOString(),
-        service: 'hybrid_storage'
+        service: `storage_${storage.driver}`
     });
 });
 
@@ -914,13 +1586,64 @@ app.use('*', (req, res) => {
         method: req.method,
         availableEndpoints: [
             'GET /api/health',
+            'POST /api/auth/login',
+            'GET /api/auth/me',
+            'GET /api/usuarios',
+            'POST /api/usuarios',
+            'PATCH /api/usuarios/:id',
             'GET /api/computadores',
             'POST /api/computadores',
+            'POST /api/computadores/importar',
+            'GET /api/computadores/vencidos',
+            'GET /api/computadores/cerca?lat=&lng=&radio=',
+            'GET /api/computadores.geojson',
+            'GET /api/computadores/:id',
+            'GET /api/computadores/:id/reporte.pdf',
+            'GET /api/computadores/reporte.pdf',
             'PUT /api/computadores/:id',
+            'PATCH /api/computadores/:id',
             'DELETE /api/computadores/:id',
+            'POST /api/computadores/:id/restaurar',
+            'GET /api/computadores/:id/historial',
+            'GET /api/computadores/:id/imagenes',
+            'POST /api/computadores/:id/imagenes',
+            'PATCH /api/computadores/:id/imagenes/:imageId',
+            'DELETE /api/computadores/:id/imagenes/:imageId',
             'GET /api/estadisticas',
+            'GET /api/estadisticas/agrupadas?por=estado|revisor|cargo|sede|ubicacion',
+            'GET /api/estadisticas/series?intervalo=dia|semana|mes',
+            'GET /api/export/excel?format=xlsx|csv',
+            'GET /api/stream',
+            'GET /api/ordenes',
+            'POST /api/ordenes',
+            'GET /api/ordenes/:id',
+            'PATCH /api/ordenes/:id',
+            'POST /api/ordenes/:id/comentarios',
+            'POST /api/ordenes/:id/imagenes',
+            'GET /api/vencimientos/intervalos',
+            'PUT /api/vencimientos/intervalos',
+            'GET /api/vencimientos/transiciones',
+            'POST /api/vencimientos/ejecutar',
+            'GET /api/sedes',
+            'POST /api/sedes',
+            'GET /api/sedes/:id',
+            'PATCH /api/sedes/:id',
+            'DELETE /api/sedes/:id',
+            'POST /api/sync',
+            'GET /api/papelera',
+            'POST /api/papelera/purgar',
+            'GET /api/webhooks',
+            'POST /api/webhooks',
+            'GET /api/webhooks/:id',
+            'PATCH /api/webhooks/:id',
+            'DELETE /api/webhooks/:id',
+            'GET /api/webhooks/:id/entregas',
+            'GET /api/webhooks/:id/entregas/:entregaId',
+            'POST /api/webhooks/:id/entregas/:entregaId/reenviar',
             'POST /api/fix-imagenes',
             'GET /api/imagenes-status',
+            'GET /api/almacenamiento/verificacion?format=json|csv',
+            'POST /api/almacenamiento/limpieza?dry_run=true|false',
             'GET /uploads/:filename'
         ]
     });
@@ -929,9 +1652,15 @@ app.use('*', (req, res) => {
 // Iniciar servidor
 async function startServer() {
     try {
-        console.log('Iniciando servidor con almacenamiento híbrido...');
+        console.log(`Iniciando servidor con almacenamiento ${storage.driver}...`);
+        
+        // Sin secreto no se pueden emitir ni verificar tokens
+        getSecret();
+        if (CORS_ORIGINS.length === 0) {
+            console.warn('CORS_ORIGINS no configurado: se aceptan peticiones de cualquier origen');
+        }
         
-        await initializeSupabase();
+        await initializeDatabase();
         
         app.listen(PORT, '0.0.0.0', () => {
             console.log('Servidor iniciado exitosamente');
@@ -939,14 +1668,13 @@ async function startServer() {
             console.log(`Servidor: http://localhost:${PORT}`);
             console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
             console.log('CONFIGURACIÓN:');
-            console.log('   Base de datos: Supabase PostgreSQL');
-            console.log('   Almacenamiento: HÍBRIDO');
-            console.log('   - Imágenes existentes: Supabase Storage');
-            console.log('   - Imágenes nuevas: Servidor local');
+            console.log(`   Base de datos: ${database.driver}`);
+            console.log(`   Almacenamiento de imágenes: ${storage.driver}`);
             console.log(`   Directorio local: ${UPLOADS_DIR}`);
+            console.log(`   Orígenes CORS: ${CORS_ORIGINS.length > 0 ? CORS_ORIGINS.join(', ') : '*'}`);
             console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
             console.log('ENDPOINTS DISPONIBLES:');
-            console.log('   POST /api/fix-imagenes - Corregir URLs');
+            console.log('   POST /api/fix-imagenes - Normalizar imágenes antiguas');
             console.log('   GET /api/imagenes-status - Status de imágenes');
             console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
         });
@@ -960,6 +1688,7 @@ async function startServer() {
 // Manejo de cierre graceful
 process.on('SIGINT', async () => {
     console.log('\nCerrando servidor...');
+    await database.close();
     console.log('Conexiones cerradas correctamente');
     process.exit(0);
 });
@@ -0,0 +1,124 @@
+const { createLocalStorage } = require('./local');
+const { createSupabaseStorage } = require('./supabase');
+const { createS3Storage } = require('./s3');
+
+const BACKENDS = ['local', 'supabase', 's3'];
+
+// Nombre de carpeta seguro a partir del ID del equipo (sin espacios ni símbolos)
+function safeFolder(equipoId) {
+    return String(equipoId).replace(/[^a-zA-Z0-9]/g, '');
+}
+
+// Base común de la clave; cada variante agrega `.<variante>` antes de la extensión
+function buildImageKeyBase(equipoId, imageIndex) {
+    return `${safeFolder(equipoId)}/${Date.now()}-${imageIndex}`;
+}
+
+/**
+ * Crea el gestor de almacenamiento de imágenes.
+ *
+ * Cada imagen guardada registra en `backend` el driver que la contiene, así
+ * las rutas nunca necesitan adivinarlo a partir de la URL. Los drivers se
+ * instancian bajo demanda: solo se exige configuración del que se use.
+ */
+function createStorage({ driver = 'local', local = {}, supabase = {}, s3 = {} }) {
+    if (!BACKENDS.includes(driver)) {
+        throw new Error(`STORAGE_DRIVER no válido: ${driver} (use ${BACKENDS.join(', ')})`);
+    }
+
+    const factories = {
+        local: () => createLocalStorage(local),
+        supabase: () => createSupabaseStorage(supabase),
+        s3: () => createS3Storage(s3)
+    };
+    const instances = {};
+
+    function get(name) {
+        if (!factories[name]) {
+            throw new Error(`Backend de almacenamiento desconocido: ${name}`);
+        }
+        if (!instances[name]) {
+            instances[name] = factories[name]();
+        }
+        return instances[name];
+    }
+
+    // Solo para registros anteriores a que existiera el campo `backend`
+    function inferLegacyBackend(imagen) {
+        const ref = imagen.url || imagen.filename || '';
+        if (ref.includes('supabase.co')) return 'supabase';
+        return 'local';
+    }
+
+    function forImage(imagen) {
+        if (!imagen.backend) {
+            throw new Error(`Imagen sin backend asignado: ${imagen.filename || imagen.url}`);
+        }
+        return get(imagen.backend);
+    }
+
+    return {
+        driver,
+        backends: BACKENDS,
+        get,
+        forImage,
+        inferLegacyBackend,
+
+        get default() {
+            return get(driver);
+        },
+
+        // `variantes` es un objeto { nombre: { buffer, extension, contentType, width, height } }
+        async saveImage(buffer, { equipoId, imageIndex, extension, contentType, variantes = {} }) {
+            const target = get(driver);
+            const base = buildImageKeyBase(equipoId, imageIndex);
+            const saved = await target.save(`${base}.${extension}`, buffer, { contentType });
+            
+            const guardadas = {};
+            for (const [nombre, variante] of Object.entries(variantes)) {
+                const key = `${base}.${nombre}.${variante.extension}`;
+                const copia = await target.save(key, variante.buffer, { contentType: variante.contentType });
+                guardadas[nombre] = {
+                    filename: copia.key,
+                    url: copia.url,
+                    size: copia.size,
+                    width: variante.width,
+                    height: variante.height
+                };
+            }
+            
+            return {
+                backend: target.name,
+                filename: saved.key,
+                url: saved.url,
+                size: saved.size,
+                ...(Object.keys(guardadas).length > 0 ? { variantes: guardadas } : {})
+            };
+        },
+
+        // Elimina la imagen y todas sus variantes
+        async removeImage(imagen) {
+            const target = forImage(imagen);
+            for (const variante of Object.values(imagen.variantes || {})) {
+                await target.remove(target.keyOf(variante));
+            }
+            return target.remove(target.keyOf(imagen));
+        },
+
+        // Bytes de la imagen o de una de sus variantes (si existe); null si falta
+        async readImage(imagen, variante) {
+            const target = forImage(imagen);
+            const origen = variante && imagen.variantes && imagen.variantes[variante]
+                ? imagen.variantes[variante]
+                : imagen;
+            return target.read(target.keyOf(origen));
+        },
+
+        async imageExists(imagen) {
+            const target = forImage(imagen);
+            return target.exists(target.keyOf(imagen));
+        }
+    };
+}
+
+module.exports = { createStorage, safeFolder, BACKENDS };
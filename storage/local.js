@@ -0,0 +1,87 @@
+const path = require('path');
+const fs = require('fs');
+
+// Driver de almacenamiento en disco local (carpeta uploads/ servida en /uploads)
+function createLocalStorage({ dir, publicPath = '/uploads' }) {
+    if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+        console.log('Directorio uploads creado:', dir);
+    }
+
+    function fullPath(key) {
+        const resolved = path.resolve(dir, key);
+        if (!resolved.startsWith(path.resolve(dir) + path.sep)) {
+            throw new Error(`Ruta fuera del directorio de uploads: ${key}`);
+        }
+        return resolved;
+    }
+
+    return {
+        name: 'local',
+        remote: false,
+        dir,
+
+        async save(key, buffer) {
+            const filePath = fullPath(key);
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.promises.writeFile(filePath, buffer);
+            return { key, url: this.publicUrl(key), size: buffer.length };
+        },
+
+        async remove(key) {
+            const filePath = fullPath(key);
+            if (!fs.existsSync(filePath)) {
+                return false;
+            }
+            await fs.promises.unlink(filePath);
+            // Quita la carpeta del equipo si quedó vacía (rmdir falla si no lo está)
+            if (path.dirname(filePath) !== path.resolve(dir)) {
+                await fs.promises.rmdir(path.dirname(filePath)).catch(() => {});
+            }
+            return true;
+        },
+
+        async exists(key) {
+            return fs.existsSync(fullPath(key));
+        },
+
+        // Contenido del archivo o null si no existe
+        async read(key) {
+            try {
+                return await fs.promises.readFile(fullPath(key));
+            } catch (error) {
+                if (error.code === 'ENOENT') return null;
+                throw error;
+            }
+        },
+
+        // Todos los archivos guardados: { key, size, fecha }, con claves en formato posix
+        async list() {
+            const archivos = [];
+            const recorrer = async relativa => {
+                const entradas = await fs.promises.readdir(path.join(dir, relativa), { withFileTypes: true });
+                for (const entrada of entradas) {
+                    const key = relativa ? `${relativa}/${entrada.name}` : entrada.name;
+                    if (entrada.isDirectory()) {
+                        await recorrer(key);
+                    } else if (entrada.isFile()) {
+                        const stat = await fs.promises.stat(path.join(dir, key));
+                        archivos.push({ key, size: stat.size, fecha: stat.mtime.toISOString() });
+                    }
+                }
+            };
+            await recorrer('');
+            return archivos;
+        },
+
+        publicUrl(key) {
+            return `${publicPath}/${key}`;
+        },
+
+        keyOf(imagen) {
+            return imagen.filename;
+        }
+    };
+}
+
+module.exports = { createLocalStorage };
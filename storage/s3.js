@@ -0,0 +1,101 @@
+const {
+    S3Client,
+    PutObjectCommand,
+    DeleteObjectCommand,
+    HeadObjectCommand,
+    GetObjectCommand,
+    ListObjectsV2Command
+} = require('@aws-sdk/client-s3');
+
+// Driver para cualquier almacenamiento compatible con S3 (AWS, MinIO, R2...)
+function createS3Storage({ bucket, region, endpoint, accessKeyId, secretAccessKey, publicUrl }) {
+    if (!bucket) {
+        throw new Error('S3_BUCKET es obligatorio para el almacenamiento S3');
+    }
+
+    const client = new S3Client({
+        region: region || 'us-east-1',
+        endpoint: endpoint || undefined,
+        // MinIO y la mayoría de compatibles S3 no soportan virtual-hosted style
+        forcePathStyle: Boolean(endpoint),
+        credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+    });
+
+    const baseUrl = (publicUrl || (endpoint
+        ? `${endpoint}/${bucket}`
+        : `https://${bucket}.s3.${region || 'us-east-1'}.amazonaws.com`)).replace(/\/+$/, '');
+
+    return {
+        name: 's3',
+        remote: true,
+        bucket,
+
+        async save(key, buffer, { contentType } = {}) {
+            await client.send(new PutObjectCommand({
+                Bucket: bucket,
+                Key: key,
+                Body: buffer,
+                ContentType: contentType
+            }));
+            return { key, url: this.publicUrl(key), size: buffer.length };
+        },
+
+        async remove(key) {
+            await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+            return true;
+        },
+
+        async exists(key) {
+            try {
+                await client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+                return true;
+            } catch (error) {
+                if (error.$metadata && error.$metadata.httpStatusCode === 404) {
+                    return false;
+                }
+                throw error;
+            }
+        },
+
+        async read(key) {
+            try {
+                const { Body } = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+                return Buffer.from(await Body.transformToByteArray());
+            } catch (error) {
+                if (error.name === 'NoSuchKey' || (error.$metadata && error.$metadata.httpStatusCode === 404)) {
+                    return null;
+                }
+                throw error;
+            }
+        },
+
+        // Todos los objetos del bucket: { key, size, fecha }
+        async list() {
+            const archivos = [];
+            let ContinuationToken;
+            do {
+                const respuesta = await client.send(new ListObjectsV2Command({ Bucket: bucket, ContinuationToken }));
+                for (const obj of respuesta.Contents || []) {
+                    archivos.push({ key: obj.Key, size: obj.Size, fecha: obj.LastModified ? obj.LastModified.toISOString() : null });
+                }
+                ContinuationToken = respuesta.IsTruncated ? respuesta.NextContinuationToken : undefined;
+            } while (ContinuationToken);
+            return archivos;
+        },
+
+        publicUrl(key) {
+            return `${baseUrl}/${key.split('/').map(encodeURIComponent).join('/')}`;
+        },
+
+        // Los clientes pueden devolver la URL pública en filename
+        keyOf(imagen) {
+            const ref = imagen.filename || imagen.url || '';
+            if (ref.startsWith(`${baseUrl}/`)) {
+                return decodeURIComponent(ref.slice(baseUrl.length + 1));
+            }
+            return ref;
+        }
+    };
+}
+
+module.exports = { createS3Storage };
@@ -0,0 +1,96 @@
+const path = require('path');
+
+// Objetos por página al listar el bucket (máximo de Storage)
+const LIST_LIMIT = 1000;
+
+// Driver de almacenamiento en un bucket de Supabase Storage
+function createSupabaseStorage({ getClient, bucket = 'imagenes-soporte' }) {
+    const store = () => getClient().storage.from(bucket);
+    const publicPrefix = `/storage/v1/object/public/${bucket}/`;
+
+    return {
+        name: 'supabase',
+        remote: true,
+        bucket,
+
+        async save(key, buffer, { contentType } = {}) {
+            const { error } = await store().upload(key, buffer, {
+                contentType,
+                upsert: false
+            });
+            if (error) throw error;
+            return { key, url: this.publicUrl(key), size: buffer.length };
+        },
+
+        async remove(key) {
+            const { data, error } = await store().remove([key]);
+            if (error) throw error;
+            return Array.isArray(data) && data.length > 0;
+        },
+
+        async exists(key) {
+            const { data, error } = await store().list(path.posix.dirname(key), {
+                search: path.posix.basename(key)
+            });
+            if (error) throw error;
+            return (data || []).some(obj => obj.name === path.posix.basename(key));
+        },
+
+        async read(key) {
+            const { data, error } = await store().download(key);
+            if (error) {
+                // Objeto inexistente: Storage responde 400 o 404 según la versión
+                if (error.status === 400 || error.status === 404) return null;
+                throw error;
+            }
+            return Buffer.from(await data.arrayBuffer());
+        },
+
+        // Todos los objetos del bucket: { key, size, fecha }. Storage lista
+        // por carpeta; las carpetas llegan sin id ni metadata.
+        async list() {
+            const archivos = [];
+            const recorrer = async carpeta => {
+                for (let offset = 0; ; offset += LIST_LIMIT) {
+                    const { data, error } = await store().list(carpeta, {
+                        limit: LIST_LIMIT,
+                        offset,
+                        sortBy: { column: 'name', order: 'asc' }
+                    });
+                    if (error) throw error;
+                    for (const obj of data || []) {
+                        const key = carpeta ? `${carpeta}/${obj.name}` : obj.name;
+                        if (obj.id === null) {
+                            await recorrer(key);
+                        } else {
+                            archivos.push({
+                                key,
+                                size: obj.metadata ? obj.metadata.size : null,
+                                fecha: obj.updated_at || obj.created_at || null
+                            });
+                        }
+                    }
+                    if (!data || data.length < LIST_LIMIT) break;
+                }
+            };
+            await recorrer('');
+            return archivos;
+        },
+
+        publicUrl(key) {
+            return store().getPublicUrl(key).data.publicUrl;
+        },
+
+        // Registros antiguos guardaban la URL pública completa en filename
+        keyOf(imagen) {
+            const ref = imagen.filename || imagen.url || '';
+            const index = ref.indexOf(publicPrefix);
+            if (index !== -1) {
+                return decodeURIComponent(ref.slice(index + publicPrefix.length));
+            }
+            return ref;
+        }
+    };
+}
+
+module.exports = { createSupabaseStorage };